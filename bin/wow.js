@@ -0,0 +1,177 @@
+#!/usr/bin/env node
+/**
+ * Command line interface over WoWClient.
+ * Every client method is a command, e.g. `wow item 152505`, plus a few shortcuts:
+ * `wow character <realm> <name> --fields items,pvp`, `wow guild <realm> <name> --fields members`,
+ * `wow auction <realm> --item 152505`, `wow realms --locale en_GB` and `wow export <output> --format sqlite`.
+ *
+ * Credentials, region and locale are read from the environment (WOW_CLIENT_ID, WOW_CLIENT_SECRET,
+ * WOW_REGION, WOW_LOCALE), from the JSON config file given with --config or found at ./.wowrc.json
+ * or ~/.wowrc.json ({ clientId, clientSecret, region, locale }), or from the --region and --locale flags.
+ * WOW_API_URL and WOW_OAUTH_URL (baseURL and oauthURL in the config file) point the client to other hosts, e.g. the mock server.
+ */
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const fetch = require('node-fetch')
+const WoWClient = require('..')
+const { format } = require('../lib/format')
+const { Exporter } = require('../lib/exporter')
+
+const USAGE = `Usage: wow <command> [arguments] [flags]
+
+Commands:
+  character <realm> <name>    Character profile, see --fields
+  guild <realm> <name>        Guild profile, see --fields
+  auction <realm>             Auctions of the realm, see --item, --owner, --owner-realm
+  realms                      Realm status, filtered by --locale
+  export [output]             Export the static data to NDJSON files or, with --format sqlite, a SQLite database.
+                              An interrupted export resumes where it stopped, see --lists
+  methods                     List every client method, usable as command
+
+Flags:
+  --fields a,b         Profile fields to include
+  --item id,id         Keep only the auctions of these items
+  --owner name         Keep only the auctions of this owner
+  --owner-realm name   Keep only the auctions of this owner realm
+  --lists a,b          Data lists to export, e.g. achievements,mounts
+  --format f           Output format: json (default), ndjson or table
+  --raw                Print the underlying API responses
+  --region r           Battle.Net region
+  --locale l           Locale of the responses
+  --config file        JSON config file with clientId, clientSecret, region and locale
+  --help               Show this message`
+
+/**
+ * Methods that are not requests to the API.
+ */
+const EXCLUDED = ['constructor', 'invalidateCache', 'clearCache', 'queueStatus', 'auctionStream', 'metrics']
+const METHODS = Object.getOwnPropertyNames(WoWClient.prototype)
+  .filter(name => !name.startsWith('_') && !EXCLUDED.includes(name))
+  .sort()
+
+/**
+ * Split the command line in positional arguments and flags.
+ * @param {Array<string>} argv
+ */
+const parseArgs = argv => {
+  const positional = []
+  const flags = {}
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i]
+    if (!arg.startsWith('--')) {
+      positional.push(arg)
+      continue
+    }
+    const [name, value] = arg.slice(2).split(/=(.*)/)
+    if (value !== undefined) {
+      flags[name] = value
+    } else if (i + 1 < argv.length && !argv[i + 1].startsWith('--') && !['raw', 'help'].includes(name)) {
+      flags[name] = argv[++i]
+    } else {
+      flags[name] = true
+    }
+  }
+  return { positional, flags }
+}
+/**
+ * Read the config file given with --config or the first .wowrc.json found.
+ * @param {string} file
+ */
+const readConfig = file => {
+  const candidates = file ? [file] : [path.resolve('.wowrc.json'), path.join(os.homedir(), '.wowrc.json')]
+  const found = candidates.find(candidate => fs.existsSync(candidate))
+  if (file && !found) throw new Error(`Config file ${file} not found.`)
+  return found ? JSON.parse(fs.readFileSync(found, 'utf8')) : {}
+}
+/**
+ * Convert numeric arguments to numbers.
+ * @param {string} arg
+ */
+const toValue = arg => /^\d+$/.test(arg) ? Number(arg) : arg
+const list = value => typeof value == 'string' ? value.split(',').filter(entry => entry) : undefined
+
+const run = async argv => {
+  const { positional, flags } = parseArgs(argv)
+  const [command, ...args] = positional
+  if (!command || flags.help) {
+    console.log(USAGE)
+    return
+  }
+  if (command == 'methods') {
+    console.log(METHODS.join('\n'))
+    return
+  }
+  const config = readConfig(flags.config)
+  const clientId = process.env.WOW_CLIENT_ID || config.clientId
+  const clientSecret = process.env.WOW_CLIENT_SECRET || config.clientSecret
+  if (!clientId || !clientSecret) {
+    throw new Error('Missing credentials. Set WOW_CLIENT_ID and WOW_CLIENT_SECRET or use a config file.')
+  }
+  const raw = []
+  const rawFetch = async (url, init) => {
+    const res = await fetch(url, init)
+    if (new URL(url).pathname.endsWith('/oauth/token')) return res
+    const text = await res.text()
+    // keep the body as is when it is not JSON, e.g. the HTML page of a 502
+    try {
+      raw.push(JSON.parse(text))
+    } catch (err) {
+      raw.push(text)
+    }
+    return new fetch.Response(text, { status: res.status, statusText: res.statusText, headers: res.headers })
+  }
+  const client = new WoWClient(clientId, clientSecret, {
+    region: flags.region || process.env.WOW_REGION || config.region || 'us',
+    locale: (command != 'realms' && flags.locale) || process.env.WOW_LOCALE || config.locale || 'en_US',
+    fetch: flags.raw ? rawFetch : fetch,
+    baseURL: process.env.WOW_API_URL || config.baseURL || undefined,
+    oauthURL: process.env.WOW_OAUTH_URL || config.oauthURL || undefined
+  })
+  const fields = list(flags.fields)
+  let data
+  if (command == 'character' || command == 'characterProfile') {
+    data = await client.characterProfile(args[0], args[1], fields)
+  } else if (command == 'guild' || command == 'guildProfile') {
+    data = await client.guildProfile(args[0], args[1], fields)
+  } else if (command == 'characterProfiles') {
+    const characters = args.map(arg => {
+      const [realm, name] = arg.split('/')
+      return { realm, name }
+    })
+    data = await client.characterProfiles(characters, fields)
+  } else if (command == 'realms') {
+    data = await client.realmStatus(typeof flags.locale == 'string' ? flags.locale : undefined)
+  } else if (command == 'auction') {
+    const filter = { items: list(flags.item) && list(flags.item).map(Number), owner: flags.owner, ownerRealm: flags['owner-realm'] }
+    data = []
+    for await (const auction of client.auctionStream(args[0], filter)) {
+      if (flags.format == 'ndjson' && !flags.raw) {
+        console.log(JSON.stringify(auction))
+      } else {
+        data.push(auction)
+      }
+    }
+    if (flags.format == 'ndjson' && !flags.raw) return
+  } else if (command == 'export') {
+    const exporter = new Exporter(client, { format: flags.format || 'ndjson', output: args[0], lists: list(flags.lists) })
+    exporter.on('progress', ({ resource, written, pending }) => console.error(`${resource}: ${written} written, ${pending} pending`))
+    const { written, failures } = await exporter.run()
+    data = { written, failures: failures.map(({ resource, id, error }) => ({ resource, id, error: `${error.name}: ${error.message}` })) }
+    flags.format = 'json'
+  } else if (METHODS.includes(command)) {
+    data = await client[command](...args.map(toValue))
+  } else {
+    throw new Error(`Unknown command ${command}. Run wow methods for the list of commands.`)
+  }
+  if (data === undefined) {
+    throw new WoWClient.NotFoundError(`${[command, ...args].join(' ')} not found.`, { status: 404 })
+  }
+  const output = flags.raw ? (raw.length == 1 ? raw[0] : raw) : data
+  console.log(format(output, flags.format || 'json'))
+}
+
+run(process.argv.slice(2)).catch(err => {
+  console.error(`${err.name}: ${err.message}`)
+  process.exitCode = 1
+})
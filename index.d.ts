@@ -0,0 +1,1043 @@
+/// <reference types="node" />
+import { EventEmitter } from 'events'
+import { Server } from 'http'
+
+export = WoWClient
+
+/**
+ * WowClient facilitate the connection to the blizzard API
+ * and expose methods to query information of the World of Warcraft API.
+ */
+declare class WoWClient extends EventEmitter {
+  constructor(clientId: string, clientSecret: string, options?: WoWClient.ClientOptions)
+
+  on(event: 'beforeRequest', listener: (event: WoWClient.RequestEvent) => void): this
+  on(event: 'afterResponse', listener: (event: WoWClient.ResponseEvent) => void): this
+  on(event: 'error', listener: (event: WoWClient.RequestErrorEvent) => void): this
+  on(event: 'tokenRefreshed', listener: (event: WoWClient.TokenEvent) => void): this
+  once(event: 'beforeRequest', listener: (event: WoWClient.RequestEvent) => void): this
+  once(event: 'afterResponse', listener: (event: WoWClient.ResponseEvent) => void): this
+  once(event: 'error', listener: (event: WoWClient.RequestErrorEvent) => void): this
+  once(event: 'tokenRefreshed', listener: (event: WoWClient.TokenEvent) => void): this
+  metrics(): string | undefined
+
+  gameData<T = any>(path: string, namespace?: WoWClient.Namespace, options?: WoWClient.RequestOptions): Promise<T | undefined>
+  queueStatus(): WoWClient.QueueStatus
+  invalidateCache(path: string, fields?: string[] | null, namespace?: WoWClient.Namespace): Promise<void>
+  clearCache(): Promise<void>
+
+  achievement(id: number, options?: WoWClient.RequestOptions): Promise<WoWClient.Achievement | undefined>
+  availableAchievements(options?: WoWClient.RequestOptions): Promise<WoWClient.AchievementCategory[] | undefined>
+  auction(realm: string, options?: WoWClient.RequestOptions): Promise<WoWClient.Auction[] | null>
+  auctionStream(realm: string, filter?: WoWClient.AuctionFilter, options?: WoWClient.RequestOptions): AsyncGenerator<WoWClient.Auction, void, undefined>
+  auctionFiles(realm: string, options?: WoWClient.RequestOptions): Promise<WoWClient.AuctionFile[] | undefined>
+  auctionData(url: string, options?: WoWClient.RequestOptions): Promise<WoWClient.AuctionDump>
+  bosses(options?: WoWClient.RequestOptions): Promise<WoWClient.Boss[] | undefined>
+  boss(id: number, options?: WoWClient.RequestOptions): Promise<WoWClient.Boss | undefined>
+
+  characterProfile<F extends WoWClient.CharacterField = never>(realm: string, charname: string, fields?: F[] | null, options?: WoWClient.RequestOptions): Promise<WoWClient.CharacterProfileWith<F> | undefined>
+  characterProfiles<F extends WoWClient.CharacterField = never>(characters: WoWClient.CharacterRef[], fields?: F[] | null, options?: WoWClient.BulkOptions): Promise<Map<string, WoWClient.CharacterResult<WoWClient.CharacterProfileWith<F>>>>
+  characterAchievements(realm: string, charname: string, options?: WoWClient.RequestOptions): Promise<WoWClient.CharacterProfileWith<'achievements'> | undefined>
+  characterAppearance(realm: string, charname: string, options?: WoWClient.RequestOptions): Promise<WoWClient.CharacterProfileWith<'appearance'> | undefined>
+  characterFeed(realm: string, charname: string, options?: WoWClient.RequestOptions): Promise<WoWClient.CharacterProfileWith<'feed'> | undefined>
+  characterGuild(realm: string, charname: string, options?: WoWClient.RequestOptions): Promise<WoWClient.CharacterProfileWith<'guild'> | undefined>
+  characterHunterPets(realm: string, charname: string, options?: WoWClient.RequestOptions): Promise<WoWClient.CharacterProfileWith<'hunterPets'> | undefined>
+  characterItems(realm: string, charname: string, options?: WoWClient.RequestOptions): Promise<WoWClient.CharacterProfileWith<'items'> | undefined>
+  characterMounts(realm: string, charname: string, options?: WoWClient.RequestOptions): Promise<WoWClient.CharacterProfileWith<'mounts'> | undefined>
+  characterPets(realm: string, charname: string, options?: WoWClient.RequestOptions): Promise<WoWClient.CharacterProfileWith<'pets'> | undefined>
+  characterPetSlot(realm: string, charname: string, options?: WoWClient.RequestOptions): Promise<WoWClient.CharacterProfileWith<'petSlots'> | undefined>
+  characterProfessions(realm: string, charname: string, options?: WoWClient.RequestOptions): Promise<WoWClient.CharacterProfileWith<'professions'> | undefined>
+  characterProgression(realm: string, charname: string, options?: WoWClient.RequestOptions): Promise<WoWClient.CharacterProfileWith<'progression'> | undefined>
+  characterPvP(realm: string, charname: string, options?: WoWClient.RequestOptions): Promise<WoWClient.CharacterProfileWith<'pvp'> | undefined>
+  characterQuests(realm: string, charname: string, options?: WoWClient.RequestOptions): Promise<WoWClient.CharacterProfileWith<'quests'> | undefined>
+  characterReputation(realm: string, charname: string, options?: WoWClient.RequestOptions): Promise<WoWClient.CharacterProfileWith<'reputation'> | undefined>
+  characterStatistics(realm: string, charname: string, options?: WoWClient.RequestOptions): Promise<WoWClient.CharacterProfileWith<'statistics'> | undefined>
+  characterStats(realm: string, charname: string, options?: WoWClient.RequestOptions): Promise<WoWClient.CharacterProfileWith<'stats'> | undefined>
+  characterTalents(realm: string, charname: string, options?: WoWClient.RequestOptions): Promise<WoWClient.CharacterProfileWith<'talents'> | undefined>
+  characterTitles(realm: string, charname: string, options?: WoWClient.RequestOptions): Promise<WoWClient.CharacterProfileWith<'titles'> | undefined>
+  characterAudit(realm: string, charname: string, options?: WoWClient.RequestOptions): Promise<WoWClient.CharacterProfileWith<'audit'> | undefined>
+
+  guildProfile<F extends WoWClient.GuildField = never>(realm: string, guildname: string, fields?: F[] | null, options?: WoWClient.RequestOptions): Promise<WoWClient.GuildProfileWith<F> | undefined>
+  guildMembers(realm: string, guildname: string, options?: WoWClient.RequestOptions): Promise<WoWClient.GuildProfileWith<'members'> | undefined>
+  guildAchievements(realm: string, guildname: string, options?: WoWClient.RequestOptions): Promise<WoWClient.GuildProfileWith<'achievements'> | undefined>
+  guildNews(realm: string, guildname: string, options?: WoWClient.RequestOptions): Promise<WoWClient.GuildProfileWith<'news'> | undefined>
+  guildChallenge(realm: string, guildname: string, options?: WoWClient.RequestOptions): Promise<WoWClient.GuildProfileWith<'challenge'> | undefined>
+
+  item(id: number, options?: WoWClient.RequestOptions): Promise<WoWClient.Item | undefined>
+  itemSet(id: number, options?: WoWClient.RequestOptions): Promise<WoWClient.ItemSet | undefined>
+  mounts(options?: WoWClient.RequestOptions): Promise<{ mounts: WoWClient.Mount[] } | undefined>
+  pets(options?: WoWClient.RequestOptions): Promise<{ pets: WoWClient.Pet[] } | undefined>
+  petAbility(abilityId: number, options?: WoWClient.RequestOptions): Promise<WoWClient.PetAbility | undefined>
+  petSpecies(speciesId: number, options?: WoWClient.RequestOptions): Promise<WoWClient.PetSpecies | undefined>
+  petStats(speciesId: number, options?: WoWClient.RequestOptions): Promise<WoWClient.PetStats | undefined>
+  pvpLeaderboards(bracket: WoWClient.Bracket, options?: WoWClient.RequestOptions): Promise<WoWClient.Leaderboard | undefined>
+  quest(id: number, options?: WoWClient.RequestOptions): Promise<WoWClient.Quest | undefined>
+  realmStatus(locale?: string, options?: WoWClient.RequestOptions): Promise<WoWClient.RealmStatus[] | undefined>
+  realms(locale?: string, options?: WoWClient.RequestOptions): Promise<Map<string, string> | undefined>
+  recipe(id: number, options?: WoWClient.RequestOptions): Promise<WoWClient.Recipe | undefined>
+  spell(id: number, options?: WoWClient.RequestOptions): Promise<WoWClient.Spell | undefined>
+  zones(options?: WoWClient.RequestOptions): Promise<{ zones: WoWClient.Zone[] } | undefined>
+  zone(id: number, options?: WoWClient.RequestOptions): Promise<WoWClient.Zone | undefined>
+  battlegroups(options?: WoWClient.RequestOptions): Promise<{ battlegroups: WoWClient.Battlegroup[] } | undefined>
+  races(options?: WoWClient.RequestOptions): Promise<WoWClient.Race[] | undefined>
+  race(id: number, options?: WoWClient.RequestOptions): Promise<WoWClient.Race | undefined>
+  classes(options?: WoWClient.RequestOptions): Promise<WoWClient.CharacterClass[] | undefined>
+  class(id: number, options?: WoWClient.RequestOptions): Promise<WoWClient.CharacterClass | undefined>
+  guildRewards(options?: WoWClient.RequestOptions): Promise<{ rewards: WoWClient.GuildReward[] } | undefined>
+  guildPerks(options?: WoWClient.RequestOptions): Promise<WoWClient.GuildPerk[] | undefined>
+  availableGuildAchievements(options?: WoWClient.RequestOptions): Promise<WoWClient.AchievementCategory[] | undefined>
+  itemClasses(options?: WoWClient.RequestOptions): Promise<WoWClient.ItemClass[] | undefined>
+  talents(classID?: number, options?: WoWClient.RequestOptions): Promise<any>
+  petTypes(options?: WoWClient.RequestOptions): Promise<WoWClient.PetType[] | undefined>
+
+  playableClasses(options?: WoWClient.RequestOptions): Promise<WoWClient.IndexEntry[] | undefined>
+  playableClass(id: number, options?: WoWClient.RequestOptions): Promise<any>
+  playableRaces(options?: WoWClient.RequestOptions): Promise<WoWClient.IndexEntry[] | undefined>
+  playableRace(id: number, options?: WoWClient.RequestOptions): Promise<any>
+  playableSpecializations(options?: WoWClient.RequestOptions): Promise<any>
+  playableSpecialization(id: number, options?: WoWClient.RequestOptions): Promise<any>
+  mythicKeystoneAffixes(options?: WoWClient.RequestOptions): Promise<WoWClient.IndexEntry[] | undefined>
+  mythicKeystoneAffix(id: number, options?: WoWClient.RequestOptions): Promise<any>
+  mythicKeystoneLeaderboards(connectedRealmId: number, options?: WoWClient.RequestOptions): Promise<WoWClient.IndexEntry[] | undefined>
+  mythicKeystoneLeaderboard(connectedRealmId: number, dungeonId: number, period: number, options?: WoWClient.RequestOptions): Promise<any>
+  connectedRealms(options?: WoWClient.RequestOptions): Promise<Array<{ href: string }> | undefined>
+  connectedRealm(id: number, options?: WoWClient.RequestOptions): Promise<any>
+  itemMedia(id: number, options?: WoWClient.RequestOptions): Promise<any>
+  characterProfileSummary(realm: string, charname: string, options?: WoWClient.RequestOptions): Promise<any>
+  characterEquipment(realm: string, charname: string, options?: WoWClient.RequestOptions): Promise<any>
+  characterMythicKeystoneProfile(realm: string, charname: string, options?: WoWClient.RequestOptions): Promise<any>
+}
+
+declare namespace WoWClient {
+  type Region = 'us' | 'eu' | 'kr' | 'tw' | 'cn'
+  type Namespace = 'static' | 'dynamic' | 'profile'
+  type Priority = 'high' | 'normal' | 'low'
+  type Bracket = '2v2' | '3v3' | '5v5' | 'rbg'
+  type FetchLike = (url: string, init?: any) => Promise<any>
+
+  interface ClientOptions {
+    region?: Region | string
+    locale?: string
+    cache?: boolean | ResponseCacheOptions
+    strict?: boolean
+    retry?: false | RetryOptions
+    rateLimit?: false | SchedulerOptions
+    tokenManager?: TokenManager
+    fetch?: FetchLike
+    baseURL?: string
+    oauthURL?: string
+    resolveRealms?: boolean
+    metrics?: boolean | MetricsCollector
+    timeout?: number
+  }
+  interface RequestOptions {
+    cache?: boolean
+    refresh?: boolean
+    priority?: Priority
+    signal?: AbortSignal
+    timeout?: number
+  }
+  interface BulkOptions extends RequestOptions {
+    concurrency?: number
+  }
+
+  // Cache
+  interface CacheStore {
+    get(key: string): Promise<any>
+    set(key: string, value: any, ttl: number): Promise<void>
+    delete(key: string): Promise<void>
+    clear(): Promise<void>
+  }
+  interface TTLOptions {
+    data?: number
+    realmStatus?: number
+    character?: number
+    guild?: number
+    auction?: number
+    leaderboard?: number
+    dynamic?: number
+    default?: number
+  }
+  interface ResponseCacheOptions {
+    store?: CacheStore
+    max?: number
+    ttl?: TTLOptions
+  }
+  class MemoryCache implements CacheStore {
+    constructor(options?: { max?: number })
+    get(key: string): Promise<any>
+    set(key: string, value: any, ttl: number): Promise<void>
+    delete(key: string): Promise<void>
+    clear(): Promise<void>
+  }
+  class ResponseCache {
+    constructor(options?: ResponseCacheOptions)
+    key(region: string, locale: string, path: string, fields?: string[] | null, namespace?: Namespace): string
+    ttl(path: string, namespace?: Namespace): number
+    get(key: string): Promise<any>
+    set(key: string, path: string, value: any, namespace?: Namespace): Promise<void>
+    delete(key: string): Promise<void>
+    clear(): Promise<void>
+  }
+
+  // Errors
+  interface ErrorDetails {
+    status?: number
+    reason?: string
+    path?: string
+    region?: string
+    url?: string
+  }
+  class BattleNetApiError extends Error {
+    constructor(message?: string, details?: ErrorDetails)
+    status?: number
+    reason?: string
+    path?: string
+    region?: string
+    url?: string
+  }
+  class NotFoundError extends BattleNetApiError {}
+  class UnauthorizedError extends BattleNetApiError {}
+  class RateLimitedError extends BattleNetApiError {
+    constructor(message?: string, details?: ErrorDetails & { retryAfter?: number })
+    retryAfter?: number
+  }
+  class ServerError extends BattleNetApiError {}
+  class NetworkError extends BattleNetApiError {
+    constructor(message?: string, details?: ErrorDetails & { cause?: Error })
+    cause?: Error
+  }
+  class TimeoutError extends BattleNetApiError {
+    constructor(message?: string, details?: ErrorDetails & { timeout?: number })
+    timeout: number
+  }
+  class AbortError extends BattleNetApiError {
+    constructor(message?: string, details?: ErrorDetails & { cause?: any })
+    cause?: any
+  }
+  class ValidationError extends BattleNetApiError {
+    constructor(message?: string, details?: ErrorDetails & { problems?: string[] })
+    problems: string[]
+  }
+  class MissingParameterException extends BattleNetApiError {
+    constructor(paramname: string, paramtype?: string)
+  }
+
+  // Retries, rate limits and tokens
+  interface RetryOptions {
+    attempts?: number
+    baseDelay?: number
+    maxDelay?: number
+    jitter?: number
+    statuses?: number[]
+    network?: boolean
+  }
+  class RetryPolicy {
+    constructor(options?: RetryOptions)
+    attempts: number
+    baseDelay: number
+    maxDelay: number
+    jitter: number
+    statuses: number[]
+    network: boolean
+    shouldRetry(error: Error, attempt: number): boolean
+    delay(error: Error, attempt: number): number
+    run<T>(fn: () => Promise<T>): Promise<T>
+  }
+  interface SchedulerOptions {
+    perSecond?: number
+    perHour?: number
+    concurrency?: number
+  }
+  interface QueueStatus {
+    queued: { high: number, normal: number, low: number }
+    running: number
+    remaining: { second: number, hour: number }
+  }
+  class Scheduler {
+    constructor(options?: SchedulerOptions)
+    schedule<T>(fn: () => Promise<T>, options?: { priority?: Priority }): Promise<T>
+    stats(): QueueStatus
+  }
+  interface TokenManagerOptions {
+    region?: Region | string
+    margin?: number
+    store?: Pick<CacheStore, 'get' | 'set' | 'delete'>
+    fetch?: FetchLike
+    url?: string
+    timeout?: number
+  }
+  interface Token {
+    access_token: string
+    token_type: string
+    expires_in: number
+  }
+  class TokenManager extends EventEmitter {
+    constructor(clientId: string, clientSecret: string, options?: TokenManagerOptions)
+    getToken(options?: { signal?: AbortSignal, onRefresh?: (event: TokenEvent) => void }): Promise<string>
+    invalidate(accessToken: string): Promise<void>
+    on(event: 'tokenRefreshed', listener: (event: TokenEvent) => void): this
+  }
+  function generateToken(clientId: string, clientSecret: string, region?: string, options?: { fetch?: FetchLike, url?: string }): Promise<Token>
+
+  // Observability
+  interface RequestEvent {
+    path: string
+    endpoint: string
+    region: string
+    namespace?: Namespace
+    url: string
+  }
+  interface ResponseEvent extends RequestEvent {
+    status: number
+    duration: number
+    nok: boolean
+  }
+  interface RequestErrorEvent extends RequestEvent {
+    status?: number
+    duration: number
+    error: Error
+  }
+  interface TokenEvent {
+    region: string
+    duration: number
+    expiresIn: number
+  }
+  class MetricsCollector {
+    constructor(options?: { prefix?: string, buckets?: number[] })
+    attach(client: WoWClient): this
+    reset(): void
+    prometheus(): string
+  }
+
+  // Auction house
+  interface AuctionFile {
+    url: string
+    lastModified: number
+  }
+  interface Auction {
+    auc: number
+    item: number
+    owner: string
+    ownerRealm: string
+    bid: number
+    buyout: number
+    quantity: number
+    timeLeft: 'SHORT' | 'MEDIUM' | 'LONG' | 'VERY_LONG'
+    rand: number
+    seed: number
+    context: number
+    bonusLists?: Array<{ bonusListId: number }>
+    modifiers?: Array<{ type: number, value: number }>
+    petSpeciesId?: number
+    petBreedId?: number
+    petLevel?: number
+    petQualityId?: number
+  }
+  interface AuctionDump {
+    realms: Array<{ name: string, slug: string }>
+    auctions: Auction[]
+  }
+  interface AuctionFilter {
+    items?: number[]
+    owner?: string
+    ownerRealm?: string
+  }
+  interface AuctionSnapshot {
+    realm: string
+    lastModified: number
+    auctions: Auction[]
+  }
+  interface AuctionDiff {
+    added: Auction[]
+    removed: Auction[]
+    priceChanged: Array<{ previous: Auction, current: Auction }>
+    sold: Auction[]
+  }
+  interface ItemStatistics {
+    item: number
+    auctions: number
+    quantity: number
+    minBuyout?: number
+    medianBuyout?: number
+    marketValue?: number
+  }
+  class AuctionHouse {
+    constructor(client: WoWClient, options?: { maxSnapshots?: number })
+    update(realm: string, options?: RequestOptions): Promise<AuctionSnapshot | null>
+    snapshots(realm: string): AuctionSnapshot[]
+    latest(realm: string): AuctionSnapshot | undefined
+    diff(realm: string): AuctionDiff | undefined
+    statistics(realm: string): Map<number, ItemStatistics> | undefined
+  }
+  function diffSnapshots(previous: AuctionSnapshot, current: AuctionSnapshot): AuctionDiff
+  function itemStatistics(auctions: Auction[]): Map<number, ItemStatistics>
+  function streamAuctions(stream: AsyncIterable<Buffer | string>, filter?: AuctionFilter): AsyncGenerator<Auction, void, undefined>
+
+  // Achievements
+  interface AchievementCriteria {
+    id: number
+    description: string
+    orderIndex: number
+    max: number
+  }
+  interface Achievement {
+    id: number
+    title: string
+    points: number
+    description: string
+    reward?: string
+    rewardItems: Item[]
+    icon: string
+    criteria: AchievementCriteria[]
+    accountWide: boolean
+    factionId: number
+  }
+  interface AchievementCategory {
+    id: number
+    name: string
+    achievements?: Achievement[]
+    categories?: AchievementCategory[]
+  }
+  interface CompletedAchievements {
+    achievementsCompleted: number[]
+    achievementsCompletedTimestamp: number[]
+    criteria: number[]
+    criteriaQuantity: number[]
+    criteriaTimestamp: number[]
+    criteriaCreated: number[]
+  }
+
+  // Characters
+  interface CharacterRef {
+    realm: string
+    name: string
+  }
+  interface CharacterProfile {
+    lastModified: number
+    name: string
+    realm: string
+    battlegroup: string
+    class: number
+    race: number
+    gender: number
+    level: number
+    achievementPoints: number
+    thumbnail: string
+    calcClass: string
+    faction: number
+    totalHonorableKills: number
+  }
+  interface EquippedItem {
+    id: number
+    name: string
+    icon: string
+    quality: number
+    itemLevel: number
+    tooltipParams: {
+      gem0?: number
+      gem1?: number
+      gem2?: number
+      enchant?: number
+      set?: number[]
+      transmogItem?: number
+      [param: string]: any
+    }
+    stats?: Array<{ stat: number, amount: number }>
+    armor?: number
+    context?: string
+    bonusLists: number[]
+    artifactId?: number
+    displayInfoId?: number
+    azeriteItem?: any
+    azeriteEmpoweredItem?: any
+  }
+  type EquipmentSlot = 'head' | 'neck' | 'shoulder' | 'back' | 'chest' | 'shirt' | 'tabard' | 'wrist' | 'hands' | 'waist' | 'legs' | 'feet'
+    | 'finger1' | 'finger2' | 'trinket1' | 'trinket2' | 'mainHand' | 'offHand'
+  type CharacterItems = { averageItemLevel: number, averageItemLevelEquipped: number } & { [slot in EquipmentSlot]?: EquippedItem }
+  interface CharacterAudit {
+    numberOfIssues: number
+    slots: { [index: string]: number }
+    emptyGlyphSlots: number
+    unspentTalentPoints: number
+    noSpec: boolean
+    unenchantedItems: { [index: string]: number }
+    emptySockets: number
+    itemsWithEmptySockets: { [index: string]: number }
+    appropriateArmorType: number
+    inappropriateArmorType: { [index: string]: number }
+    lowLevelItems: { [index: string]: number }
+    lowLevelThreshold: number
+    missingExtraSockets: { [index: string]: number }
+    [entry: string]: any
+  }
+  interface CollectedPet {
+    name: string
+    spellId: number
+    creatureId: number
+    itemId: number
+    qualityId: number
+    icon: string
+    stats: { speciesId: number, breedId: number, petQualityId: number, level: number, health: number, power: number, speed: number }
+    battlePetGuid: string
+    isFavorite: boolean
+    creatureName: string
+    canBattle: boolean
+  }
+  interface PvPBracket {
+    slug: string
+    rating: number
+    weeklyPlayed: number
+    weeklyWon: number
+    weeklyLost: number
+    seasonPlayed: number
+    seasonWon: number
+    seasonLost: number
+  }
+  interface CharacterFieldMap {
+    achievements: { achievements: CompletedAchievements }
+    appearance: { appearance: { faceVariation: number, skinColor: number, hairVariation: number, hairColor: number, featureVariation: number, showHelm: boolean, showCloak: boolean, customDisplayOptions: number[] } }
+    feed: { feed: Array<{ type: string, timestamp: number, [property: string]: any }> }
+    guild: { guild: { name: string, realm: string, battlegroup: string, members: number, achievementPoints: number, emblem: any } }
+    hunterPets: { hunterPets: Array<{ name: string, creature: number, slot: number, calcSpec: string, familyId: number, familyName: string }> }
+    items: { items: CharacterItems }
+    mounts: { mounts: { numCollected: number, numNotCollected: number, collected: Mount[] } }
+    pets: { pets: { numCollected: number, numNotCollected: number, collected: CollectedPet[] } }
+    petSlots: { petSlots: Array<{ slot: number, battlePetGuid: string, isEmpty: boolean, isLocked: boolean, abilities: number[] }> }
+    professions: { professions: { primary: Profession[], secondary: Profession[] } }
+    progression: { progression: { raids: Array<{ name: string, id: number, lfr: number, normal: number, heroic: number, mythic: number, bosses: any[] }> } }
+    pvp: { pvp: { brackets: { [bracket: string]: PvPBracket }, totalHonorableKills: number } }
+    quests: { quests: number[] }
+    reputation: { reputation: Array<{ id: number, name: string, standing: number, value: number, max: number }> }
+    statistics: { statistics: any }
+    stats: { stats: { [stat: string]: number | string } }
+    talents: { talents: Array<{ selected?: boolean, talents: any[], spec: { name: string, role: string, backgroundImage: string, icon: string, description: string, order: number }, calcTalent: string, calcSpec: string }> }
+    titles: { titles: Array<{ id: number, name: string, selected?: boolean }> }
+    audit: { audit: CharacterAudit }
+  }
+  type CharacterField = keyof CharacterFieldMap
+  type UnionToIntersection<U> = (U extends any ? (arg: U) => void : never) extends ((arg: infer I) => void) ? I : never
+  /**
+   * A character profile with the properties of the requested fields.
+   */
+  type CharacterProfileWith<F extends CharacterField> = CharacterProfile & UnionToIntersection<CharacterFieldMap[F]>
+  type CharacterResult<P> =
+    { realm: string, name: string, ok: true, profile: P } |
+    { realm: string, name: string, ok: false, error: BattleNetApiError }
+  interface Profession {
+    id: number
+    name: string
+    icon: string
+    rank: number
+    max: number
+    recipes: number[]
+  }
+
+  // Guilds
+  interface GuildProfile {
+    lastModified: number
+    name: string
+    realm: string
+    battlegroup: string
+    level: number
+    side: number
+    achievementPoints: number
+  }
+  interface GuildMember {
+    character: {
+      name: string
+      realm: string
+      battlegroup: string
+      class: number
+      race: number
+      gender: number
+      level: number
+      achievementPoints: number
+      thumbnail: string
+      spec?: { name: string, role: string, [property: string]: any }
+      guild: string
+      guildRealm: string
+      lastModified: number
+    }
+    rank: number
+  }
+  interface GuildNews {
+    type: 'itemLoot' | 'itemPurchase' | 'playerAchievement' | 'guildAchievement' | string
+    character?: string
+    timestamp: number
+    itemId?: number
+    context?: string
+    bonusLists?: number[]
+    achievement?: Achievement
+  }
+  interface GuildFieldMap {
+    members: { members: GuildMember[] }
+    achievements: { achievements: CompletedAchievements }
+    news: { news: GuildNews[] }
+    challenge: { challenge: any[] }
+  }
+  type GuildField = keyof GuildFieldMap
+  type GuildProfileWith<F extends GuildField> = GuildProfile & UnionToIntersection<GuildFieldMap[F]>
+
+  // Game data
+  interface Item {
+    id: number
+    name: string
+    icon: string
+    description?: string
+    itemLevel: number
+    itemClass: number
+    itemSubClass: number
+    inventoryType: number
+    quality: number
+    stackable: number
+    buyPrice?: number
+    sellPrice?: number
+    requiredLevel?: number
+    bonusStats?: Array<{ stat: number, amount: number }>
+    itemSet?: ItemSet
+    [property: string]: any
+  }
+  interface ItemSet {
+    id: number
+    name: string
+    setBonuses: Array<{ description: string, threshold: number }>
+    items: number[]
+  }
+  interface ItemClass {
+    class: number
+    name: string
+    subclasses: Array<{ subclass: number, name: string }>
+  }
+  interface Boss {
+    id: number
+    name: string
+    urlSlug: string
+    description: string
+    zoneId: number
+    availableInNormalMode: boolean
+    availableInHeroicMode: boolean
+    health: number
+    heroicHealth: number
+    level: number
+    heroicLevel: number
+    journalId: number
+    npcs: any[]
+  }
+  interface Zone {
+    id: number
+    name: string
+    urlSlug: string
+    description?: string
+    location?: { id: number, name: string }
+    expansionId?: number
+    numPlayers?: string
+    isDungeon: boolean
+    isRaid: boolean
+    advisedMinLevel?: number
+    advisedMaxLevel?: number
+    availableModes?: string[]
+    bosses: Boss[]
+  }
+  interface Mount {
+    name: string
+    spellId: number
+    creatureId: number
+    itemId: number
+    qualityId: number
+    icon: string
+    isGround: boolean
+    isFlying: boolean
+    isAquatic: boolean
+    isJumping: boolean
+  }
+  interface Pet {
+    canBattle: boolean
+    creatureId: number
+    name: string
+    family: string
+    icon: string
+    qualityId: number
+    stats: { speciesId: number, [stat: string]: number }
+    strongAgainst: string[]
+    typeId: number
+    weakAgainst: string[]
+  }
+  interface PetAbility {
+    id: number
+    name: string
+    icon: string
+    cooldown: number
+    rounds: number
+    petTypeId: number
+    isPassive: boolean
+    hideHints: boolean
+  }
+  interface PetSpecies {
+    speciesId: number
+    petTypeId: number
+    creatureId: number
+    name: string
+    canBattle: boolean
+    icon: string
+    description: string
+    source: string
+    abilities: Array<PetAbility & { slot: number, order: number, requiredLevel: number }>
+  }
+  interface PetStats {
+    speciesId: number
+    breedId: number
+    petQualityId: number
+    level: number
+    health: number
+    power: number
+    speed: number
+  }
+  interface PetType {
+    id: number
+    key: string
+    name: string
+    typeAbilityId: number
+    strongAgainstId: number
+    weakAgainstId: number
+  }
+  interface LeaderboardRow {
+    ranking: number
+    rating: number
+    name: string
+    realmId: number
+    realmName: string
+    realmSlug: string
+    raceId: number
+    classId: number
+    specId: number
+    factionId: number
+    genderId: number
+    seasonWins: number
+    seasonLosses: number
+    weeklyWins: number
+    weeklyLosses: number
+  }
+  interface Leaderboard {
+    rows: LeaderboardRow[]
+  }
+  interface Quest {
+    id: number
+    title: string
+    reqLevel: number
+    suggestedPartyMembers: number
+    category: string
+    level: number
+  }
+  interface RealmStatus {
+    type: string
+    population: string
+    queue: boolean
+    status: boolean
+    name: string
+    slug: string
+    battlegroup: string
+    locale: string
+    timezone: string
+    connected_realms: string[]
+  }
+  interface Recipe {
+    id: number
+    name: string
+    profession: string
+    icon: string
+  }
+  interface Spell {
+    id: number
+    name: string
+    icon: string
+    description: string
+    range?: string
+    powerCost?: string
+    castTime: string
+    cooldown?: string
+  }
+  interface Battlegroup {
+    name: string
+    slug: string
+  }
+  interface Race {
+    id: number
+    mask: number
+    side: string
+    name: string
+  }
+  interface CharacterClass {
+    id: number
+    mask: number
+    powerType: string
+    name: string
+  }
+  interface GuildReward {
+    minGuildLevel: number
+    minGuildRepLevel: number
+    races?: number[]
+    achievement?: Achievement
+    item: Item
+  }
+  interface GuildPerk {
+    guildLevel: number
+    spell: Spell
+  }
+  interface IndexEntry {
+    key: { href: string }
+    name: string
+    id: number
+  }
+
+  // Guild roster
+  interface RosterMember {
+    name: string
+    realm: string
+    rank: number
+    level: number
+    achievementPoints: number
+    class: { id: number, name?: string }
+    race: { id: number, name?: string }
+    gender: number
+    spec?: string
+  }
+  interface RosterSnapshot {
+    realm: string
+    guild: string
+    timestamp: number
+    members: RosterMember[]
+  }
+  interface RosterDiff {
+    joined: RosterMember[]
+    left: RosterMember[]
+    rankChanged: Array<{ member: RosterMember, previousRank: number, rank: number }>
+    levelUps: Array<{ member: RosterMember, previousLevel: number, level: number }>
+  }
+  interface NewsFilter {
+    since?: number
+    types?: string[]
+  }
+  class GuildRoster {
+    constructor(client: WoWClient)
+    members(realm: string, guildname: string, options?: RequestOptions): Promise<RosterMember[] | undefined>
+    snapshot(realm: string, guildname: string, options?: RequestOptions): Promise<RosterSnapshot | undefined>
+    news(realm: string, guildname: string, filter?: NewsFilter, options?: RequestOptions): Promise<Array<GuildNews & { member?: RosterMember }> | undefined>
+    loot(realm: string, guildname: string, since?: number, options?: RequestOptions): Promise<Array<{ member?: RosterMember, character: string, itemId: number, timestamp: number }> | undefined>
+  }
+  function diffRosters(previous: RosterSnapshot, current: RosterSnapshot): RosterDiff
+
+  // Gear audit
+  interface GearReport {
+    name: string
+    realm: string
+    averageItemLevel: number
+    averageItemLevelEquipped: number
+    slots: Array<{ slot: string, id: number, name: string, itemLevel: number, enchant?: number, gems: number[] }>
+    missingEnchants: string[]
+    emptySockets: string[]
+    emptySocketCount: number
+    setBonuses: Array<{ id: number, name: string, equipped: number, bonuses: Array<{ description: string, threshold: number, active: boolean }> }>
+  }
+  interface GearRosterReport {
+    minItemLevel: number
+    members: Array<{ realm: string, name: string, guildRank: number, averageItemLevelEquipped: number, meetsMinimum: boolean, report: GearReport }>
+    failures: Array<{ realm: string, name: string, error: BattleNetApiError }>
+  }
+  class GearAudit {
+    constructor(client: WoWClient)
+    character(realm: string, charname: string, options?: RequestOptions): Promise<GearReport | undefined>
+    report(profile: CharacterProfileWith<'items' | 'audit'>, options?: RequestOptions): Promise<GearReport>
+    roster(realm: string, guildname: string, options?: BulkOptions & { minItemLevel?: number }): Promise<GearRosterReport | undefined>
+  }
+  function gearReport(profile: Partial<CharacterProfileWith<'items' | 'audit'>>): GearReport
+
+  // Realm watcher
+  interface RealmChange {
+    slug: string
+    previous: RealmStatus
+    current: RealmStatus
+  }
+  type RealmEvent = 'realmDown' | 'realmUp' | 'queueStarted' | 'queueEnded' | 'populationChanged' | 'battlegroupChanged'
+  class RealmWatcher extends EventEmitter {
+    constructor(client: WoWClient, options?: { interval?: number, slugs?: string[], locale?: string })
+    start(): this
+    stop(): this
+    poll(): Promise<void>
+    realms(): Map<string, RealmStatus>
+    on(event: RealmEvent, listener: (change: RealmChange) => void): this
+    on(event: 'error', listener: (error: Error) => void): this
+    once(event: RealmEvent, listener: (change: RealmChange) => void): this
+    once(event: 'error', listener: (error: Error) => void): this
+  }
+
+  // Router
+  interface RouterOptions {
+    regions?: Region[]
+    locales?: { [region in Region]?: string }
+    clientOptions?: ClientOptions
+  }
+  class WoWRouter {
+    constructor(clientId: string, clientSecret: string, options?: RouterOptions)
+    regions(): Region[]
+    client(region?: Region, locale?: string): WoWClient
+    call(method: string, args?: any[], target?: { region?: Region, locale?: string }): Promise<any>
+    fanOut(method: string, args?: any[], options?: { regions?: Region[], select?: (result: any) => any[] }): Promise<{ data: Array<{ region: Region, [property: string]: any }>, errors: Array<{ region: Region, error: Error }> }>
+  }
+  const LOCALES: { [region in Region]: string[] }
+  const REGIONS: Region[]
+
+  // Achievement progress
+  interface ProgressOptions {
+    faction?: number
+    recent?: number
+    threshold?: number
+  }
+  interface ProgressSummary {
+    completed: number
+    total: number
+    percentage: number
+    points: { earned: number, available: number }
+  }
+  interface AchievementEntry {
+    id: number
+    title: string
+    points: number
+    completed: boolean
+    completedAt?: number
+    progress: number
+  }
+  interface CategoryProgress extends ProgressSummary {
+    id: number
+    name: string
+    achievements: AchievementEntry[]
+    categories: CategoryProgress[]
+  }
+  interface AchievementReport extends ProgressSummary {
+    name?: string
+    realm?: string
+    categories: CategoryProgress[]
+    recent: Array<AchievementEntry & { categoryId: number }>
+    nearlyComplete: Array<AchievementEntry & { categoryId: number, criteria: Array<{ id: number, description: string, quantity: number, max: number }> }>
+  }
+  interface ProgressComparison {
+    first: ProgressSummary
+    second: ProgressSummary
+    categories: Array<{ path: string, first?: ProgressSummary, second?: ProgressSummary }>
+    onlyFirst: AchievementEntry[]
+    onlySecond: AchievementEntry[]
+  }
+  class AchievementProgress {
+    constructor(client: WoWClient)
+    character(realm: string, charname: string, options?: RequestOptions & ProgressOptions): Promise<AchievementReport | undefined>
+    guild(realm: string, guildname: string, options?: RequestOptions & ProgressOptions): Promise<AchievementReport | undefined>
+    compare(first: CharacterRef, second: CharacterRef, options?: RequestOptions & ProgressOptions): Promise<ProgressComparison | undefined>
+    compareGuild(realm: string, charname: string, options?: RequestOptions & ProgressOptions): Promise<ProgressComparison | undefined>
+  }
+  function achievementProgress(categories: AchievementCategory[], achievements: CompletedAchievements, options?: ProgressOptions): AchievementReport
+  function compareProgress(first: AchievementReport, second: AchievementReport): ProgressComparison
+
+  // Static data export
+  type ExportList = 'achievements' | 'bosses' | 'zones' | 'mounts' | 'pets' | 'classes' | 'races' | 'itemClasses' | 'talents' | 'guildPerks' | 'guildRewards'
+  type ExportDetail = 'items' | 'spells' | 'quests' | 'petSpecies'
+  interface ExporterOptions {
+    format?: 'ndjson' | 'sqlite'
+    output?: string
+    checkpoint?: string
+    lists?: ExportList[]
+    follow?: boolean
+    seeds?: { [resource in ExportDetail]?: number[] }
+    concurrency?: number
+    batchSize?: number
+    requestOptions?: RequestOptions
+  }
+  interface ExportProgress {
+    resource: ExportList | ExportDetail
+    written: number
+    pending: number
+  }
+  interface ExportResult {
+    written: { [resource in ExportList | ExportDetail]?: number }
+    failures: Array<{ resource: ExportDetail, id: number, error: Error }>
+  }
+  class Exporter extends EventEmitter {
+    constructor(client: WoWClient, options?: ExporterOptions)
+    run(): Promise<ExportResult>
+    on(event: 'progress', listener: (progress: ExportProgress) => void): this
+    once(event: 'progress', listener: (progress: ExportProgress) => void): this
+  }
+
+  // Battle pet team planner
+  interface PetPlannerOptions {
+    store?: CacheStore
+    ttl?: number
+  }
+  interface PetTeamOptions extends RequestOptions {
+    concurrency?: number
+    distinctSpecies?: boolean
+  }
+  interface PetCandidate {
+    name: string
+    speciesId: number
+    battlePetGuid?: string
+    level: number
+    family: number
+    abilities: Array<PetAbility & { slot: number, requiredLevel?: number }>
+  }
+  interface PetOpponent {
+    family: number
+    abilities: PetAbility[]
+  }
+  interface SelectedPetAbility {
+    slot: number
+    id: number
+    name: string
+    type: string
+    modifier: number
+  }
+  interface PetScore {
+    score: number
+    offense: number
+    defense: number
+    abilities: SelectedPetAbility[]
+    reasons: string[]
+  }
+  interface PetPick extends PetScore {
+    name: string
+    speciesId: number
+    battlePetGuid: string
+    level: number
+    family: string
+  }
+  interface PetTeamPlan {
+    name?: string
+    realm?: string
+    opponent: { speciesId: number, name: string, family: string, abilities: Array<{ id: number, name: string, type: string, isPassive: boolean }> }
+    team: PetPick[]
+    candidates: PetPick[]
+  }
+  class PetTeamPlanner {
+    constructor(client: WoWClient, options?: PetPlannerOptions)
+    character(realm: string, charname: string, opponentSpeciesId: number, options?: PetTeamOptions): Promise<PetTeamPlan | undefined>
+    team(pets: CollectedPet[], opponentSpeciesId: number, options?: PetTeamOptions): Promise<PetTeamPlan | undefined>
+  }
+  function scorePet(pet: PetCandidate, opponent: PetOpponent, types: PetType[]): PetScore
+
+  // Validation
+  const CHARACTER_FIELDS: CharacterField[]
+  const GUILD_FIELDS: GuildField[]
+  const BRACKETS: Bracket[]
+  function slugify(realm: string): string
+
+  // Testing
+  interface MockServer {
+    server: Server
+    url: string
+    clientOptions: { baseURL: string, oauthURL: string }
+    close(): Promise<void>
+  }
+  function startMockServer(options?: { port?: number, fixtures?: string }): Promise<MockServer>
+  function createMockServer(options?: { fixtures?: string }): Server
+  function recordFetch(dir: string, options?: { fetch?: FetchLike }): FetchLike
+  function replayFetch(dir: string): FetchLike
+}
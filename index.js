@@ -3,113 +3,459 @@
  * Its porpuse is to facilitate the connection to the BattleNet API for WoW to an application client e.g.
  * One application that connects throught the OAuth client credentials flow.
  */
+const EventEmitter = require('events')
 const fetch = require('node-fetch')
-const FormData = require('form-data')
+const { MemoryCache, ResponseCache } = require('./lib/cache')
+const { RetryPolicy } = require('./lib/retry')
+const { Scheduler } = require('./lib/scheduler')
+const { TokenManager, generateToken } = require('./lib/token-manager')
+const { AuctionHouse, diffSnapshots, itemStatistics } = require('./lib/auction')
+const { streamAuctions } = require('./lib/auction-stream')
+const { GuildRoster, diffRosters } = require('./lib/roster')
+const { mapConcurrent } = require('./lib/pool')
+const { regionURL, defaultAPIURL } = require('./lib/hosts')
+const { startMockServer, createMockServer } = require('./lib/mock-server')
+const { recordFetch, replayFetch } = require('./lib/recorder')
+const { GearAudit, gearReport } = require('./lib/gear')
+const { RealmWatcher } = require('./lib/realm-watcher')
+const { WoWRouter } = require('./lib/router')
+const { Exporter } = require('./lib/exporter')
+const { AchievementProgress, achievementProgress, compareProgress } = require('./lib/achievements')
+const { PetTeamPlanner, scorePet } = require('./lib/pets')
+const { MetricsCollector, endpointName } = require('./lib/metrics')
+const { callSignal, throwIfAborted, abortable } = require('./lib/abort')
+const { LOCALES, REGIONS } = require('./lib/regions')
+const { CHARACTER_FIELDS, GUILD_FIELDS, BRACKETS, slugify, realmPath, namePath, fieldProblems, enumProblems, assertValid } = require('./lib/validation')
+const {
+  BattleNetApiError,
+  NotFoundError,
+  UnauthorizedError,
+  RateLimitedError,
+  ServerError,
+  NetworkError,
+  TimeoutError,
+  AbortError,
+  ValidationError,
+  MissingParameterException,
+  createResponseError,
+  redactURL,
+  redactError
+} = require('./lib/errors')
 /**
- * Given the Battle.Net application Id and Secret this function generate
- * a new token that can be used to connect to the Battle.Net api.
- * @param {string} clientId Battle.Net application ID
- * @param {string} clientSecret Battle.Net application Secret
- * @param {string} region Battle.Net region of authentication server. Default is 'us'
+ * Milliseconds the realm names resolved with resolveRealms are kept before fetching them again.
  */
-const generateToken = async (clientId, clientSecret, region) => {
-  const requestURL = `https://${clientId}:${clientSecret}@${region.toLowerCase()}.battle.net/oauth/token`
-  const formData = new FormData()
-  formData.append('grant_type', 'client_credentials')
-  const res = await fetch(requestURL, { method: 'POST', body: formData })
-  if (!res.ok) {
-    throw new Error("Error generating a new token. Check yours client ID and Secret.")
-  }
-  return await res.json()
-}
+const REALM_SLUGS_TTL = 60 * 60 * 1000
 /**
  * WowClient facilitate the connection to the blizzard API
  * and expose methods to query information of the World of Warcraft API.
  * You must provide your application's Id and Secret obteined from the Blizzar Developer Portal.
+ *
+ * Every request attempt emits beforeRequest, then afterResponse once a response is received, whatever its status,
+ * and error if the attempt fails. The events receive { path, endpoint, region, namespace, url } with the access
+ * token redacted from the url, afterResponse adds status, duration in milliseconds and nok, true for a status payload,
+ * error adds status, duration and the error. Error events are only emitted when there are listeners.
+ * tokenRefreshed is emitted with { region, duration, expiresIn } each time a request of the client generates a token,
+ * so that a token shared by several clients is reported once.
  */
-class WoWClient {
-  constructor(clientId, clientSecret, { region = "us", locale = "en_US" } = {}) {
+class WoWClient extends EventEmitter {
+  /**
+   * @param {string} clientId Battle.Net application ID
+   * @param {string} clientSecret Battle.Net application Secret
+   * @param {object} options
+   * @param {string} options.region Battle.Net region. Default is 'us'
+   * @param {string} options.locale Locale of the responses. Default is 'en_US'
+   * @param {boolean|object} options.cache Enable the response cache. Pass true to use an in-memory LRU cache with the default TTLs
+   * or the ResponseCache options ({ store, max, ttl }) to customize it. Default is false
+   * @param {boolean} options.strict Throw a BattleNetApiError instead of returning undefined when a resource is not found
+   * or the API answers with an error payload. Default is false
+   * @param {boolean|object} options.retry The RetryPolicy options ({ attempts, baseDelay, maxDelay, jitter, statuses, network })
+   * applied to failed requests. Pass false to disable retries. Default is {}
+   * @param {boolean|object} options.rateLimit The Scheduler options ({ perSecond, perHour, concurrency }) limiting
+   * the requests sent to Blizzard. Pass false to disable the limits. Default is {}
+   * @param {TokenManager} options.tokenManager A token manager, possibly shared with other clients.
+   * Default is a new TokenManager for the client credentials and region
+   * @param {Function} options.fetch The fetch implementation used for every request, e.g. to record or replay responses. Default is node-fetch
+   * @param {string} options.baseURL The API URL template, {region} is replaced by the client region.
+   * Default is https://{region}.api.blizzard.com, or https://gateway.battlenet.com.cn for the cn region
+   * @param {string} options.oauthURL The token endpoint URL template used by the default token manager.
+   * Default is https://{region}.battle.net/oauth/token, or https://www.battlenet.com.cn/oauth/token for the cn region
+   * @param {boolean} options.resolveRealms Resolve realm names to slugs through realms() before falling back
+   * to the slug computed from the name. The names are fetched once an hour, whether the cache is enabled or not. Default is false
+   * @param {boolean|MetricsCollector} options.metrics Collect the request metrics, see metrics(). Pass true to use a new
+   * MetricsCollector or a collector shared with other clients. Default is false
+   * @param {number} options.timeout Milliseconds allowed to each call, unless the call sets its own timeout. Default is none.
+   * It also bounds the token requests of the TokenManager created by the client
+   */
+  constructor(clientId, clientSecret, { region = "us", locale = "en_US", cache = false, strict = false, retry = {}, rateLimit = {}, tokenManager = undefined, fetch: fetchImpl = fetch, baseURL = undefined, oauthURL = undefined, resolveRealms = false, metrics = false, timeout = undefined } = {}) {
+    super()
     this._btnet_client_id = clientId
     this._btnet_client_secret = clientSecret
     this._btnet_region = region.toLowerCase()
     this._btnet_locale = locale
-    this._btnet_token = null
+    this._fetch = fetchImpl
+    this._baseURL = baseURL || defaultAPIURL(this._btnet_region)
+    this._tokens = tokenManager || new TokenManager(clientId, clientSecret, { region, fetch: fetchImpl, url: oauthURL, timeout })
+    this._cache = cache ? new ResponseCache(cache === true ? {} : cache) : null
+    this._strict = strict
+    this._resolveRealms = resolveRealms
+    this._realmSlugs = null
+    this._timeout = timeout
+    this._retry = new RetryPolicy(retry === false ? { attempts: 1 } : retry)
+    this._scheduler = new Scheduler(rateLimit === false ? { perSecond: Infinity, perHour: Infinity, concurrency: Infinity } : rateLimit)
+    this._metrics = metrics ? (metrics === true ? new MetricsCollector() : metrics).attach(this) : null
+  }
+  /**
+   * Return the collected metrics in the Prometheus text format, undefined if the metrics option is not set.
+   */
+  metrics() {
+    return this._metrics ? this._metrics.prometheus() : undefined
+  }
+  /**
+   * Emit the error event of a failed attempt, if anybody listens to it, and return the error.
+   * @param {object} event The event of the attempt
+   * @param {number} started Start time of the attempt
+   * @param {Error} error
+   */
+  _failed(event, started, error) {
+    if (this.listenerCount('error')) {
+      this.emit('error', Object.assign({}, event, { status: error.status, duration: Date.now() - started, error }))
+    }
+    return error
   }
   /**
    * Submit a request for a given resource of the API.
-   * Before send the request check if a valid token exist,
-   * otherwise a new one is generated automatically.
+   * The access token is provided by the token manager, that generates a new one when needed.
+   * When the cache is enabled a valid cached response is returned without contacting the API.
+   * Throttled requests, server and network failures are retried according to the retry policy.
+   * Every attempt waits its turn in the scheduler queue so the rate limits are never exceeded.
+   * Failed requests throw a BattleNetApiError subclass, except not found resources that,
+   * unless the client is strict, resolve to a status payload so public methods return undefined.
+   * A call aborted through its signal throws an AbortError, a call exceeding its timeout a TimeoutError,
+   * whether it was waiting for the token, in the queue, between two attempts or for the response.
    * @param {string} path A WoW api path starting after /wow/
    * @param {Array<string>} fields A list of fields to include in the request param list
+   * @param {object} options
+   * @param {boolean} options.cache Set to false to bypass the cache for this request. Default is true
+   * @param {boolean} options.refresh Ignore the cached response and replace it with a fresh one. Default is false
+   * @param {string} options.priority Scheduler lane of the request: high, normal or low. Default is normal
+   * @param {string} options.namespace Namespace of a Game Data or Profile API request: static, dynamic or profile.
+   * When set the path is relative to the API host (e.g. data/wow/playable-class/index) instead of /wow/
+   * @param {AbortSignal} options.signal Cancel the call. Default is none
+   * @param {number} options.timeout Milliseconds allowed to the call, retries included. Default is the client timeout
    */
-  async _fetchAPI(path, fields) {
-    // if no token exists or if it has expired generate one
-    if (!this._btnet_token || this._token_time_elapsed >= this._btnet_token.expires_in) {
-      // get the time the new token is beign generated
-      this._token_time0 = new Date().getTime() / 1000
-      this._btnet_token = await generateToken(this._btnet_client_id, this._btnet_client_secret, this._btnet_region)
+  async _fetchAPI(path, fields, { cache = true, refresh = false, priority = 'normal', namespace = undefined, signal = undefined, timeout = this._timeout } = {}) {
+    const scope = callSignal(signal, timeout, { path, region: this._btnet_region })
+    try {
+      throwIfAborted(scope.signal)
+      const cacheKey = this._cache && cache ? this._cache.key(this._btnet_region, this._btnet_locale, path, fields, namespace) : null
+      if (cacheKey && !refresh) {
+        const cached = await this._cache.get(cacheKey)
+        if (cached !== undefined) return cached
+      }
+      let response
+      try {
+        response = await this._retry.run(() => this._scheduler.schedule(() => this._request(path, fields, { namespace, signal: scope.signal }), { priority, signal: scope.signal }), { signal: scope.signal })
+      } catch (err) {
+        if (err instanceof NotFoundError && !this._strict) {
+          return { status: 'nok', reason: err.reason }
+        }
+        throw err
+      }
+      if (cacheKey && response.status != 'nok') {
+        await this._cache.set(cacheKey, path, response, namespace)
+      }
+      return response
+    } finally {
+      scope.clear()
+    }
+  }
+  /**
+   * Perform a single attempt of an API request.
+   * When the token is refused, because it has been revoked before its expiration,
+   * a new token is generated and the request is sent again once.
+   * The attempt emits the beforeRequest, afterResponse and error events.
+   * @param {string} path A WoW api path starting after /wow/
+   * @param {Array<string>} fields A list of fields to include in the request param list
+   * @param {object} options
+   * @param {string} options.namespace Namespace of a Game Data or Profile API request: static, dynamic or profile
+   * @param {AbortSignal} options.signal The signal of the call, see _fetchAPI
+   * @param {boolean} options.renewToken Generate a new token if the current one is refused. Default is true
+   */
+  async _request(path, fields, { namespace = undefined, signal = undefined, renewToken = true } = {}) {
+    const started = Date.now()
+    const event = { path, endpoint: endpointName(path), region: this._btnet_region, namespace }
+    let access_token
+    try {
+      access_token = await this._tokens.getToken({ signal, onRefresh: event => this.emit('tokenRefreshed', event) })
+    } catch (err) {
+      throw this._failed(event, started, err)
+    }
+    const params = [
+      fields ? `fields=${fields.join(',')}` : '',
+      namespace ? `namespace=${namespace}-${this._btnet_region}` : '',
+      `locale=${this._btnet_locale}`,
+      `access_token=${access_token}`
+    ].filter(param => param).join('&')
+    const requestStr = `${regionURL(this._baseURL, this._btnet_region)}/${namespace ? '' : 'wow/'}${path}?${params}`
+    const details = { path, region: this._btnet_region, url: requestStr }
+    event.url = redactURL(requestStr)
+    this.emit('beforeRequest', Object.assign({}, event))
+    let res
+    try {
+      res = await this._fetch(requestStr, { signal })
+    } catch (err) {
+      if (signal && signal.aborted) throw this._failed(event, started, signal.reason)
+      throw this._failed(event, started, new NetworkError(`Request to ${path} (${this._btnet_region}) failed: ${redactURL(err.message)}`, Object.assign({ cause: redactError(err) }, details)))
     }
-    // at each request calculate the time elapsed since the token was created
-    this._token_time_elapsed = Math.abs(Math.ceil(this._token_time0 - (new Date().getTime() / 1000)))
-    const { access_token } = this._btnet_token
-    const requestStr = `https://${this._btnet_region}.api.blizzard.com/wow/${path}?${fields ? `fields=${fields.join(',')}&` : ''}locale=${this._btnet_locale}&access_token=${access_token}`
-    const res = await fetch(requestStr)
     if (!res.ok) {
-      throw new Error(`There was a problem with the request ${requestStr}`)
+      this.emit('afterResponse', Object.assign({}, event, { status: res.status, duration: Date.now() - started, nok: false }))
+      if (res.status == 401 && renewToken) {
+        await this._tokens.invalidate(access_token)
+        return await this._request(path, fields, { namespace, signal, renewToken: false })
+      }
+      throw this._failed(event, started, await createResponseError(res, details))
+    }
+    let response
+    try {
+      response = await res.json()
+    } catch (err) {
+      throw this._failed(event, started, signal && signal.aborted ? signal.reason : err)
+    }
+    // Game Data and Profile resources may have a status property of their own, only 'nok' is an error payload
+    const nok = response.status == 'nok'
+    this.emit('afterResponse', Object.assign({}, event, { status: res.status, duration: Date.now() - started, nok }))
+    if (nok && this._strict) {
+      throw this._failed(event, started, new BattleNetApiError(`Request to ${path} (${this._btnet_region}) failed${response.reason ? `: ${response.reason}` : ''}`, Object.assign({ reason: response.reason }, details)))
+    }
+    return response
+  }
+  /**
+   * Submit a request to the Game Data or Profile API.
+   * Resolve to undefined if the resource is not found and the client is not strict.
+   * @param {string} path The API path, e.g. data/wow/playable-class/index
+   * @param {string} namespace The namespace type: static, dynamic or profile. The region is appended automatically
+   * @param {object} options Request options, see _fetchAPI
+   */
+  async gameData(path, namespace = 'static', options = {}) {
+    if (!path) throw new MissingParameterException('path', 'string')
+    const response = await this._fetchAPI(path, null, Object.assign({}, options, { namespace }))
+    return response.status == 'nok' ? undefined : response
+  }
+  /**
+   * Return the encoded slug of a realm for a request path.
+   * Names are looked up in realms() when resolveRealms is enabled, otherwise the slug is computed from the name.
+   * @param {string} realm The realm name or slug
+   * @param {object} options Request options, see _fetchAPI
+   */
+  async _realmPath(realm, options = {}) {
+    if (this._resolveRealms) {
+      const realms = await this._resolvedRealms(options)
+      const name = realms && Array.from(realms.keys()).find(name => name.toLowerCase() == realm.trim().toLowerCase())
+      if (name) return encodeURIComponent(realms.get(name))
+    }
+    return realmPath(realm)
+  }
+  /**
+   * Return the realm slugs by name, fetched at most once every REALM_SLUGS_TTL and shared by concurrent calls.
+   * The shared request does not use the signal of the call, an aborted call only stops waiting for it.
+   * @param {object} options Request options, see _fetchAPI
+   */
+  async _resolvedRealms(options = {}) {
+    if (!this._realmSlugs || this._realmSlugs.expires <= Date.now()) {
+      const slugs = { expires: Date.now() + REALM_SLUGS_TTL }
+      slugs.realms = this.realms(undefined, { priority: options.priority }).then(realms => {
+        // retry on the next call rather than keeping a failure for an hour
+        if (!realms && this._realmSlugs == slugs) this._realmSlugs = null
+        return realms
+      }, err => {
+        if (this._realmSlugs == slugs) this._realmSlugs = null
+        throw err
+      })
+      // no unhandled rejection when every waiting call has been aborted
+      slugs.realms.catch(() => {})
+      this._realmSlugs = slugs
     }
-    return await res.json()
+    return await abortable(this._realmSlugs.realms, options.signal)
+  }
+  /**
+   * Return the number of queued requests by priority lane, the running ones
+   * and the quota left for the current second and hour.
+   */
+  queueStatus() {
+    return this._scheduler.stats()
+  }
+  /**
+   * Remove the cached response of a request, if any.
+   * @param {string} path A WoW api path starting after /wow/, or a Game Data or Profile API path
+   * @param {Array<string>} fields The fields of the cached request
+   * @param {string} namespace The namespace type of a Game Data or Profile API request
+   */
+  async invalidateCache(path, fields = null, namespace = undefined) {
+    if (!this._cache) return
+    await this._cache.delete(this._cache.key(this._btnet_region, this._btnet_locale, path, fields, namespace))
+  }
+  /**
+   * Remove every cached response.
+   */
+  async clearCache() {
+    if (!this._cache) return
+    await this._cache.clear()
   }
   /**
    * Get information about a particular achievement
    * @param {number} id The achievement id
+   * @param {object} options Request options, see _fetchAPI
    */
-  async achievement(id) {
+  async achievement(id, options = {}) {
     if (!id) {
       throw new MissingParameterException('id', 'number')
     }
-    const achievement = await this._fetchAPI(`achievement/${id}`)
+    const achievement = await this._fetchAPI(`achievement/${id}`, null, options)
     return achievement.status ? undefined : achievement
   }
   /**
    * Returns a list of all achievements that characters can earn as well as the category structure and hierarchy.
+   * @param {object} options Request options, see _fetchAPI
    */
-  async availableAchievements() {
-    const response = await this._fetchAPI(`data/character/achievements`)
+  async availableAchievements(options = {}) {
+    const response = await this._fetchAPI(`data/character/achievements`, null, options)
     return response.status ? undefined : response.achievements
   }
   /**
    * Retrive item informations in the auction house of the given realm 
    * @param {string} realm The realm slug
+   * @param {object} options Request options, see _fetchAPI
    */
-  async auction(realm) {
+  async auction(realm, options = {}) {
+    return await this._withSignal(options, { path: `auction/data/${realm}`, region: this._btnet_region }, async callOptions => {
+      const files = await this.auctionFiles(realm, callOptions)
+      if (!files) {
+        return null
+      }
+      const { auctions } = await this.auctionData(files[0].url, callOptions)
+      return auctions
+    })
+  }
+  /**
+   * Stream the auctions of the given realm one by one while the dump is downloaded,
+   * keeping memory flat regardless of the dump size.
+   * @param {string} realm The realm slug
+   * @param {object} filter Keep only some auctions
+   * @param {Array<number>} filter.items Item ids to keep
+   * @param {string} filter.owner Owner name to keep
+   * @param {string} filter.ownerRealm Owner realm to keep
+   * @param {object} options Request options, see _fetchAPI
+   */
+  async *auctionStream(realm, filter = {}, options = {}) {
+    const { signal = undefined, timeout = this._timeout } = options
+    const scope = callSignal(signal, timeout, { path: `auction/data/${realm}`, region: this._btnet_region })
+    const callOptions = Object.assign({}, options, { signal: scope.signal, timeout: 0 })
+    try {
+      const files = await this.auctionFiles(realm, callOptions)
+      if (!files) {
+        return
+      }
+      const res = await this._download(files[0].url, callOptions)
+      yield* streamAuctions(res.body, filter)
+    } catch (err) {
+      throwIfAborted(scope.signal)
+      throw err
+    } finally {
+      scope.clear()
+    }
+  }
+  /**
+   * Return the auction house dump files of the given realm, each one with its url and lastModified timestamp.
+   * @param {string} realm The realm slug
+   * @param {object} options Request options, see _fetchAPI
+   */
+  async auctionFiles(realm, options = {}) {
     if (!realm) {
       throw new MissingParameterException('realm', 'string')
     }
-    const auctionRequest = await this._fetchAPI(`auction/data/${realm}`)
-    if (auctionRequest.status) {
-      return null
+    const auctionRequest = await this._fetchAPI(`auction/data/${await this._realmPath(realm, options)}`, null, options)
+    return auctionRequest.status ? undefined : auctionRequest.files
+  }
+  /**
+   * Download an auction house dump file, as listed by auctionFiles.
+   * The dump contains the realms it covers and the auctions.
+   * @param {string} url The dump file url
+   * @param {object} options Request options, see _fetchAPI
+   */
+  async auctionData(url, options = {}) {
+    if (!url) throw new MissingParameterException('url', 'string')
+    return await this._withSignal(options, { path: url, region: this._btnet_region }, async ({ priority, signal }) => {
+      const res = await this._download(url, { priority, signal })
+      try {
+        return await res.json()
+      } catch (err) {
+        throwIfAborted(signal)
+        throw err
+      }
+    })
+  }
+  /**
+   * Run a call with a single signal combining the signal and timeout options, see callSignal.
+   * The options given to fn carry this signal and no timeout, so that the nested calls share the deadline of the call.
+   * @param {object} options Request options, see _fetchAPI
+   * @param {object} details The path and region of the call
+   * @param {Function} fn The call, receiving the options
+   */
+  async _withSignal(options, details, fn) {
+    const { signal = undefined, timeout = this._timeout } = options
+    const scope = callSignal(signal, timeout, details)
+    try {
+      return await fn(Object.assign({}, options, { signal: scope.signal, timeout: 0 }))
+    } finally {
+      scope.clear()
     }
-    const { url } = auctionRequest.files[0]
-    const res = await fetch(url)
-    const { auctions } = await res.json()
-    return auctions
+  }
+  /**
+   * Download a file outside the API, like the auction house dumps, through the scheduler and the retry policy.
+   * Resolve to the response once its status has been checked.
+   * @param {string} url The file url
+   * @param {object} options
+   * @param {string} options.priority Scheduler lane of the request: high, normal or low. Default is normal
+   * @param {AbortSignal} options.signal The signal of the call, see _fetchAPI. It also cancels the reading of the body
+   */
+  async _download(url, { priority = 'normal', signal = undefined } = {}) {
+    const details = { region: this._btnet_region, url }
+    const event = { path: url, endpoint: 'download', region: this._btnet_region, url }
+    return await this._retry.run(() => this._scheduler.schedule(async () => {
+      const started = Date.now()
+      this.emit('beforeRequest', Object.assign({}, event))
+      let res
+      try {
+        res = await this._fetch(url, { signal })
+      } catch (err) {
+        if (signal && signal.aborted) throw this._failed(event, started, signal.reason)
+        throw this._failed(event, started, new NetworkError(`Download of ${url} failed: ${redactURL(err.message)}`, Object.assign({ cause: redactError(err) }, details)))
+      }
+      this.emit('afterResponse', Object.assign({}, event, { status: res.status, duration: Date.now() - started, nok: false }))
+      if (!res.ok) {
+        throw this._failed(event, started, await createResponseError(res, Object.assign({ message: `Download of ${url} failed with status ${res.status}` }, details)))
+      }
+      return res
+    }, { priority, signal }), { signal })
   }
   /**
    * Return a list of all supported bosses
+   * @param {object} options Request options, see _fetchAPI
    */
-  async bosses() {
-    const response = await this._fetchAPI(`boss/`)
+  async bosses(options = {}) {
+    const response = await this._fetchAPI(`boss/`, null, options)
     return response.status ? undefined : response.bosses
   }
   /**
    * Provide information about a boss
    * @param {number} id The boss id
+   * @param {object} options Request options, see _fetchAPI
    */
-  async boss(id) {
+  async boss(id, options = {}) {
     if (!id) {
       throw new MissingParameterException('id', 'number')
     }
-    const bossIdReq = await this._fetchAPI(`boss/${id}`)
+    const bossIdReq = await this._fetchAPI(`boss/${id}`, null, options)
     return bossIdReq.status ? undefined : bossIdReq
   }
   /**
@@ -117,293 +463,355 @@ class WoWClient {
    * @param {string} realm The character's realm
    * @param {string} charname The character's name
    * @param {Array<string>} fields Specify the type of information(s) to retrive
+   * @param {object} options Request options, see _fetchAPI
    */
-  async characterProfile(realm, charname, fields = null) {
+  async characterProfile(realm, charname, fields = null, options = {}) {
     if (!realm) throw new MissingParameterException('realm', 'string')
     if (!charname) throw new MissingParameterException('charname', 'string')
-    const response = await this._fetchAPI(`character/${realm}/${charname}`, fields)
+    assertValid(fieldProblems(fields, CHARACTER_FIELDS, 'character'))
+    const response = await this._fetchAPI(`character/${await this._realmPath(realm, options)}/${namePath(charname)}`, fields, options)
     return response.status ? undefined : response
   }
+  /**
+   * Fetch many characters at once. Each character costs a single request with all the fields combined.
+   * A failure does not reject the batch: it is reported in the result of its character.
+   * @param {Array<object>} characters The characters to fetch, as { realm, name }
+   * @param {Array<string>} fields Specify the type of information(s) to retrive for every character
+   * @param {object} options Request options, see _fetchAPI
+   * @param {number} options.concurrency Maximum number of characters requested at the same time. Default is 10
+   * @returns {Map<string, object>} Results by 'realm/name', either { realm, name, ok: true, profile } or { realm, name, ok: false, error }
+   */
+  async characterProfiles(characters, fields = null, options = {}) {
+    if (!characters) throw new MissingParameterException('characters', 'Array')
+    const { concurrency = 10 } = options
+    const results = await mapConcurrent(characters, concurrency, async ({ realm, name }) => {
+      try {
+        const profile = await this.characterProfile(realm, name, fields, options)
+        if (!profile) {
+          const details = { status: 404, path: `character/${realm}/${name}`, region: this._btnet_region }
+          throw new NotFoundError(`Character ${name} not found on ${realm}`, details)
+        }
+        return { realm, name, ok: true, profile }
+      } catch (error) {
+        return { realm, name, ok: false, error }
+      }
+    })
+    return new Map(results.map(result => [`${result.realm}/${result.name}`, result]))
+  }
   /**
    * Returns a map of achievement data including completion timestamps and criteria information.
    * @param {string} realm Character's realm
    * @param {string} charname Character's name
+   * @param {object} options Request options, see _fetchAPI
    */
-  async characterAchievements(realm, charname) {
-    return await this.characterProfile(realm, charname, ['achievements'])
+  async characterAchievements(realm, charname, options = {}) {
+    return await this.characterProfile(realm, charname, ['achievements'], options)
   }
   /**
    * Returns a map of a character's appearance settings, such as which face texture they've selected and whether or not a helm is visible.
    * @param {string} realm Character's realm
    * @param {string} charname Character's name
+   * @param {object} options Request options, see _fetchAPI
    */
-  async characterAppearance(realm, charname) {
-    return await this.characterProfile(realm, charname, ['appearance'])
+  async characterAppearance(realm, charname, options = {}) {
+    return await this.characterProfile(realm, charname, ['appearance'], options)
   }
   /**
  * The character's activity feed.
  * @param {string} realm Character's realm
  * @param {string} charname Character's name
+ * @param {object} options Request options, see _fetchAPI
  */
-  async characterFeed(realm, charname) {
-    return await this.characterProfile(realm, charname, ['feed'])
+  async characterFeed(realm, charname, options = {}) {
+    return await this.characterProfile(realm, charname, ['feed'], options)
   }
   /**
  * A summary of the guild to which the character belongs. 
  * @param {string} realm Character's realm
  * @param {string} charname Character's name
+ * @param {object} options Request options, see _fetchAPI
  */
-  async characterGuild(realm, charname) {
-    return await this.characterProfile(realm, charname, ['guild'])
+  async characterGuild(realm, charname, options = {}) {
+    return await this.characterProfile(realm, charname, ['guild'], options)
   }
   /**
  * Returns a list of all combat pets the character has obtained.
  * @param {string} realm Character's realm
  * @param {string} charname Character's name
+ * @param {object} options Request options, see _fetchAPI
  */
-  async characterHunterPets(realm, charname) {
-    return await this.characterProfile(realm, charname, ['hunterPets'])
+  async characterHunterPets(realm, charname, options = {}) {
+    return await this.characterProfile(realm, charname, ['hunterPets'], options)
   }
   /**
  * Returns a list of items equipped by the character.
  * @param {string} realm Character's realm
  * @param {string} charname Character's name
+ * @param {object} options Request options, see _fetchAPI
  */
-  async characterItems(realm, charname) {
-    return await this.characterProfile(realm, charname, ['items'])
+  async characterItems(realm, charname, options = {}) {
+    return await this.characterProfile(realm, charname, ['items'], options)
   }
   /**
  * Returns a list of all mounts the character has obtained.
  * @param {string} realm Character's realm
  * @param {string} charname Character's name
+ * @param {object} options Request options, see _fetchAPI
  */
-  async characterMounts(realm, charname) {
-    return await this.characterProfile(realm, charname, ['mounts'])
+  async characterMounts(realm, charname, options = {}) {
+    return await this.characterProfile(realm, charname, ['mounts'], options)
   }
   /**
  * Returns a list of the battle pets the character has obtained.
  * @param {string} realm Character's realm
  * @param {string} charname Character's name
+ * @param {object} options Request options, see _fetchAPI
  */
-  async characterPets(realm, charname) {
-    return await this.characterProfile(realm, charname, ['pets'])
+  async characterPets(realm, charname, options = {}) {
+    return await this.characterProfile(realm, charname, ['pets'], options)
   }
   /**
  * Data about the character's current battle pet slots.
  * @param {string} realm Character's realm
  * @param {string} charname Character's name
+ * @param {object} options Request options, see _fetchAPI
  */
-  async characterPetSlot(realm, charname) {
-    return await this.characterProfile(realm, charname, ['petSlots'])
+  async characterPetSlot(realm, charname, options = {}) {
+    return await this.characterProfile(realm, charname, ['petSlots'], options)
   }
   /**
  * Returns a list of the character's professions. Does not include class professions.
  * @param {string} realm Character's realm
  * @param {string} charname Character's name
+ * @param {object} options Request options, see _fetchAPI
  */
-  async characterProfessions(realm, charname) {
-    return await this.characterProfile(realm, charname, ['professions'])
+  async characterProfessions(realm, charname, options = {}) {
+    return await this.characterProfile(realm, charname, ['professions'], options)
   }
   /**
  * Returns a list of raids and bosses indicating raid progression and completeness.
  * @param {string} realm Character's realm
  * @param {string} charname Character's name
+ * @param {object} options Request options, see _fetchAPI
  */
-  async characterProgression(realm, charname) {
-    return await this.characterProfile(realm, charname, ['progression'])
+  async characterProgression(realm, charname, options = {}) {
+    return await this.characterProfile(realm, charname, ['progression'], options)
   }
   /**
  * Returns a map of PvP information, including arena team membership and rated battlegrounds information.
  * @param {string} realm Character's realm
  * @param {string} charname Character's name
+ * @param {object} options Request options, see _fetchAPI
  */
-  async characterPvP(realm, charname) {
-    return await this.characterProfile(realm, charname, ['pvp'])
+  async characterPvP(realm, charname, options = {}) {
+    return await this.characterProfile(realm, charname, ['pvp'], options)
   }
   /**
  * Returns a list of quests the character has completed.
  * @param {string} realm Character's realm
  * @param {string} charname Character's name
+ * @param {object} options Request options, see _fetchAPI
  */
-  async characterQuests(realm, charname) {
-    return await this.characterProfile(realm, charname, ['quests'])
+  async characterQuests(realm, charname, options = {}) {
+    return await this.characterProfile(realm, charname, ['quests'], options)
   }
   /**
  * Returns a list of the factions with which the character has an associated reputation.
  * @param {string} realm Character's realm
  * @param {string} charname Character's name
+ * @param {object} options Request options, see _fetchAPI
  */
-  async characterReputation(realm, charname) {
-    return await this.characterProfile(realm, charname, ['reputation'])
+  async characterReputation(realm, charname, options = {}) {
+    return await this.characterProfile(realm, charname, ['reputation'], options)
   }
   /**
  * Returns a map of character statistics.
  * @param {string} realm Character's realm
  * @param {string} charname Character's name
+ * @param {object} options Request options, see _fetchAPI
  */
-  async characterStatistics(realm, charname) {
-    return await this.characterProfile(realm, charname, ['statistics'])
+  async characterStatistics(realm, charname, options = {}) {
+    return await this.characterProfile(realm, charname, ['statistics'], options)
   }
   /**
  * Returns a map of character attributes and stats.
  * @param {string} realm Character's realm
  * @param {string} charname Character's name
+ * @param {object} options Request options, see _fetchAPI
  */
-  async characterStats(realm, charname) {
-    return await this.characterProfile(realm, charname, ['stats'])
+  async characterStats(realm, charname, options = {}) {
+    return await this.characterProfile(realm, charname, ['stats'], options)
   }
   /**
  * Returns a list of the character's talent structures.
  * @param {string} realm Character's realm
  * @param {string} charname Character's name
+ * @param {object} options Request options, see _fetchAPI
  */
-  async characterTalents(realm, charname) {
-    return await this.characterProfile(realm, charname, ['talents'])
+  async characterTalents(realm, charname, options = {}) {
+    return await this.characterProfile(realm, charname, ['talents'], options)
   }
   /**
  * Returns a list of titles the character has obtained, including the currently selected title.
  * @param {string} realm Character's realm
  * @param {string} charname Character's name
+ * @param {object} options Request options, see _fetchAPI
  */
-  async characterTitles(realm, charname) {
-    return await this.characterProfile(realm, charname, ['titles'])
+  async characterTitles(realm, charname, options = {}) {
+    return await this.characterProfile(realm, charname, ['titles'], options)
   }
   /**
  * Raw character audit data that powers the character audit on the game site.
  * @param {string} realm Character's realm
  * @param {string} charname Character's name
+ * @param {object} options Request options, see _fetchAPI
  */
-  async characterAudit(realm, charname) {
-    return await this.characterProfile(realm, charname, ['audit'])
+  async characterAudit(realm, charname, options = {}) {
+    return await this.characterProfile(realm, charname, ['audit'], options)
   }
   /**
    * The guild profile API is the primary way to access guild information.
    * @param {string} realm The guild realm
    * @param {string} guildname The guild name
+   * @param {Array<string>} fields Specify the type of information(s) to retrive
+   * @param {object} options Request options, see _fetchAPI
    */
-  async guildProfile(realm, guildname, fields = undefined) {
+  async guildProfile(realm, guildname, fields = undefined, options = {}) {
     if (!realm) throw new MissingParameterException('realm', 'string')
     if (!guildname) throw new MissingParameterException('guildname', 'string')
-    const guildProfile = await this._fetchAPI(`guild/${realm}/${guildname}`, fields)
+    assertValid(fieldProblems(fields, GUILD_FIELDS, 'guild'))
+    const guildProfile = await this._fetchAPI(`guild/${await this._realmPath(realm, options)}/${namePath(guildname)}`, fields, options)
     return guildProfile.status ? undefined : guildProfile
   }
   /**
  * Returns a list of characters that are members of the guild.
  * @param {string} realm The guild realm
  * @param {string} guildname The guild name
+ * @param {object} options Request options, see _fetchAPI
  */
-  async guildMembers(realm, guildname) {
-    return await this.guildProfile(`guild/${realm}/${guildname}`, ['members'])
+  async guildMembers(realm, guildname, options = {}) {
+    return await this.guildProfile(realm, guildname, ['members'], options)
   }
   /**
  * A set of data structures that describe the achievements earned by the guild.
  * @param {string} realm The guild realm
  * @param {string} guildname The guild name
+ * @param {object} options Request options, see _fetchAPI
  */
-  async guildAchievements(realm, guildname) {
-    return await this.guildProfile(`guild/${realm}/${guildname}`, ['achievements'])
+  async guildAchievements(realm, guildname, options = {}) {
+    return await this.guildProfile(realm, guildname, ['achievements'], options)
   }
   /**
  * A set of data structures that describe the guild's news feed.
  * @param {string} realm The guild realm
  * @param {string} guildname The guild name
+ * @param {object} options Request options, see _fetchAPI
  */
-  async guildNews(realm, guildname) {
-    return await this.guildProfile(`guild/${realm}/${guildname}`, ['news'])
+  async guildNews(realm, guildname, options = {}) {
+    return await this.guildProfile(realm, guildname, ['news'], options)
   }
   /**
  * The top three challenge mode guild run times for each challenge mode map.
  * @param {string} realm The guild realm
  * @param {string} guildname The guild name
+ * @param {object} options Request options, see _fetchAPI
  */
-  async guildChallenge(realm, guildname) {
-    return await this.guildProfile(`guild/${realm}/${guildname}`, ['challenge'])
+  async guildChallenge(realm, guildname, options = {}) {
+    return await this.guildProfile(realm, guildname, ['challenge'], options)
   }
   /**
    * The item API provides detailed item information, including item set information.
    * @param {number} id Item Id
+   * @param {object} options Request options, see _fetchAPI
    */
-  async item(id) {
+  async item(id, options = {}) {
     if (!id) throw new MissingParameterException('id', 'number')
-    const item = await this._fetchAPI(`item/${id}`)
+    const item = await this._fetchAPI(`item/${id}`, null, options)
     return item.status ? undefined : item
   }
   /**
    * The item API provides detailed item information, including item set information.
    * @param {number} id Set Id
+   * @param {object} options Request options, see _fetchAPI
    */
-  async itemSet(id) {
+  async itemSet(id, options = {}) {
     if (!id) throw new MissingParameterException('id', 'number')
-    const item = await this._fetchAPI(`item/set/${id}`)
+    const item = await this._fetchAPI(`item/set/${id}`, null, options)
     return item.status ? undefined : item
   }
   /**
    * Returns a list of all supported mounts.
+   * @param {object} options Request options, see _fetchAPI
    */
-  async mounts() {
-    const mounts = await this._fetchAPI(`mount/`)
+  async mounts(options = {}) {
+    const mounts = await this._fetchAPI(`mount/`, null, options)
     return mounts.status ? undefined : mounts
   }
   /**
    * Returns a list of all supported battle and vanity pets.
+   * @param {object} options Request options, see _fetchAPI
    */
-  async pets() {
-    const pets = await this._fetchAPI('pet/')
+  async pets(options = {}) {
+    const pets = await this._fetchAPI('pet/', null, options)
     return pets.status ? undefined : pets
   }
   /**
    * Returns data about a individual battle pet ability ID.
    * @param {number} abilityId The ID of the ability to retrieve.
+   * @param {object} options Request options, see _fetchAPI
    */
-  async petAbility(abilityId) {
+  async petAbility(abilityId, options = {}) {
     if (!abilityId) throw new MissingParameterException('abilityId', 'number')
-    const ability = await this._fetchAPI(`pet/ability/${abilityId}`)
+    const ability = await this._fetchAPI(`pet/ability/${abilityId}`, null, options)
     return ability.status ? undefined : ability
   }
   /**
    * Returns data about an individual pet species. 
    * @param {number} speciesId The species for which to retrieve data.
+   * @param {object} options Request options, see _fetchAPI
    */
-  async petSpecies(speciesId) {
+  async petSpecies(speciesId, options = {}) {
     if (!speciesId) throw new MissingParameterException('speciesId', 'number')
-    const species = await this._fetchAPI(`pet/species/${speciesId}`)
+    const species = await this._fetchAPI(`pet/species/${speciesId}`, null, options)
     return species.status ? undefined : species
   }
   /**
    * Returns detailed information about a given species of pet.
    * @param {number} speciesId The pet's species ID. This can be found by querying a user's list of pets via characterPets().
+   * @param {object} options Request options, see _fetchAPI
    */
-  async petStats(speciesId) {
+  async petStats(speciesId, options = {}) {
     if (!speciesId) throw new MissingParameterException('speciesId', 'number')
-    const stats = await this._fetchAPI(`pet/stats/${speciesId}`)
+    const stats = await this._fetchAPI(`pet/stats/${speciesId}`, null, options)
     return stats.status ? undefined : stats
   }
   /**
    * The Leaderboard API endpoint provides leaderboard information for the 2v2, 3v3, 5v5, and Rated Battleground leaderboards.
    * @param {string} bracket The type of leaderboard to retrive. Accepter values are 2v2, 3v3, 5v5, rbg.
+   * @param {object} options Request options, see _fetchAPI
    */
-  async pvpLeaderboards(bracket) {
+  async pvpLeaderboards(bracket, options = {}) {
     if(!bracket) throw new MissingParameterException('bracket', 'string')
-    if (bracket != "2v2" || bracket != "3v3" || bracket != "5v5" || bracket != "rbg") {
-      throw new Error("Invalid bracket entry. Accepted entries are 2v2, 3v3, 5v5 and rbg.")
-    }
-    const leaderboard = await this._fetchAPI(`leaderboard/${bracket}`)
+    assertValid(enumProblems('bracket', bracket, BRACKETS))
+    const leaderboard = await this._fetchAPI(`leaderboard/${bracket}`, null, options)
     return leaderboard.status ? undefined : leaderboard
   }
   /**
    * Returns metadata for a specified quest.
    * @param {number} id The ID of the quest to retrive.
+   * @param {object} options Request options, see _fetchAPI
    */
-  async quest(id) {
+  async quest(id, options = {}) {
     if(!id) throw new MissingParameterException('id', 'number')
-    const quest = await this._fetchAPI(`quest/${id}`)
+    const quest = await this._fetchAPI(`quest/${id}`, null, options)
     return quest.status ? undefined : quest
   }
   /**
  * Return a list of realm objects with detailed information about the status
+ * @param {object} options Request options, see _fetchAPI
  */
-  async realmStatus(locale) {
-    const realmStatus = await this._fetchAPI(`realm/status`)
+  async realmStatus(locale, options = {}) {
+    const realmStatus = await this._fetchAPI(`realm/status`, null, options)
     if (realmStatus.status) return undefined
     const { realms } = realmStatus
     if (!locale) return realms
@@ -417,9 +825,10 @@ class WoWClient {
   }
   /**
    * Return a map object with realm names and their slugs
+   * @param {object} options Request options, see _fetchAPI
    */
-  async realms(locale) {
-    const realmStatus = await this.realmStatus(locale)
+  async realms(locale, options = {}) {
+    const realmStatus = await this.realmStatus(locale, options)
     if (!realmStatus) return undefined
     const realmMap = new Map()
     realmStatus.forEach(realm => realmMap.set(realm.name, realm.slug))
@@ -428,110 +837,124 @@ class WoWClient {
   /**
    * Returns basic recipe information.
    * @param {number} id Unique ID for the desired recipe.
+   * @param {object} options Request options, see _fetchAPI
    */
-  async recipe(id) {
+  async recipe(id, options = {}) {
     if(!id) throw new MissingParameterException('id', 'number')
-    const recipe = await this._fetchAPI(`recipe/${id}`)
+    const recipe = await this._fetchAPI(`recipe/${id}`, null, options)
     return recipe.status ? undefined : recipe
   }
   /**
    * Returns information about spells.
    * @param {number} id The ID of the spell to retrive.
+   * @param {object} options Request options, see _fetchAPI
    */
-  async spell(id) {
+  async spell(id, options = {}) {
     if(!id) throw new MissingParameterException('id', 'number')
-    const spell = await this._fetchAPI(`spell/${id}`)
+    const spell = await this._fetchAPI(`spell/${id}`, null, options)
     return spell.status ? undefined : spell
   }
   /**
    * Returns a list of all supported zones and their bosses. 
+   * @param {object} options Request options, see _fetchAPI
    */
-  async zones() {
-    const zones = await this._fetchAPI(`zones/`)
+  async zones(options = {}) {
+    const zones = await this._fetchAPI(`zones/`, null, options)
     return zones.status ? undefined : zones
   }
   /**
    * Returns information about zones.
    * @param {number} id The ID of the zone to retrive.
+   * @param {object} options Request options, see _fetchAPI
    */
-  async zone(id) {
+  async zone(id, options = {}) {
     if(!id) throw new MissingParameterException('id', 'number')
-    const zone = await this._fetchAPI(`zones/${id}`)
+    const zone = await this._fetchAPI(`zones/${id}`, null, options)
     return zone.status ? undefined : zone
   }
   /** 
    * Returns a list of battlegroups for the specified region.
+   * @param {object} options Request options, see _fetchAPI
    */
-  async battlegroups() {
-    const battlegroups = await this._fetchAPI('data/battlegroups/')
+  async battlegroups(options = {}) {
+    const battlegroups = await this._fetchAPI('data/battlegroups/', null, options)
     return battlegroups.status ? undefined : battlegroups
   }
   /**
    * Returns a list of races and their associated faction, name, uniqueID, and skin.
+   * @param {object} options Request options, see _fetchAPI
    */
-  async races() {
-    const racesObj = await this._fetchAPI('data/character/races')
+  async races(options = {}) {
+    const racesObj = await this._fetchAPI('data/character/races', null, options)
     return racesObj.status ? undefined : racesObj.races
   }
   /**
    * Returns information about a race specified by its ID.
    * @param {number} id The ID of the race to retrive.
+   * @param {object} options Request options, see _fetchAPI
    */
-  async race(id) {
+  async race(id, options = {}) {
     if(!id) throw new MissingParameterException('id', 'number')
-    const races = await this.races()
+    const races = await this.races(options)
     return races.find(race => race.id == id)
   }
   /**
    * Returns a list of character classes.
+   * @param {object} options Request options, see _fetchAPI
    */
-  async classes() {
-    const classesObj = await this._fetchAPI('data/character/classes')
+  async classes(options = {}) {
+    const classesObj = await this._fetchAPI('data/character/classes', null, options)
     return classesObj.status ? undefined : classesObj.classes
   }
   /**
    * Returns information about a specific character class.
    * @param {number} id The ID of the character class to retrive
+   * @param {object} options Request options, see _fetchAPI
    */
-  async class(id) {
+  async class(id, options = {}) {
     if(!id) throw new MissingParameterException('id', 'number')
-    const classes = await this.classes()
+    const classes = await this.classes(options)
     return classes.find(cla$$ => cla$$.id == id)
   }
   /**
    * The guild rewards data API provides a list of all guild rewards.
+   * @param {object} options Request options, see _fetchAPI
    */
-  async guildRewards() {
-    const rewards = await this._fetchAPI('data/guild/rewards')
+  async guildRewards(options = {}) {
+    const rewards = await this._fetchAPI('data/guild/rewards', null, options)
     return rewards.status ? undefined : rewards
   }
   /**
    * The guild rewards data API provides a list of all guild rewards.
+   * @param {object} options Request options, see _fetchAPI
    */
-  async guildPerks() {
-    const perksObj = await this._fetchAPI('data/guild/perks')
+  async guildPerks(options = {}) {
+    const perksObj = await this._fetchAPI('data/guild/perks', null, options)
     return perksObj.status ? undefined : perksObj.perks
   }
   /**
    * Returns a list of all guild achievements as well as the category structure and hierarchy.
+   * @param {object} options Request options, see _fetchAPI
    */
-  async guildAchievements() {
-    const achievementObj = await this._fetchAPI('data/guild/achievements')
-    return achievementObj.status ? undefined : this.achievementObj.achievements
+  async availableGuildAchievements(options = {}) {
+    const achievementObj = await this._fetchAPI('data/guild/achievements', null, options)
+    return achievementObj.status ? undefined : achievementObj.achievements
   }
   /**
    * Returns a list of item classes.
+   * @param {object} options Request options, see _fetchAPI
    */
-  async itemClasses() {
-    const itemClassesObj = await this._fetchAPI('data/item/classes')
+  async itemClasses(options = {}) {
+    const itemClassesObj = await this._fetchAPI('data/item/classes', null, options)
     return itemClassesObj.status ? undefined : itemClassesObj.classes
   }
   /**
    * Returns a list of talents, specs, and glyphs for each class.
    * @param {number} classID The ID of the class for retriving specific talents.
+   * @param {object} options Request options, see _fetchAPI
    */
-  async talents(classID) {
-    const talents = await this._fetchAPI('data/talents')
+  async talents(classID, options = {}) {
+    const talents = await this._fetchAPI('data/talents', null, options)
     if (talents.status) return null
     else if (classID) {
       return talents[classID]
@@ -541,17 +964,203 @@ class WoWClient {
   }
   /**
    * Returns a list of the different battle pet types, including what they are strong and weak against.
+   * @param {object} options Request options, see _fetchAPI
    */
-  async petTypes() {
-    const petTypesObj = await this._fetchAPI('data/pet/types')
+  async petTypes(options = {}) {
+    const petTypesObj = await this._fetchAPI('data/pet/types', null, options)
     return petTypesObj.status ? undefined : petTypesObj.petTypes
   }
-}
-class MissingParameterException extends Error {
-  constructor(paramname, paramtype = undefined) {
-    super()
-    this.name = "MissingParameterException"
-    this.message = `Missing parameter ${paramname}${paramtype ? ` of type ${paramtype}.`: '.'}`
+  /**
+   * Game Data API. Returns an index of playable classes.
+   * @param {object} options Request options, see _fetchAPI
+   */
+  async playableClasses(options = {}) {
+    const index = await this.gameData('data/wow/playable-class/index', 'static', options)
+    return index ? index.classes : undefined
+  }
+  /**
+   * Game Data API. Returns a playable class by ID.
+   * @param {number} id The ID of the playable class
+   * @param {object} options Request options, see _fetchAPI
+   */
+  async playableClass(id, options = {}) {
+    if (!id) throw new MissingParameterException('id', 'number')
+    return await this.gameData(`data/wow/playable-class/${id}`, 'static', options)
+  }
+  /**
+   * Game Data API. Returns an index of playable races.
+   * @param {object} options Request options, see _fetchAPI
+   */
+  async playableRaces(options = {}) {
+    const index = await this.gameData('data/wow/playable-race/index', 'static', options)
+    return index ? index.races : undefined
+  }
+  /**
+   * Game Data API. Returns a playable race by ID.
+   * @param {number} id The ID of the playable race
+   * @param {object} options Request options, see _fetchAPI
+   */
+  async playableRace(id, options = {}) {
+    if (!id) throw new MissingParameterException('id', 'number')
+    return await this.gameData(`data/wow/playable-race/${id}`, 'static', options)
+  }
+  /**
+   * Game Data API. Returns an index of playable specializations.
+   * @param {object} options Request options, see _fetchAPI
+   */
+  async playableSpecializations(options = {}) {
+    return await this.gameData('data/wow/playable-specialization/index', 'static', options)
+  }
+  /**
+   * Game Data API. Returns a playable specialization by ID.
+   * @param {number} id The ID of the playable specialization
+   * @param {object} options Request options, see _fetchAPI
+   */
+  async playableSpecialization(id, options = {}) {
+    if (!id) throw new MissingParameterException('id', 'number')
+    return await this.gameData(`data/wow/playable-specialization/${id}`, 'static', options)
+  }
+  /**
+   * Game Data API. Returns an index of mythic keystone affixes.
+   * @param {object} options Request options, see _fetchAPI
+   */
+  async mythicKeystoneAffixes(options = {}) {
+    const index = await this.gameData('data/wow/keystone-affix/index', 'static', options)
+    return index ? index.affixes : undefined
+  }
+  /**
+   * Game Data API. Returns a mythic keystone affix by ID.
+   * @param {number} id The ID of the keystone affix
+   * @param {object} options Request options, see _fetchAPI
+   */
+  async mythicKeystoneAffix(id, options = {}) {
+    if (!id) throw new MissingParameterException('id', 'number')
+    return await this.gameData(`data/wow/keystone-affix/${id}`, 'static', options)
+  }
+  /**
+   * Game Data API. Returns an index of mythic keystone leaderboard dungeon instances for a connected realm.
+   * @param {number} connectedRealmId The ID of the connected realm
+   * @param {object} options Request options, see _fetchAPI
+   */
+  async mythicKeystoneLeaderboards(connectedRealmId, options = {}) {
+    if (!connectedRealmId) throw new MissingParameterException('connectedRealmId', 'number')
+    const index = await this.gameData(`data/wow/connected-realm/${connectedRealmId}/mythic-leaderboard/index`, 'dynamic', options)
+    return index ? index.current_leaderboards : undefined
+  }
+  /**
+   * Game Data API. Returns a weekly mythic keystone leaderboard by period.
+   * @param {number} connectedRealmId The ID of the connected realm
+   * @param {number} dungeonId The ID of the dungeon
+   * @param {number} period The unique identifier for the leaderboard period
+   * @param {object} options Request options, see _fetchAPI
+   */
+  async mythicKeystoneLeaderboard(connectedRealmId, dungeonId, period, options = {}) {
+    if (!connectedRealmId) throw new MissingParameterException('connectedRealmId', 'number')
+    if (!dungeonId) throw new MissingParameterException('dungeonId', 'number')
+    if (!period) throw new MissingParameterException('period', 'number')
+    return await this.gameData(`data/wow/connected-realm/${connectedRealmId}/mythic-leaderboard/${dungeonId}/period/${period}`, 'dynamic', options)
+  }
+  /**
+   * Game Data API. Returns an index of connected realms.
+   * @param {object} options Request options, see _fetchAPI
+   */
+  async connectedRealms(options = {}) {
+    const index = await this.gameData('data/wow/connected-realm/index', 'dynamic', options)
+    return index ? index.connected_realms : undefined
+  }
+  /**
+   * Game Data API. Returns a connected realm by ID.
+   * @param {number} id The ID of the connected realm
+   * @param {object} options Request options, see _fetchAPI
+   */
+  async connectedRealm(id, options = {}) {
+    if (!id) throw new MissingParameterException('id', 'number')
+    return await this.gameData(`data/wow/connected-realm/${id}`, 'dynamic', options)
+  }
+  /**
+   * Game Data API. Returns media (icon) for an item.
+   * @param {number} id The ID of the item
+   * @param {object} options Request options, see _fetchAPI
+   */
+  async itemMedia(id, options = {}) {
+    if (!id) throw new MissingParameterException('id', 'number')
+    return await this.gameData(`data/wow/media/item/${id}`, 'static', options)
+  }
+  /**
+   * Profile API. Returns a profile summary for a character.
+   * @param {string} realm The character's realm slug
+   * @param {string} charname The character's name
+   * @param {object} options Request options, see _fetchAPI
+   */
+  async characterProfileSummary(realm, charname, options = {}) {
+    if (!realm) throw new MissingParameterException('realm', 'string')
+    if (!charname) throw new MissingParameterException('charname', 'string')
+    return await this.gameData(`profile/wow/character/${await this._realmPath(realm, options)}/${namePath(charname)}`, 'profile', options)
+  }
+  /**
+   * Profile API. Returns a summary of the items equipped by a character.
+   * @param {string} realm The character's realm slug
+   * @param {string} charname The character's name
+   * @param {object} options Request options, see _fetchAPI
+   */
+  async characterEquipment(realm, charname, options = {}) {
+    if (!realm) throw new MissingParameterException('realm', 'string')
+    if (!charname) throw new MissingParameterException('charname', 'string')
+    return await this.gameData(`profile/wow/character/${await this._realmPath(realm, options)}/${namePath(charname)}/equipment`, 'profile', options)
+  }
+  /**
+   * Profile API. Returns the Mythic Keystone profile index for a character.
+   * @param {string} realm The character's realm slug
+   * @param {string} charname The character's name
+   * @param {object} options Request options, see _fetchAPI
+   */
+  async characterMythicKeystoneProfile(realm, charname, options = {}) {
+    if (!realm) throw new MissingParameterException('realm', 'string')
+    if (!charname) throw new MissingParameterException('charname', 'string')
+    return await this.gameData(`profile/wow/character/${await this._realmPath(realm, options)}/${namePath(charname)}/mythic-keystone-profile`, 'profile', options)
   }
 }
-module.exports = WoWClient
\ No newline at end of file
+module.exports = WoWClient
+module.exports.BattleNetApiError = BattleNetApiError
+module.exports.NotFoundError = NotFoundError
+module.exports.UnauthorizedError = UnauthorizedError
+module.exports.RateLimitedError = RateLimitedError
+module.exports.ServerError = ServerError
+module.exports.NetworkError = NetworkError
+module.exports.TimeoutError = TimeoutError
+module.exports.AbortError = AbortError
+module.exports.ValidationError = ValidationError
+module.exports.MissingParameterException = MissingParameterException
+module.exports.MemoryCache = MemoryCache
+module.exports.ResponseCache = ResponseCache
+module.exports.RetryPolicy = RetryPolicy
+module.exports.Scheduler = Scheduler
+module.exports.TokenManager = TokenManager
+module.exports.generateToken = generateToken
+module.exports.AuctionHouse = AuctionHouse
+module.exports.diffSnapshots = diffSnapshots
+module.exports.itemStatistics = itemStatistics
+module.exports.streamAuctions = streamAuctions
+module.exports.GuildRoster = GuildRoster
+module.exports.diffRosters = diffRosters
+module.exports.startMockServer = startMockServer
+module.exports.createMockServer = createMockServer
+module.exports.recordFetch = recordFetch
+module.exports.replayFetch = replayFetch
+module.exports.GearAudit = GearAudit
+module.exports.gearReport = gearReport
+module.exports.RealmWatcher = RealmWatcher
+module.exports.WoWRouter = WoWRouter
+module.exports.MetricsCollector = MetricsCollector
+module.exports.Exporter = Exporter
+module.exports.AchievementProgress = AchievementProgress
+module.exports.achievementProgress = achievementProgress
+module.exports.compareProgress = compareProgress
+module.exports.PetTeamPlanner = PetTeamPlanner
+module.exports.scorePet = scorePet
+module.exports.LOCALES = LOCALES
+module.exports.REGIONS = REGIONS
+module.exports.CHARACTER_FIELDS = CHARACTER_FIELDS
+module.exports.GUILD_FIELDS = GUILD_FIELDS
+module.exports.BRACKETS = BRACKETS
+module.exports.slugify = slugify
\ No newline at end of file
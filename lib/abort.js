@@ -0,0 +1,66 @@
+/**
+ * Cancellation of the client calls through AbortSignal.
+ * A call combines the signal given by the caller and its timeout in a single signal, passed down to the
+ * token request, the scheduler queue, the retry delays and the fetch calls. Its reason is always
+ * a TimeoutError or an AbortError, so that the call rejects with a distinct error whatever step was running.
+ */
+const { BattleNetApiError, TimeoutError, AbortError } = require('./errors')
+
+/**
+ * Create the signal of a call.
+ * @param {AbortSignal} signal The signal given by the caller, if any
+ * @param {number} timeout Milliseconds allowed to the call, 0 or undefined for no timeout
+ * @param {object} details The path and region of the call, see BattleNetApiError
+ * @returns {object} { signal, clear } where clear releases the timer and the listener once the call is over
+ */
+const callSignal = (signal, timeout, { path = undefined, region = undefined } = {}) => {
+  if (!signal && !timeout) return { signal: undefined, clear: () => {} }
+  const controller = new AbortController()
+  const target = path ? `${path} (${region})` : 'Request'
+  const onAbort = () => controller.abort(signal.reason instanceof BattleNetApiError
+    ? signal.reason
+    : new AbortError(`Request to ${target} has been aborted`, { path, region, cause: signal.reason }))
+  if (signal) {
+    if (signal.aborted) onAbort()
+    else signal.addEventListener('abort', onAbort, { once: true })
+  }
+  const timer = timeout && !controller.signal.aborted
+    ? setTimeout(() => controller.abort(new TimeoutError(`Request to ${target} timed out after ${timeout}ms`, { path, region, timeout })), timeout)
+    : null
+  return {
+    signal: controller.signal,
+    clear: () => {
+      clearTimeout(timer)
+      if (signal) signal.removeEventListener('abort', onAbort)
+    }
+  }
+}
+/**
+ * Throw the reason of the signal if it has been aborted.
+ * @param {AbortSignal} signal
+ */
+const throwIfAborted = signal => {
+  if (signal && signal.aborted) throw signal.reason
+}
+/**
+ * Resolve as the given promise, or reject with the reason of the signal as soon as it is aborted.
+ * The promise itself is not cancelled, e.g. a token request shared with other calls.
+ * @param {Promise} promise
+ * @param {AbortSignal} signal
+ */
+const abortable = (promise, signal) => {
+  if (!signal) return promise
+  if (signal.aborted) return Promise.reject(signal.reason)
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason)
+    signal.addEventListener('abort', onAbort, { once: true })
+    promise.then(value => {
+      signal.removeEventListener('abort', onAbort)
+      resolve(value)
+    }, err => {
+      signal.removeEventListener('abort', onAbort)
+      reject(err)
+    })
+  })
+}
+module.exports = { callSignal, throwIfAborted, abortable }
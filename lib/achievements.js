@@ -0,0 +1,228 @@
+/**
+ * Achievement progress, built on the achievements field of the character and guild profiles.
+ * The completed achievements and criteria, returned as parallel arrays, are joined with the
+ * achievement catalogue into a per-category tree with completion, points, recently completed
+ * and nearly complete achievements. Two reports can be compared category by category.
+ */
+const { MissingParameterException } = require('./errors')
+
+/**
+ * Completion percentage with one decimal, 0 when nothing can be completed.
+ * @param {number} completed
+ * @param {number} total
+ */
+const percentage = (completed, total) => total ? Math.round(completed / total * 1000) / 10 : 0
+/**
+ * Index the parallel arrays of the achievements field.
+ * @param {object} data The achievements field, { achievementsCompleted, achievementsCompletedTimestamp, criteria, criteriaQuantity }
+ * @returns {object} { completed, criteria } maps of completion timestamp by achievement id and quantity by criteria id
+ */
+const indexCompleted = ({ achievementsCompleted = [], achievementsCompletedTimestamp = [], criteria = [], criteriaQuantity = [] } = {}) => ({
+  completed: new Map(achievementsCompleted.map((id, i) => [id, achievementsCompletedTimestamp[i]])),
+  criteria: new Map(criteria.map((id, i) => [id, criteriaQuantity[i]]))
+})
+/**
+ * Progress of an achievement not completed yet, from 0 to 1, summing the quantities of its criteria.
+ * @param {object} achievement An achievement of the catalogue
+ * @param {Map<number, number>} criteria Quantity by criteria id
+ */
+const criteriaProgress = (achievement, criteria) => {
+  const counted = (achievement.criteria || []).filter(({ max }) => max > 0)
+  const max = counted.reduce((total, criterion) => total + criterion.max, 0)
+  if (!max) return 0
+  return counted.reduce((total, criterion) => total + Math.min(criteria.get(criterion.id) || 0, criterion.max), 0) / max
+}
+/**
+ * Join the achievements field of a character or a guild with the achievement catalogue.
+ * Achievements of the other faction are left out when the faction is given.
+ * @param {Array<object>} categories The catalogue, see WoWClient.availableAchievements and availableGuildAchievements
+ * @param {object} data The achievements field of the profile
+ * @param {object} options
+ * @param {number} options.faction 0 for alliance, 1 for horde. Default is every faction
+ * @param {number} options.recent Number of recently completed achievements. Default is 10
+ * @param {number} options.threshold Minimum progress, from 0 to 1, of the nearly complete achievements. Default is 0.8
+ * @returns {object} { completed, total, percentage, points: { earned, available }, categories, recent, nearlyComplete }
+ */
+const achievementProgress = (categories, data, { faction = undefined, recent = 10, threshold = 0.8 } = {}) => {
+  if (!categories) throw new MissingParameterException('categories', 'Array')
+  if (!data) throw new MissingParameterException('data', 'object')
+  const { completed, criteria } = indexCompleted(data)
+  const done = []
+  const nearlyComplete = []
+  const category = ({ id, name, achievements = [], categories: subcategories = [] }) => {
+    const entries = achievements
+      .filter(achievement => faction === undefined || achievement.factionId == 2 || achievement.factionId == faction)
+      .map(achievement => {
+        const completedAt = completed.get(achievement.id)
+        const entry = {
+          id: achievement.id,
+          title: achievement.title,
+          points: achievement.points,
+          completed: completedAt !== undefined,
+          completedAt,
+          progress: completedAt !== undefined ? 1 : criteriaProgress(achievement, criteria)
+        }
+        if (entry.completed) {
+          done.push(Object.assign({ categoryId: id }, entry))
+        } else if (entry.progress >= threshold) {
+          const quantities = (achievement.criteria || []).map(criterion => ({
+            id: criterion.id,
+            description: criterion.description,
+            quantity: criteria.get(criterion.id) || 0,
+            max: criterion.max
+          }))
+          nearlyComplete.push(Object.assign({ categoryId: id }, entry, { criteria: quantities }))
+        }
+        return entry
+      })
+    const children = subcategories.map(category)
+    const completedCount = entries.filter(entry => entry.completed).length + children.reduce((total, child) => total + child.completed, 0)
+    const total = entries.length + children.reduce((total, child) => total + child.total, 0)
+    return {
+      id,
+      name,
+      completed: completedCount,
+      total,
+      percentage: percentage(completedCount, total),
+      points: {
+        earned: entries.filter(entry => entry.completed).reduce((points, entry) => points + entry.points, 0) + children.reduce((points, child) => points + child.points.earned, 0),
+        available: entries.reduce((points, entry) => points + entry.points, 0) + children.reduce((points, child) => points + child.points.available, 0)
+      },
+      achievements: entries,
+      categories: children
+    }
+  }
+  const tree = categories.map(category)
+  const completedCount = tree.reduce((total, node) => total + node.completed, 0)
+  const total = tree.reduce((total, node) => total + node.total, 0)
+  return {
+    completed: completedCount,
+    total,
+    percentage: percentage(completedCount, total),
+    points: {
+      earned: tree.reduce((points, node) => points + node.points.earned, 0),
+      available: tree.reduce((points, node) => points + node.points.available, 0)
+    },
+    categories: tree,
+    recent: done.sort((a, b) => b.completedAt - a.completedAt).slice(0, recent),
+    nearlyComplete: nearlyComplete.sort((a, b) => b.progress - a.progress)
+  }
+}
+/**
+ * Flatten the category tree of a report by path, e.g. 'Dungeons & Raids/Classic'.
+ * @param {Array<object>} categories
+ * @param {string} parent
+ */
+const categoryPaths = (categories, parent = '') => categories.reduce((paths, node) => {
+  const categoryPath = parent ? `${parent}/${node.name}` : node.name
+  paths.set(categoryPath, node)
+  categoryPaths(node.categories, categoryPath).forEach((child, childPath) => paths.set(childPath, child))
+  return paths
+}, new Map())
+/**
+ * Compare two progress reports, e.g. of two characters or of a character and its guild.
+ * Categories are matched by name, since the character and guild catalogues do not share ids.
+ * @param {object} first A report of achievementProgress
+ * @param {object} second Another report
+ * @returns {object} { first, second, categories, onlyFirst, onlySecond } with the totals of both reports,
+ * the completion of both by category path and the achievements completed by only one of them
+ */
+const compareProgress = (first, second) => {
+  if (!first) throw new MissingParameterException('first', 'object')
+  if (!second) throw new MissingParameterException('second', 'object')
+  const summary = ({ completed, total, percentage, points }) => ({ completed, total, percentage, points })
+  const firstPaths = categoryPaths(first.categories)
+  const secondPaths = categoryPaths(second.categories)
+  const paths = Array.from(firstPaths.keys()).concat(Array.from(secondPaths.keys()).filter(categoryPath => !firstPaths.has(categoryPath)))
+  const completedIds = report => new Map(Array.from(categoryPaths(report.categories).values())
+    .reduce((achievements, node) => achievements.concat(node.achievements), [])
+    .filter(achievement => achievement.completed)
+    .map(achievement => [achievement.id, achievement]))
+  const firstCompleted = completedIds(first)
+  const secondCompleted = completedIds(second)
+  return {
+    first: summary(first),
+    second: summary(second),
+    categories: paths.map(categoryPath => ({
+      path: categoryPath,
+      first: firstPaths.has(categoryPath) ? summary(firstPaths.get(categoryPath)) : undefined,
+      second: secondPaths.has(categoryPath) ? summary(secondPaths.get(categoryPath)) : undefined
+    })),
+    onlyFirst: Array.from(firstCompleted.values()).filter(achievement => !secondCompleted.has(achievement.id)),
+    onlySecond: Array.from(secondCompleted.values()).filter(achievement => !firstCompleted.has(achievement.id))
+  }
+}
+class AchievementProgress {
+  /**
+   * @param {WoWClient} client The client used to fetch the profiles and the catalogues
+   */
+  constructor(client) {
+    if (!client) throw new MissingParameterException('client', 'WoWClient')
+    this._client = client
+  }
+  /**
+   * Return the achievement progress of a character, undefined if the character is not found.
+   * @param {string} realm The character realm
+   * @param {string} charname The character name
+   * @param {object} options Request options, see WoWClient._fetchAPI, and the achievementProgress options
+   */
+  async character(realm, charname, options = {}) {
+    const [profile, categories] = await Promise.all([
+      this._client.characterProfile(realm, charname, ['achievements'], options),
+      this._client.availableAchievements(options)
+    ])
+    if (!profile || !categories) return undefined
+    return Object.assign({ name: profile.name, realm: profile.realm },
+      achievementProgress(categories, profile.achievements, Object.assign({ faction: profile.faction }, options)))
+  }
+  /**
+   * Return the achievement progress of a guild, undefined if the guild is not found.
+   * @param {string} realm The guild realm
+   * @param {string} guildname The guild name
+   * @param {object} options Request options, see WoWClient._fetchAPI, and the achievementProgress options
+   */
+  async guild(realm, guildname, options = {}) {
+    const [profile, categories] = await Promise.all([
+      this._client.guildAchievements(realm, guildname, options),
+      this._client.availableGuildAchievements(options)
+    ])
+    if (!profile || !categories) return undefined
+    return Object.assign({ name: profile.name, realm: profile.realm },
+      achievementProgress(categories, profile.achievements, Object.assign({ faction: profile.side }, options)))
+  }
+  /**
+   * Compare the achievement progress of two characters, see compareProgress.
+   * Resolve to undefined if one of them is not found.
+   * @param {object} first The first character, { realm, name }
+   * @param {object} second The second character, { realm, name }
+   * @param {object} options Request options, see WoWClient._fetchAPI, and the achievementProgress options
+   */
+  async compare(first, second, options = {}) {
+    if (!first) throw new MissingParameterException('first', 'object')
+    if (!second) throw new MissingParameterException('second', 'object')
+    const [firstReport, secondReport] = await Promise.all([
+      this.character(first.realm, first.name, options),
+      this.character(second.realm, second.name, options)
+    ])
+    if (!firstReport || !secondReport) return undefined
+    return compareProgress(firstReport, secondReport)
+  }
+  /**
+   * Compare the achievement progress of a character with the one of its guild, see compareProgress.
+   * Resolve to undefined if the character is not found or has no guild.
+   * @param {string} realm The character realm
+   * @param {string} charname The character name
+   * @param {object} options Request options, see WoWClient._fetchAPI, and the achievementProgress options
+   */
+  async compareGuild(realm, charname, options = {}) {
+    const [character, profile] = await Promise.all([
+      this.character(realm, charname, options),
+      this._client.characterGuild(realm, charname, options)
+    ])
+    if (!character || !profile || !profile.guild) return undefined
+    const guild = await this.guild(profile.guild.realm, profile.guild.name, options)
+    if (!guild) return undefined
+    return compareProgress(character, guild)
+  }
+}
+module.exports = { AchievementProgress, achievementProgress, compareProgress }
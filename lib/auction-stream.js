@@ -0,0 +1,89 @@
+/**
+ * Streaming parser of the auction house dumps.
+ * The dump is scanned while it is downloaded and each entry of its auctions array
+ * is parsed and yielded on its own, so memory does not grow with the size of the dump.
+ */
+const { StringDecoder } = require('string_decoder')
+
+/**
+ * Tell if an auction satisfies the filter.
+ * @param {object} auction
+ * @param {object} filter
+ * @param {Array<number>} filter.items Item ids to keep
+ * @param {string} filter.owner Owner name to keep
+ * @param {string} filter.ownerRealm Owner realm to keep
+ */
+const matchesFilter = (auction, { items = undefined, owner = undefined, ownerRealm = undefined } = {}) => {
+  if (items && !items.includes(auction.item)) return false
+  if (owner && auction.owner != owner) return false
+  if (ownerRealm && auction.ownerRealm != ownerRealm) return false
+  return true
+}
+/**
+ * Parse the auctions of a dump from a stream of its JSON text.
+ * @param {AsyncIterable<Buffer|string>} stream The dump body, e.g. the body of a node-fetch response
+ * @param {object} filter Keep only the matching auctions, see matchesFilter
+ */
+async function* streamAuctions(stream, filter = {}) {
+  const decoder = new StringDecoder('utf8')
+  let depth = 0
+  let inString = false
+  let escape = false
+  // last string read at the top level of the dump, the key of the next value
+  let key = ''
+  let text = ''
+  // depth of the auctions array, -1 until it is found
+  let auctionsDepth = -1
+  // start of the auction being read in the current chunk, -1 when not reading one
+  let start = -1
+  // text of the auction being read coming from the previous chunks
+  let partial = ''
+  const parse = async function* (chunk) {
+    for (let i = 0; i < chunk.length; i++) {
+      const char = chunk[i]
+      if (inString) {
+        if (escape) {
+          escape = false
+        } else if (char == '\\') {
+          escape = true
+        } else if (char == '"') {
+          inString = false
+          if (depth == 1) key = text
+        } else if (depth == 1) {
+          text += char
+        }
+        continue
+      }
+      if (char == '"') {
+        inString = true
+        text = ''
+      } else if (char == '{' || char == '[') {
+        if (char == '[' && depth == 1 && key == 'auctions') {
+          auctionsDepth = depth + 1
+        } else if (char == '{' && depth == auctionsDepth) {
+          start = i
+        }
+        depth++
+      } else if (char == '}' || char == ']') {
+        depth--
+        if (char == '}' && depth == auctionsDepth) {
+          const auction = JSON.parse(partial + chunk.slice(start, i + 1))
+          partial = ''
+          start = -1
+          if (matchesFilter(auction, filter)) yield auction
+        } else if (char == ']' && depth == auctionsDepth - 1) {
+          auctionsDepth = -1
+        }
+      }
+    }
+    if (start >= 0) {
+      partial += chunk.slice(start)
+      start = 0
+    }
+  }
+  for await (const data of stream) {
+    yield* parse(typeof data == 'string' ? data : decoder.write(data))
+  }
+  yield* parse(decoder.end())
+}
+module.exports = { streamAuctions, matchesFilter }
@@ -0,0 +1,149 @@
+/**
+ * Auction house snapshots, built on the dumps downloaded by WoWClient.
+ * AuctionHouse downloads a realm dump only when its lastModified timestamp changes,
+ * keeps the latest snapshots and helpers compare them and summarize prices by item.
+ */
+const { MissingParameterException } = require('./errors')
+
+/**
+ * Per unit buyout of an auction, undefined for auctions without buyout.
+ * @param {object} auction An auction of the dump
+ */
+const unitBuyout = auction => auction.buyout > 0 ? auction.buyout / auction.quantity : undefined
+/**
+ * Compare two snapshots of the same realm.
+ * Removed auctions that were not about to expire (timeLeft other than SHORT) are reported as likely sold.
+ * @param {object} previous The older snapshot, { realm, lastModified, auctions }
+ * @param {object} current The newer snapshot
+ */
+const diffSnapshots = (previous, current) => {
+  if (!previous) throw new MissingParameterException('previous', 'object')
+  if (!current) throw new MissingParameterException('current', 'object')
+  const before = new Map(previous.auctions.map(auction => [auction.auc, auction]))
+  const after = new Map(current.auctions.map(auction => [auction.auc, auction]))
+  const added = []
+  const removed = []
+  const priceChanged = []
+  after.forEach((auction, auc) => {
+    const old = before.get(auc)
+    if (!old) {
+      added.push(auction)
+    } else if (old.bid != auction.bid || old.buyout != auction.buyout) {
+      priceChanged.push({ previous: old, current: auction })
+    }
+  })
+  before.forEach((auction, auc) => {
+    if (!after.has(auc)) removed.push(auction)
+  })
+  const sold = removed.filter(auction => auction.timeLeft != 'SHORT')
+  return { added, removed, priceChanged, sold }
+}
+/**
+ * Compute the price statistics of each item.
+ * Prices are per unit buyouts, auctions without buyout only count in the volume.
+ * The median and the market value (mean) are weighted by the auction quantity.
+ * @param {Array<object>} auctions The auctions of a dump or snapshot
+ * @returns {Map<number, object>} Statistics by item id: { item, auctions, quantity, minBuyout, medianBuyout, marketValue }
+ */
+const itemStatistics = auctions => {
+  if (!auctions) throw new MissingParameterException('auctions', 'Array')
+  const groups = new Map()
+  auctions.forEach(auction => {
+    if (!groups.has(auction.item)) groups.set(auction.item, [])
+    groups.get(auction.item).push(auction)
+  })
+  const statistics = new Map()
+  groups.forEach((itemAuctions, item) => {
+    const quantity = itemAuctions.reduce((total, auction) => total + auction.quantity, 0)
+    const prices = itemAuctions
+      .filter(auction => unitBuyout(auction) !== undefined)
+      .map(auction => ({ price: unitBuyout(auction), quantity: auction.quantity }))
+      .sort((a, b) => a.price - b.price)
+    const pricedQuantity = prices.reduce((total, { quantity }) => total + quantity, 0)
+    let medianBuyout
+    let cumulated = 0
+    for (const { price, quantity } of prices) {
+      cumulated += quantity
+      if (cumulated >= pricedQuantity / 2) {
+        medianBuyout = price
+        break
+      }
+    }
+    statistics.set(item, {
+      item,
+      auctions: itemAuctions.length,
+      quantity,
+      minBuyout: prices.length ? prices[0].price : undefined,
+      medianBuyout,
+      marketValue: pricedQuantity ? prices.reduce((total, { price, quantity }) => total + price * quantity, 0) / pricedQuantity : undefined
+    })
+  })
+  return statistics
+}
+class AuctionHouse {
+  /**
+   * @param {WoWClient} client The client used to download the dumps
+   * @param {object} options
+   * @param {number} options.maxSnapshots Number of snapshots kept for each realm. Default is 2
+   */
+  constructor(client, { maxSnapshots = 2 } = {}) {
+    if (!client) throw new MissingParameterException('client', 'WoWClient')
+    this._client = client
+    this._maxSnapshots = maxSnapshots
+    this._snapshots = new Map()
+  }
+  /**
+   * Download the realm dump if it changed since the latest snapshot and store it as a new snapshot.
+   * Resolve to the new snapshot, or null if the dump is unchanged or not available.
+   * @param {string} realm The realm slug
+   * @param {object} options Request options, see WoWClient._fetchAPI
+   */
+  async update(realm, options = {}) {
+    // the dump file list must be fresh to detect a new lastModified
+    const files = await this._client.auctionFiles(realm, Object.assign({ cache: false }, options))
+    if (!files || !files.length) return null
+    const { url, lastModified } = files[0]
+    const latest = this.latest(realm)
+    if (latest && latest.lastModified == lastModified) return null
+    const { auctions } = await this._client.auctionData(url, options)
+    const snapshot = { realm, lastModified, auctions }
+    const snapshots = this.snapshots(realm)
+    snapshots.push(snapshot)
+    this._snapshots.set(realm, snapshots.slice(-this._maxSnapshots))
+    return snapshot
+  }
+  /**
+   * Return the kept snapshots of a realm, from the oldest to the newest.
+   * @param {string} realm The realm slug
+   */
+  snapshots(realm) {
+    return (this._snapshots.get(realm) || []).slice()
+  }
+  /**
+   * Return the newest snapshot of a realm, if any.
+   * @param {string} realm The realm slug
+   */
+  latest(realm) {
+    const snapshots = this._snapshots.get(realm)
+    return snapshots ? snapshots[snapshots.length - 1] : undefined
+  }
+  /**
+   * Compare the two newest snapshots of a realm, see diffSnapshots.
+   * Return undefined if less than two snapshots are available.
+   * @param {string} realm The realm slug
+   */
+  diff(realm) {
+    const snapshots = this.snapshots(realm)
+    if (snapshots.length < 2) return undefined
+    return diffSnapshots(snapshots[snapshots.length - 2], snapshots[snapshots.length - 1])
+  }
+  /**
+   * Compute the price statistics of the newest snapshot of a realm, see itemStatistics.
+   * @param {string} realm The realm slug
+   */
+  statistics(realm) {
+    const latest = this.latest(realm)
+    return latest ? itemStatistics(latest.auctions) : undefined
+  }
+}
+module.exports = { AuctionHouse, diffSnapshots, itemStatistics }
@@ -0,0 +1,147 @@
+/**
+ * Response cache used by WoWClient to avoid downloading the same resource twice.
+ * The storage is pluggable: any object exposing the async methods get, set, delete and clear
+ * (see MemoryCache) can be passed as store, e.g. an adapter around a file or a Redis-like database.
+ */
+
+/**
+ * Default time to live, in seconds, for each endpoint family.
+ * Static game data rarely changes while realm status is only meaningful for a short time.
+ */
+const DEFAULT_TTL = {
+  data: 6 * 60 * 60,
+  realmStatus: 60,
+  character: 5 * 60,
+  guild: 5 * 60,
+  auction: 5 * 60,
+  leaderboard: 5 * 60,
+  dynamic: 5 * 60,
+  default: 60 * 60
+}
+/**
+ * Endpoint families, matched in order against the request path.
+ */
+const FAMILIES = [
+  { name: 'data', pattern: /^data\// },
+  { name: 'realmStatus', pattern: /^realm\/status/ },
+  { name: 'character', pattern: /^character\// },
+  { name: 'guild', pattern: /^guild\// },
+  { name: 'auction', pattern: /^auction\// },
+  { name: 'leaderboard', pattern: /^leaderboard\// }
+]
+/**
+ * Endpoint family of the Game Data and Profile API requests, by namespace type.
+ */
+const NAMESPACE_FAMILIES = {
+  static: 'data',
+  dynamic: 'dynamic',
+  profile: 'character'
+}
+/**
+ * In-memory least recently used cache. It is the default store of ResponseCache.
+ * Values are kept serialized, like a file or Redis adapter would, so that a caller mutating
+ * a returned value does not alter the cached one.
+ */
+class MemoryCache {
+  /**
+   * @param {object} options
+   * @param {number} options.max Maximum number of entries kept before evicting the least recently used one. Default is 500
+   */
+  constructor({ max = 500 } = {}) {
+    this._max = max
+    this._entries = new Map()
+  }
+  /**
+   * Return the value stored for the key or undefined if it is missing or expired.
+   * @param {string} key
+   */
+  async get(key) {
+    const entry = this._entries.get(key)
+    if (!entry) return undefined
+    this._entries.delete(key)
+    if (entry.expires <= Date.now()) return undefined
+    // re-insert the entry so it becomes the most recently used
+    this._entries.set(key, entry)
+    return entry.value === undefined ? undefined : JSON.parse(entry.value)
+  }
+  /**
+   * Store a value for ttl seconds.
+   * @param {string} key
+   * @param {*} value
+   * @param {number} ttl Time to live in seconds
+   */
+  async set(key, value, ttl) {
+    this._entries.delete(key)
+    this._entries.set(key, { value: JSON.stringify(value), expires: Date.now() + ttl * 1000 })
+    while (this._entries.size > this._max) {
+      // Map keeps insertion order, the first key is the least recently used
+      this._entries.delete(this._entries.keys().next().value)
+    }
+  }
+  /**
+   * @param {string} key
+   */
+  async delete(key) {
+    this._entries.delete(key)
+  }
+  async clear() {
+    this._entries.clear()
+  }
+}
+/**
+ * Bind a store to the TTL rules and build the cache keys of the API requests.
+ */
+class ResponseCache {
+  /**
+   * @param {object} options
+   * @param {object} options.store A cache adapter. Default is a MemoryCache
+   * @param {number} options.max Maximum number of entries of the default MemoryCache
+   * @param {object} options.ttl TTL in seconds by endpoint family (data, realmStatus, character, guild, auction, leaderboard, dynamic, default).
+   * Game Data API requests in the static namespace belong to data, dynamic ones to dynamic and Profile API requests to character.
+   * A TTL of 0 disables the cache for that family
+   */
+  constructor({ store = undefined, max = undefined, ttl = {} } = {}) {
+    this._store = store || new MemoryCache({ max })
+    this._ttl = Object.assign({}, DEFAULT_TTL, ttl)
+  }
+  /**
+   * Build the key identifying a request.
+   * @param {string} region
+   * @param {string} locale
+   * @param {string} path
+   * @param {Array<string>} fields
+   * @param {string} namespace The namespace type of a Game Data or Profile API request
+   */
+  key(region, locale, path, fields, namespace = undefined) {
+    const fieldList = fields ? [...fields].sort().join(',') : ''
+    return `${region}:${locale}:${namespace ? `${namespace}:` : ''}${path}?fields=${fieldList}`
+  }
+  /**
+   * Return the TTL, in seconds, of the endpoint family the request belongs to.
+   * @param {string} path
+   * @param {string} namespace The namespace type of a Game Data or Profile API request
+   */
+  ttl(path, namespace = undefined) {
+    if (namespace) {
+      return this._ttl[NAMESPACE_FAMILIES[namespace] || 'default']
+    }
+    const family = FAMILIES.find(({ pattern }) => pattern.test(path))
+    return this._ttl[family ? family.name : 'default']
+  }
+  async get(key) {
+    return await this._store.get(key)
+  }
+  async set(key, path, value, namespace = undefined) {
+    const ttl = this.ttl(path, namespace)
+    if (ttl > 0) {
+      await this._store.set(key, value, ttl)
+    }
+  }
+  async delete(key) {
+    await this._store.delete(key)
+  }
+  async clear() {
+    await this._store.clear()
+  }
+}
+module.exports = { MemoryCache, ResponseCache, DEFAULT_TTL }
@@ -0,0 +1,190 @@
+/**
+ * Errors raised by the client.
+ * Every error extends BattleNetApiError so callers can tell a missing character
+ * from a throttled or failed request by checking the error class or its status.
+ */
+
+/**
+ * Replace the value of the access_token parameter of a URL, or of a message quoting one, so it can be safely logged.
+ * @param {string} url
+ */
+const redactURL = url => url && url.replace(/access_token=[^&\s]*/g, 'access_token=REDACTED')
+/**
+ * Copy an error with the access token redacted from its message, e.g. a node-fetch FetchError quoting the requested URL.
+ * The copy keeps the name, type and system error code of the original.
+ * @param {Error} err
+ */
+const redactError = err => {
+  if (!(err instanceof Error)) return err
+  const copy = new Error(redactURL(err.message))
+  copy.name = err.name
+  ;['type', 'code', 'errno'].forEach(key => {
+    if (err[key] !== undefined) copy[key] = err[key]
+  })
+  return copy
+}
+/**
+ * Base class of the errors raised by the client.
+ */
+class BattleNetApiError extends Error {
+  /**
+   * @param {string} message
+   * @param {object} details
+   * @param {number} details.status HTTP status of the response
+   * @param {string} details.reason Reason of the failure reported by Blizzard
+   * @param {string} details.path The requested API path
+   * @param {string} details.region The requested region
+   * @param {string} details.url The requested URL. The access token is redacted
+   */
+  constructor(message, { status = undefined, reason = undefined, path = undefined, region = undefined, url = undefined } = {}) {
+    super(message)
+    this.name = "BattleNetApiError"
+    this.status = status
+    this.reason = reason
+    this.path = path
+    this.region = region
+    this.url = redactURL(url)
+  }
+}
+/**
+ * The requested resource (character, guild, item...) does not exist.
+ */
+class NotFoundError extends BattleNetApiError {
+  constructor(message, details) {
+    super(message, details)
+    this.name = "NotFoundError"
+  }
+}
+/**
+ * The credentials or the access token have been refused.
+ */
+class UnauthorizedError extends BattleNetApiError {
+  constructor(message, details) {
+    super(message, details)
+    this.name = "UnauthorizedError"
+  }
+}
+/**
+ * Blizzard throttled the request. retryAfter holds the seconds to wait, when provided.
+ */
+class RateLimitedError extends BattleNetApiError {
+  constructor(message, details = {}) {
+    super(message, details)
+    this.name = "RateLimitedError"
+    this.retryAfter = details.retryAfter
+  }
+}
+/**
+ * Blizzard failed to serve the request (5xx).
+ */
+class ServerError extends BattleNetApiError {
+  constructor(message, details) {
+    super(message, details)
+    this.name = "ServerError"
+  }
+}
+/**
+ * The request did not reach Blizzard or the response was not received.
+ */
+class NetworkError extends BattleNetApiError {
+  constructor(message, details = {}) {
+    super(message, details)
+    this.name = "NetworkError"
+    this.cause = details.cause
+  }
+}
+/**
+ * The call did not complete within its timeout. timeout holds the milliseconds allowed.
+ */
+class TimeoutError extends BattleNetApiError {
+  constructor(message, details = {}) {
+    super(message, details)
+    this.name = "TimeoutError"
+    this.timeout = details.timeout
+  }
+}
+/**
+ * The call has been cancelled through its AbortSignal. cause holds the reason given to the signal, if any.
+ */
+class AbortError extends BattleNetApiError {
+  constructor(message, details = {}) {
+    super(message, details)
+    this.name = "AbortError"
+    this.cause = details.cause
+  }
+}
+/**
+ * An argument has an invalid value. The request has not been sent.
+ */
+class ValidationError extends BattleNetApiError {
+  /**
+   * @param {string} message
+   * @param {object} details See BattleNetApiError
+   * @param {Array<string>} details.problems Every problem found, when several arguments are invalid
+   */
+  constructor(message, details = {}) {
+    super(message, details)
+    this.name = "ValidationError"
+    this.problems = details.problems || [message]
+  }
+}
+class MissingParameterException extends BattleNetApiError {
+  constructor(paramname, paramtype = undefined) {
+    super()
+    this.name = "MissingParameterException"
+    this.message = `Missing parameter ${paramname}${paramtype ? ` of type ${paramtype}.`: '.'}`
+  }
+}
+/**
+ * Parse the Retry-After header, either in seconds or as HTTP date, into seconds.
+ * @param {string} value
+ */
+const parseRetryAfter = value => {
+  if (!value) return undefined
+  const seconds = Number(value)
+  if (!isNaN(seconds)) return seconds
+  const date = Date.parse(value)
+  return isNaN(date) ? undefined : Math.max(0, Math.ceil((date - Date.now()) / 1000))
+}
+/**
+ * Build the error matching the status of a failed response.
+ * Blizzard reports the reason in the body as reason (Community API) or detail (Game Data API).
+ * @param {Response} res The failed fetch response
+ * @param {object} details
+ * @param {string} details.path The requested API path
+ * @param {string} details.region The requested region
+ * @param {string} details.url The requested URL
+ * @param {string} details.message Override the default error message
+ */
+const createResponseError = async (res, { path, region, url, message = undefined }) => {
+  let reason
+  try {
+    const body = await res.json()
+    reason = body.reason || body.detail || body.error_description
+  } catch (err) {
+    reason = res.statusText
+  }
+  const { status } = res
+  const details = { status, reason, path, region, url }
+  message = message || `Request to ${path} (${region}) failed with status ${status}${reason ? `: ${reason}` : ''}`
+  if (status == 404) return new NotFoundError(message, details)
+  if (status == 401 || status == 403) return new UnauthorizedError(message, details)
+  if (status == 429) return new RateLimitedError(message, Object.assign(details, { retryAfter: parseRetryAfter(res.headers.get('retry-after')) }))
+  if (status >= 500) return new ServerError(message, details)
+  return new BattleNetApiError(message, details)
+}
+module.exports = {
+  BattleNetApiError,
+  NotFoundError,
+  UnauthorizedError,
+  RateLimitedError,
+  ServerError,
+  NetworkError,
+  TimeoutError,
+  AbortError,
+  ValidationError,
+  MissingParameterException,
+  createResponseError,
+  redactURL,
+  redactError
+}
@@ -0,0 +1,315 @@
+/**
+ * Static game data export, built on WoWClient.
+ * The Exporter dumps the data lists, follows the item, spell, quest and pet species ids they reference
+ * to fetch the details and writes one NDJSON file or SQLite table per resource.
+ * Progress is saved in a checkpoint file so that an interrupted export resumes where it stopped.
+ */
+const fs = require('fs')
+const path = require('path')
+const EventEmitter = require('events')
+const { MissingParameterException } = require('./errors')
+const { assertValid, enumProblems } = require('./validation')
+const { mapConcurrent } = require('./pool')
+
+/**
+ * Flatten the achievement categories and subcategories, each achievement with its categoryId.
+ * @param {Array<object>} categories
+ */
+const flattenAchievements = (categories = []) => categories.reduce((rows, { id, achievements = [], categories: subcategories = [] }) => rows
+  .concat(achievements.map(achievement => Object.assign({ categoryId: id }, achievement)))
+  .concat(flattenAchievements(subcategories)), [])
+/**
+ * Data lists walked by the exporter: how to fetch them, the rows of the result and the id of a row.
+ */
+const LISTS = {
+  achievements: { fetch: (client, options) => client.availableAchievements(options), rows: flattenAchievements, id: row => row.id },
+  bosses: { fetch: (client, options) => client.bosses(options), rows: bosses => bosses, id: row => row.id },
+  zones: { fetch: (client, options) => client.zones(options), rows: ({ zones }) => zones, id: row => row.id },
+  mounts: { fetch: (client, options) => client.mounts(options), rows: ({ mounts }) => mounts, id: row => row.spellId },
+  pets: { fetch: (client, options) => client.pets(options), rows: ({ pets }) => pets, id: row => row.creatureId },
+  classes: { fetch: (client, options) => client.classes(options), rows: classes => classes, id: row => row.id },
+  races: { fetch: (client, options) => client.races(options), rows: races => races, id: row => row.id },
+  itemClasses: { fetch: (client, options) => client.itemClasses(options), rows: itemClasses => itemClasses, id: row => row.class },
+  talents: { fetch: (client, options) => client.talents(null, options), rows: talents => Object.keys(talents).map(classId => Object.assign({ classId: Number(classId) }, talents[classId])), id: row => row.classId },
+  guildPerks: { fetch: (client, options) => client.guildPerks(options), rows: perks => perks, id: row => row.spell.id },
+  guildRewards: { fetch: (client, options) => client.guildRewards(options), rows: ({ rewards }) => rewards, id: row => row.item.id }
+}
+/**
+ * Detail resources fetched by id, as referenced by the lists and by other details.
+ */
+const DETAILS = {
+  items: 'item',
+  spells: 'spell',
+  quests: 'quest',
+  petSpecies: 'petSpecies'
+}
+/**
+ * Properties holding an id of a detail resource, e.g. { itemId: 5656 }.
+ */
+const ID_KEYS = { itemId: 'items', spellId: 'spells', questId: 'quests', speciesId: 'petSpecies' }
+/**
+ * Properties holding detail resources, or lists of them, with their id, e.g. { item: { id: 62286 } }.
+ */
+const OBJECT_KEYS = { item: 'items', rewardItems: 'items', spell: 'spells' }
+/**
+ * Collect the ids of the detail resources referenced anywhere in a value.
+ * @param {*} value A row of a list or a detail
+ * @param {object} refs The ids found so far, by detail resource
+ * @returns {object} Sets of ids by detail resource
+ */
+const references = (value, refs = {}) => {
+  const add = (resource, id) => {
+    if (!Number.isInteger(id) || id <= 0) return
+    if (!refs[resource]) refs[resource] = new Set()
+    refs[resource].add(id)
+  }
+  if (Array.isArray(value)) {
+    value.forEach(entry => references(entry, refs))
+  } else if (value && typeof value == 'object') {
+    Object.keys(value).forEach(key => {
+      const entry = value[key]
+      if (ID_KEYS[key]) add(ID_KEYS[key], entry)
+      if (OBJECT_KEYS[key]) [].concat(entry).forEach(object => object && add(OBJECT_KEYS[key], object.id))
+      references(entry, refs)
+    })
+  }
+  return refs
+}
+/**
+ * Write each resource to a NDJSON file of the output directory, e.g. items.ndjson.
+ * The state kept in the checkpoint is the size of every file, so that rows written after the
+ * latest checkpoint are dropped on resume.
+ */
+class NdjsonWriter {
+  /**
+   * @param {string} dir The output directory
+   */
+  constructor(dir) {
+    this._dir = dir
+    this._sizes = {}
+  }
+  _file(resource) {
+    return path.join(this._dir, `${resource}.ndjson`)
+  }
+  /**
+   * Prepare the files of the resources, truncated to their size at the checkpoint.
+   * @param {Array<string>} resources
+   * @param {object} state The state saved in the checkpoint, empty for a new export
+   */
+  async open(resources, { sizes = {} } = {}) {
+    await fs.promises.mkdir(this._dir, { recursive: true })
+    for (const resource of resources) {
+      this._sizes[resource] = sizes[resource] || 0
+      const handle = await fs.promises.open(this._file(resource), 'a')
+      await handle.truncate(this._sizes[resource])
+      await handle.close()
+    }
+  }
+  /**
+   * Append rows to the file of a resource.
+   * @param {string} resource
+   * @param {Array<object>} rows Rows with their id
+   */
+  async write(resource, rows) {
+    if (!rows.length) return
+    const data = rows.map(row => `${JSON.stringify(row)}\n`).join('')
+    await fs.promises.appendFile(this._file(resource), data)
+    this._sizes[resource] += Buffer.byteLength(data)
+  }
+  state() {
+    return { sizes: Object.assign({}, this._sizes) }
+  }
+  async close() {}
+}
+/**
+ * Write each resource to a table of a SQLite database, with the id and the JSON data of the rows.
+ * Rows are upserted by id, so rows written after the latest checkpoint are simply written again on resume.
+ * Requires the better-sqlite3 package.
+ */
+class SqliteWriter {
+  /**
+   * @param {string} file The database file
+   */
+  constructor(file) {
+    this._file = file
+    this._db = null
+  }
+  async open(resources) {
+    let Database
+    try {
+      Database = require('better-sqlite3')
+    } catch (err) {
+      throw new Error('The sqlite format requires the better-sqlite3 package, install it with npm i better-sqlite3')
+    }
+    this._db = new Database(this._file)
+    resources.forEach(resource => {
+      this._db.prepare(`CREATE TABLE IF NOT EXISTS "${resource}" (id INTEGER PRIMARY KEY, data TEXT NOT NULL)`).run()
+    })
+  }
+  async write(resource, rows) {
+    const insert = this._db.prepare(`INSERT OR REPLACE INTO "${resource}" (id, data) VALUES (?, ?)`)
+    this._db.transaction(() => rows.forEach(row => insert.run(row.id, JSON.stringify(row))))()
+  }
+  state() {
+    return {}
+  }
+  async close() {
+    if (this._db) this._db.close()
+  }
+}
+const WRITERS = { ndjson: NdjsonWriter, sqlite: SqliteWriter }
+
+class Exporter extends EventEmitter {
+  /**
+   * The export emits a progress event, { resource, written, pending }, after each list and each batch of details.
+   * @param {WoWClient} client The client used to fetch the data
+   * @param {object} options
+   * @param {string} options.format Output format, ndjson or sqlite. Default is ndjson
+   * @param {string} options.output Output directory for ndjson, database file for sqlite. Default is export or export.sqlite
+   * @param {string} options.checkpoint Checkpoint file. Default is the output followed by .checkpoint.json
+   * @param {Array<string>} options.lists Data lists to export. Default is every list, see LISTS
+   * @param {boolean} options.follow Fetch the details referenced by the lists. Default is true
+   * @param {object} options.seeds More detail ids to fetch by resource, e.g. { quests: [12345] }
+   * @param {number} options.concurrency Maximum number of details fetched at the same time. Default is 10
+   * @param {number} options.batchSize Number of details fetched between two checkpoints. Default is 100
+   * @param {object} options.requestOptions Request options of every call, see WoWClient._fetchAPI.
+   * Default is { priority: 'low', cache: false }
+   */
+  constructor(client, { format = 'ndjson', output = undefined, checkpoint = undefined, lists = Object.keys(LISTS), follow = true, seeds = {}, concurrency = 10, batchSize = 100, requestOptions = { priority: 'low', cache: false } } = {}) {
+    super()
+    if (!client) throw new MissingParameterException('client', 'WoWClient')
+    assertValid([].concat(
+      enumProblems('format', format, Object.keys(WRITERS)),
+      ...lists.map(list => enumProblems('list', list, Object.keys(LISTS))),
+      ...Object.keys(seeds).map(resource => enumProblems('seed resource', resource, Object.keys(DETAILS)))
+    ))
+    this._client = client
+    this._format = format
+    this._output = output || (format == 'sqlite' ? 'export.sqlite' : 'export')
+    this._checkpoint = checkpoint || `${this._output}.checkpoint.json`
+    this._lists = lists
+    this._follow = follow
+    this._seeds = seeds
+    this._concurrency = concurrency
+    this._batchSize = batchSize
+    this._requestOptions = requestOptions
+  }
+  /**
+   * Run the export, resuming from the checkpoint file if there is one.
+   * The checkpoint is removed once everything is exported. When some details could not be fetched
+   * it is kept, so that running the export again retries only them.
+   * @returns {object} { written, failures } with the rows written by resource and the failures of this run,
+   * as { resource, id, error }
+   */
+  async run() {
+    const state = await this._load()
+    const writer = new WRITERS[this._format](this._output)
+    await writer.open(this._lists.concat(Object.keys(DETAILS)), state.writer)
+    const written = {}
+    const failures = []
+    const save = () => this._save(Object.assign(state, { writer: writer.state() }))
+    // ids already exported, missing, failed or queued
+    const seen = {}
+    Object.keys(DETAILS).forEach(resource => {
+      seen[resource] = new Set(Object.keys(state.done[resource]).map(Number).concat(state.queue[resource]))
+    })
+    const enqueue = refs => {
+      if (!this._follow) return
+      Object.keys(refs).forEach(resource => refs[resource].forEach(id => {
+        if (seen[resource].has(id)) return
+        seen[resource].add(id)
+        state.queue[resource].push(id)
+      }))
+    }
+    const progress = (resource, count) => {
+      written[resource] = (written[resource] || 0) + count
+      const pending = Object.keys(state.queue).reduce((total, name) => total + state.queue[name].length, 0)
+      this.emit('progress', { resource, written: written[resource], pending })
+    }
+    try {
+      for (const list of this._lists.filter(list => !state.lists.includes(list))) {
+        const { fetch, rows, id } = LISTS[list]
+        const result = await fetch(this._client, this._requestOptions)
+        const listRows = result ? rows(result).map(row => Object.assign({ id: id(row) }, row)) : []
+        await writer.write(list, listRows)
+        enqueue(references(listRows))
+        state.lists.push(list)
+        await save()
+        progress(list, listRows.length)
+      }
+      // details can reference a resource whose queue was already emptied, e.g. a quest rewarding an item,
+      // so the first resource with queued ids is picked again after each batch
+      let resource
+      while ((resource = Object.keys(DETAILS).find(name => state.queue[name].length))) {
+        const ids = state.queue[resource].slice(0, this._batchSize)
+        const results = await mapConcurrent(ids, this._concurrency, async id => {
+          try {
+            return { id, detail: await this._client[DETAILS[resource]](id, this._requestOptions) }
+          } catch (error) {
+            return { id, error }
+          }
+        })
+        const rows = []
+        results.forEach(({ id, detail, error }) => {
+          if (error) failures.push({ resource, id, error })
+          else if (detail) rows.push(Object.assign({ id }, detail))
+          // true once exported, false when not found or failed
+          state.done[resource][id] = !!detail
+          if (error) state.failed[resource].push(id)
+        })
+        await writer.write(resource, rows)
+        state.queue[resource] = state.queue[resource].slice(ids.length)
+        enqueue(references(rows))
+        await save()
+        progress(resource, rows.length)
+      }
+    } finally {
+      await writer.close()
+    }
+    if (!failures.length) {
+      await fs.promises.unlink(this._checkpoint).catch(err => {
+        if (err.code != 'ENOENT') throw err
+      })
+    }
+    return { written, failures }
+  }
+  /**
+   * Read the checkpoint file, or create the initial state with the seeds.
+   * Details that failed in the previous run are queued again.
+   */
+  async _load() {
+    let state
+    try {
+      state = JSON.parse(await fs.promises.readFile(this._checkpoint, 'utf8'))
+    } catch (err) {
+      if (err.code != 'ENOENT') throw err
+      state = { format: this._format, lists: [], queue: {}, done: {}, failed: {}, writer: {} }
+      Object.keys(DETAILS).forEach(resource => {
+        state.queue[resource] = (this._seeds[resource] || []).slice()
+        state.done[resource] = {}
+        state.failed[resource] = []
+      })
+      return state
+    }
+    if (state.format != this._format) {
+      throw new Error(`The checkpoint ${this._checkpoint} belongs to a ${state.format} export`)
+    }
+    Object.keys(DETAILS).forEach(resource => {
+      state.failed[resource].forEach(id => delete state.done[resource][id])
+      state.queue[resource] = state.failed[resource].concat(state.queue[resource])
+      state.failed[resource] = []
+    })
+    return state
+  }
+  /**
+   * Replace the checkpoint file with the given state, through a temporary file so that
+   * an interruption never leaves a truncated checkpoint.
+   * @param {object} state
+   */
+  async _save(state) {
+    const tmp = `${this._checkpoint}.tmp`
+    await fs.promises.writeFile(tmp, JSON.stringify(state))
+    await fs.promises.rename(tmp, this._checkpoint)
+  }
+}
+module.exports = { Exporter, NdjsonWriter, SqliteWriter, LISTS, DETAILS, references }
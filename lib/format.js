@@ -0,0 +1,57 @@
+/**
+ * Output formats of the command line interface.
+ */
+
+/**
+ * Render a value in a single table cell.
+ * @param {*} value
+ * @param {number} width Maximum length of the cell
+ */
+const cell = (value, width = 40) => {
+  const text = value === undefined || value === null ? '' : typeof value == 'object' ? JSON.stringify(value) : String(value)
+  return text.length > width ? `${text.slice(0, width - 1)}…` : text
+}
+/**
+ * Render a list of objects, or a single object, as a text table.
+ * Lists use one column per property, objects one row per property.
+ * @param {*} data
+ */
+const table = data => {
+  let rows
+  if (Array.isArray(data)) {
+    const columns = []
+    data.forEach(row => Object.keys(Object(row)).forEach(key => {
+      if (!columns.includes(key)) columns.push(key)
+    }))
+    if (!columns.length) return data.map(value => cell(value)).join('\n')
+    rows = [columns, ...data.map(row => columns.map(column => cell(Object(row)[column])))]
+  } else if (data && typeof data == 'object') {
+    rows = [['key', 'value'], ...Object.keys(data).map(key => [key, cell(data[key], 80)])]
+  } else {
+    return cell(data, Infinity)
+  }
+  const widths = rows[0].map((_, index) => Math.max(...rows.map(row => row[index].length)))
+  const line = row => row.map((value, index) => value.padEnd(widths[index])).join('  ').trimEnd()
+  return [line(rows[0]), widths.map(width => '-'.repeat(width)).join('  '), ...rows.slice(1).map(line)].join('\n')
+}
+/**
+ * Render data in the given format: json (pretty printed), ndjson (one line per list entry) or table.
+ * @param {*} data
+ * @param {string} format
+ */
+const format = (data, format = 'json') => {
+  if (data instanceof Map) {
+    data = Array.from(data, ([key, value]) => value && typeof value == 'object' && !Array.isArray(value) ? Object.assign({ key }, value) : { key, value })
+  }
+  switch (format) {
+    case 'json':
+      return JSON.stringify(data, null, 2)
+    case 'ndjson':
+      return (Array.isArray(data) ? data : [data]).map(entry => JSON.stringify(entry)).join('\n')
+    case 'table':
+      return table(data)
+    default:
+      throw new Error(`Invalid format ${format}. Accepted formats are json, ndjson and table.`)
+  }
+}
+module.exports = { format, table }
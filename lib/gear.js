@@ -0,0 +1,156 @@
+/**
+ * Character equipment audit, built on the items and audit fields of the character profile.
+ * GearAudit reports item levels, missing enchants, empty sockets and set bonuses
+ * of a character or of every member of a guild.
+ */
+const { MissingParameterException } = require('./errors')
+
+/**
+ * Equipment slots in the order of their inventory index, as used by the audit data.
+ */
+const SLOTS = [
+  'head', 'neck', 'shoulder', 'shirt', 'chest', 'waist', 'legs', 'feet', 'wrist', 'hands',
+  'finger1', 'finger2', 'trinket1', 'trinket2', 'back', 'mainHand', 'offHand', 'ranged', 'tabard'
+]
+/**
+ * Slot names of the audit entries keyed by inventory index, e.g. unenchantedItems.
+ * @param {object} entries
+ */
+const auditSlots = (entries = {}) => Object.keys(entries).map(index => SLOTS[index] || index)
+/**
+ * Build the report of a character profile fetched with the items and audit fields.
+ * Set bonuses are left empty, GearAudit resolves them through the item set API.
+ * @param {object} profile The character profile
+ */
+const gearReport = profile => {
+  if (!profile) throw new MissingParameterException('profile', 'object')
+  const items = profile.items || {}
+  const audit = profile.audit || {}
+  const slots = SLOTS
+    .filter(slot => items[slot])
+    .map(slot => {
+      const { id, name, itemLevel, tooltipParams = {} } = items[slot]
+      const gems = Object.keys(tooltipParams).filter(param => /^gem\d+$/.test(param)).map(param => tooltipParams[param])
+      return { slot, id, name, itemLevel, enchant: tooltipParams.enchant, gems }
+    })
+  return {
+    name: profile.name,
+    realm: profile.realm,
+    averageItemLevel: items.averageItemLevel,
+    averageItemLevelEquipped: items.averageItemLevelEquipped,
+    slots,
+    missingEnchants: auditSlots(audit.unenchantedItems),
+    emptySockets: auditSlots(audit.itemsWithEmptySockets),
+    emptySocketCount: audit.emptySockets || 0,
+    setBonuses: []
+  }
+}
+class GearAudit {
+  /**
+   * @param {WoWClient} client The client used to fetch characters, items and item sets
+   */
+  constructor(client) {
+    if (!client) throw new MissingParameterException('client', 'WoWClient')
+    this._client = client
+    // item set lookups shared by all the reports, by item id and by set id
+    this._itemSetIds = new Map()
+    this._itemSets = new Map()
+  }
+  /**
+   * Return the report of a character, undefined if it is not found.
+   * @param {string} realm Character's realm
+   * @param {string} charname Character's name
+   * @param {object} options Request options, see WoWClient._fetchAPI
+   */
+  async character(realm, charname, options = {}) {
+    const profile = await this._client.characterProfile(realm, charname, ['items', 'audit'], options)
+    return profile ? await this.report(profile, options) : undefined
+  }
+  /**
+   * Build the report of a character profile, with its set bonuses resolved.
+   * @param {object} profile The character profile fetched with the items and audit fields
+   * @param {object} options Request options, see WoWClient._fetchAPI
+   */
+  async report(profile, options = {}) {
+    const report = gearReport(profile)
+    report.setBonuses = await this._setBonuses(profile.items || {}, options)
+    return report
+  }
+  /**
+   * Rank every member of a guild by equipped item level.
+   * Members that could not be fetched are listed in failures.
+   * @param {string} realm The guild realm
+   * @param {string} guildname The guild name
+   * @param {object} options Request options, see WoWClient._fetchAPI
+   * @param {number} options.minItemLevel Minimum equipped item level. Default is 0
+   */
+  async roster(realm, guildname, options = {}) {
+    const { minItemLevel = 0 } = options
+    const guild = await this._client.guildMembers(realm, guildname, options)
+    if (!guild) return undefined
+    const characters = guild.members.map(({ character }) => ({ realm: character.realm, name: character.name }))
+    const ranks = new Map(guild.members.map(({ character, rank }) => [`${character.realm}/${character.name}`, rank]))
+    const results = await this._client.characterProfiles(characters, ['items', 'audit'], options)
+    const members = []
+    const failures = []
+    for (const [key, { realm, name, ok, profile, error }] of results) {
+      if (!ok) {
+        failures.push({ realm, name, error })
+        continue
+      }
+      const report = await this.report(profile, options)
+      members.push({
+        realm,
+        name,
+        guildRank: ranks.get(key),
+        averageItemLevelEquipped: report.averageItemLevelEquipped,
+        meetsMinimum: report.averageItemLevelEquipped >= minItemLevel,
+        report
+      })
+    }
+    members.sort((a, b) => b.averageItemLevelEquipped - a.averageItemLevelEquipped)
+    return { minItemLevel, members, failures }
+  }
+  /**
+   * Resolve the set bonuses of the equipped items belonging to a set.
+   * @param {object} items The items field of the character profile
+   * @param {object} options Request options
+   */
+  async _setBonuses(items, options) {
+    const equipped = SLOTS.filter(slot => items[slot]).map(slot => items[slot])
+    const setItems = equipped.filter(({ tooltipParams = {} }) => tooltipParams.set)
+    const sets = new Map()
+    for (const { id } of setItems) {
+      const itemSet = await this._itemSet(id, options)
+      if (itemSet && !sets.has(itemSet.id)) sets.set(itemSet.id, itemSet)
+    }
+    const equippedIds = equipped.map(({ id }) => id)
+    return Array.from(sets.values()).map(({ id, name, items: setItemIds = [], setBonuses = [] }) => {
+      const count = setItemIds.filter(itemId => equippedIds.includes(itemId)).length
+      return {
+        id,
+        name,
+        equipped: count,
+        bonuses: setBonuses.map(({ description, threshold }) => ({ description, threshold, active: count >= threshold }))
+      }
+    })
+  }
+  /**
+   * Return the item set an item belongs to, undefined if it is not part of a set.
+   * @param {number} itemId
+   * @param {object} options Request options
+   */
+  async _itemSet(itemId, options) {
+    if (!this._itemSetIds.has(itemId)) {
+      const item = await this._client.item(itemId, options)
+      this._itemSetIds.set(itemId, item && item.itemSet ? item.itemSet.id : undefined)
+    }
+    const setId = this._itemSetIds.get(itemId)
+    if (!setId) return undefined
+    if (!this._itemSets.has(setId)) {
+      this._itemSets.set(setId, await this._client.itemSet(setId, options))
+    }
+    return this._itemSets.get(setId)
+  }
+}
+module.exports = { GearAudit, gearReport, SLOTS }
@@ -0,0 +1,27 @@
+/**
+ * Battle.Net hosts. URLs are templates where {region} is replaced by the region of the request,
+ * so they can point to a local server (see mock-server) as well.
+ * The cn region is served by dedicated hosts.
+ */
+const API_URL = 'https://{region}.api.blizzard.com'
+const OAUTH_URL = 'https://{region}.battle.net/oauth/token'
+const CN_API_URL = 'https://gateway.battlenet.com.cn'
+const CN_OAUTH_URL = 'https://www.battlenet.com.cn/oauth/token'
+/**
+ * Replace the region placeholder of a URL template.
+ * @param {string} template
+ * @param {string} region
+ */
+const regionURL = (template, region) => template.replace('{region}', region)
+/**
+ * Return the default API URL template of a region.
+ * @param {string} region
+ */
+const defaultAPIURL = region => region == 'cn' ? CN_API_URL : API_URL
+/**
+ * Return the default token endpoint URL template of a region.
+ * @param {string} region
+ */
+const defaultOAuthURL = region => region == 'cn' ? CN_OAUTH_URL : OAUTH_URL
+
+module.exports = { API_URL, OAUTH_URL, CN_API_URL, CN_OAUTH_URL, regionURL, defaultAPIURL, defaultOAuthURL }
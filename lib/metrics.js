@@ -0,0 +1,120 @@
+/**
+ * Request metrics, built on the events of WoWClient.
+ * MetricsCollector counts the responses, failures, status payloads and token refreshes of one or more
+ * clients and measures the request latency of each endpoint, exposed in the Prometheus text format.
+ */
+const { MissingParameterException } = require('./errors')
+
+/**
+ * Upper bounds, in seconds, of the latency histogram buckets.
+ */
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]
+/**
+ * Replace the variable segments of an API path, so that every request of an endpoint shares the same name:
+ * realm and name of characters and guilds, realm of auction files and numeric ids.
+ * E.g. character/kazzak/name becomes character/:realm/:name and item/152505 becomes item/:id.
+ * @param {string} path The requested API path
+ */
+const endpointName = path => {
+  const segments = path.split('/')
+  const profile = i => ['character', 'guild'].includes(segments[i]) && (i == 0 || segments[i - 1] == 'wow')
+  return segments.map((segment, i) => {
+    if (/^\d+$/.test(segment)) return ':id'
+    if (i >= 1 && profile(i - 1)) return ':realm'
+    if (i >= 2 && profile(i - 2)) return ':name'
+    if (i == 2 && segments[0] == 'auction' && segments[1] == 'data') return ':realm'
+    return segment
+  }).join('/')
+}
+/**
+ * Format the labels of a sample, escaping the values as required by the text format.
+ * @param {object} labels
+ */
+const formatLabels = labels => {
+  const pairs = Object.keys(labels)
+    .filter(name => labels[name] !== undefined)
+    .map(name => `${name}="${String(labels[name]).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"')}"`)
+  return pairs.length ? `{${pairs.join(',')}}` : ''
+}
+class MetricsCollector {
+  /**
+   * @param {object} options
+   * @param {string} options.prefix Prefix of the metric names. Default is wow_api
+   * @param {Array<number>} options.buckets Upper bounds of the latency buckets, in seconds. Default is DEFAULT_BUCKETS
+   */
+  constructor({ prefix = 'wow_api', buckets = DEFAULT_BUCKETS } = {}) {
+    this._prefix = prefix
+    this._buckets = buckets.slice().sort((a, b) => a - b)
+    this.reset()
+  }
+  /**
+   * Collect the events of a client. A collector can be attached to several clients, e.g. one per region.
+   * @param {WoWClient} client
+   * @returns {MetricsCollector} The collector itself
+   */
+  attach(client) {
+    if (!client) throw new MissingParameterException('client', 'WoWClient')
+    client.on('afterResponse', ({ endpoint, status, duration, nok }) => {
+      this._increment(this._responses, { endpoint, status })
+      if (nok) this._increment(this._statusPayloads, { endpoint })
+      this._observe({ endpoint }, duration / 1000)
+    })
+    client.on('error', ({ endpoint, error }) => {
+      this._increment(this._errors, { endpoint, error: error.name })
+    })
+    client.on('tokenRefreshed', ({ region }) => {
+      this._increment(this._tokenRefreshes, { region })
+    })
+    return this
+  }
+  /**
+   * Discard every sample collected so far.
+   */
+  reset() {
+    this._responses = new Map()
+    this._statusPayloads = new Map()
+    this._errors = new Map()
+    this._tokenRefreshes = new Map()
+    this._latencies = new Map()
+  }
+  _increment(counter, labels) {
+    const key = formatLabels(labels)
+    counter.set(key, (counter.get(key) || 0) + 1)
+  }
+  _observe(labels, seconds) {
+    const key = JSON.stringify(labels)
+    if (!this._latencies.has(key)) {
+      this._latencies.set(key, { labels, counts: this._buckets.map(() => 0), sum: 0, count: 0 })
+    }
+    const histogram = this._latencies.get(key)
+    this._buckets.forEach((bucket, i) => {
+      if (seconds <= bucket) histogram.counts[i]++
+    })
+    histogram.sum += seconds
+    histogram.count++
+  }
+  /**
+   * Return the collected metrics in the Prometheus text exposition format, e.g. to serve them on /metrics.
+   */
+  prometheus() {
+    const lines = []
+    const counter = (name, help, samples) => {
+      lines.push(`# HELP ${this._prefix}_${name} ${help}`, `# TYPE ${this._prefix}_${name} counter`)
+      samples.forEach((value, labels) => lines.push(`${this._prefix}_${name}${labels} ${value}`))
+    }
+    counter('responses_total', 'Responses received from the Battle.Net API by endpoint and HTTP status.', this._responses)
+    counter('status_payloads_total', 'Successful responses carrying a nok status payload by endpoint.', this._statusPayloads)
+    counter('errors_total', 'Failed request attempts by endpoint and error class.', this._errors)
+    counter('token_refreshes_total', 'Access tokens generated by region.', this._tokenRefreshes)
+    const histogram = `${this._prefix}_request_duration_seconds`
+    lines.push(`# HELP ${histogram} Latency of the responses by endpoint.`, `# TYPE ${histogram} histogram`)
+    this._latencies.forEach(({ labels, counts, sum, count }) => {
+      this._buckets.forEach((bucket, i) => lines.push(`${histogram}_bucket${formatLabels(Object.assign({}, labels, { le: bucket }))} ${counts[i]}`))
+      lines.push(`${histogram}_bucket${formatLabels(Object.assign({}, labels, { le: '+Inf' }))} ${count}`)
+      lines.push(`${histogram}_sum${formatLabels(labels)} ${sum}`)
+      lines.push(`${histogram}_count${formatLabels(labels)} ${count}`)
+    })
+    return `${lines.join('\n')}\n`
+  }
+}
+module.exports = { MetricsCollector, endpointName, DEFAULT_BUCKETS }
@@ -0,0 +1,219 @@
+/**
+ * Canned payloads served by the mock server, shaped like the Battle.Net responses.
+ * Each route matches a request path (without the leading slash) and builds its payload
+ * from the path parameters, the query and the server base URL.
+ */
+
+const NOW = Date.UTC(2018, 11, 1)
+
+const item = id => ({
+  id: Number(id),
+  name: `Item ${id}`,
+  icon: 'inv_misc_questionmark',
+  itemLevel: 340,
+  itemClass: 4,
+  itemSubClass: 4,
+  inventoryType: 1,
+  quality: 4,
+  stackable: 1,
+  itemSet: Number(id) == 152505 ? { id: 1, name: 'Mock Battlegear', setBonuses: [{ description: 'Mock bonus', threshold: 2 }], items: [152505, 152506] } : undefined
+})
+const equippedItem = (id, extra = {}) => Object.assign({ id, name: `Item ${id}`, icon: 'inv_misc_questionmark', quality: 4, itemLevel: 340, tooltipParams: {}, bonusLists: [] }, extra)
+const characterFields = {
+  achievements: () => ({
+    achievements: {
+      achievementsCompleted: [6, 7],
+      achievementsCompletedTimestamp: [NOW - 86400000, NOW - 172800000],
+      criteria: [1, 2, 3],
+      criteriaQuantity: [10, 45, 1],
+      criteriaTimestamp: [NOW, NOW, NOW],
+      criteriaCreated: [NOW, NOW, NOW]
+    }
+  }),
+  appearance: () => ({ appearance: { faceVariation: 1, skinColor: 2, hairVariation: 3, hairColor: 4, featureVariation: 5, showHelm: true, showCloak: true, customDisplayOptions: [] } }),
+  audit: () => ({ audit: { numberOfIssues: 2, slots: {}, emptyGlyphSlots: 0, unspentTalentPoints: 0, noSpec: false, unenchantedItems: { 15: 1 }, emptySockets: 1, itemsWithEmptySockets: { 2: 1 }, appropriateArmorType: 0, inappropriateArmorType: {}, lowLevelItems: {}, lowLevelThreshold: 0, missingExtraSockets: {}, recommendedBeltBuckle: {}, missingBlacksmithSockets: {}, missingEnchanterEnchants: {}, missingEngineerEnchants: {}, missingScribeEnchants: {}, nMissingJewelcrafterGems: 0, recommendedJewelcrafterGems: [], missingLeatherworkerEnchants: {} } }),
+  feed: () => ({ feed: [{ type: 'LOOT', timestamp: NOW, itemId: 152505, context: 'raid-normal', bonusLists: [] }] }),
+  guild: () => ({ guild: { name: 'Mock Guild', realm: 'Mock Realm', battlegroup: 'Mock Battlegroup', members: 2, achievementPoints: 1000, emblem: {} } }),
+  hunterPets: () => ({ hunterPets: [{ name: 'Wolf', creature: 69, slot: 0, calcSpec: 'b', familyId: 1, familyName: 'Wolf' }] }),
+  items: () => ({
+    items: {
+      averageItemLevel: 340,
+      averageItemLevelEquipped: 338,
+      head: equippedItem(152505, { itemLevel: 345, tooltipParams: { set: [152505, 152506] } }),
+      neck: equippedItem(158075, { itemLevel: 355 }),
+      shoulder: equippedItem(152506, { itemLevel: 340, tooltipParams: { set: [152505, 152506] } }),
+      chest: equippedItem(160000, { itemLevel: 335, tooltipParams: { gem0: 154126 } }),
+      finger1: equippedItem(160001, { itemLevel: 330, tooltipParams: { enchant: 5942 } }),
+      finger2: equippedItem(160002, { itemLevel: 330 }),
+      mainHand: equippedItem(160003, { itemLevel: 340, tooltipParams: { enchant: 5946 } })
+    }
+  }),
+  mounts: () => ({ mounts: { numCollected: 1, numNotCollected: 1, collected: [{ name: 'Mock Mount', spellId: 458, creatureId: 284, itemId: 5656, qualityId: 1, icon: 'ability_mount_ridinghorse', isGround: true, isFlying: false, isAquatic: false, isJumping: true }] } }),
+  pets: () => ({
+    pets: {
+      numCollected: 3,
+      numNotCollected: 1,
+      collected: [
+        { name: 'Mechanical Squirrel', spellId: 4055, creatureId: 2671, itemId: 4401, qualityId: 3, icon: 'ability_hunter_pet_squirrel', stats: { speciesId: 39, breedId: 3, petQualityId: 3, level: 25, health: 1546, power: 260, speed: 260 }, battlePetGuid: 'A', isFavorite: false, isFirstAbilitySlotSelected: false, isSecondAbilitySlotSelected: false, isThirdAbilitySlotSelected: false, creatureName: 'Mechanical Squirrel', canBattle: true },
+        { name: 'Black Tabby Cat', spellId: 10675, creatureId: 7383, itemId: 8491, qualityId: 3, icon: 'inv_box_petcarrier_01', stats: { speciesId: 42, breedId: 3, petQualityId: 3, level: 25, health: 1546, power: 276, speed: 260 }, battlePetGuid: 'B', isFavorite: true, creatureName: 'Black Tabby Cat', canBattle: true },
+        { name: 'Mini Diablo', spellId: 17708, creatureId: 11326, itemId: 13584, qualityId: 3, icon: 'spell_shadow_summonimp', stats: { speciesId: 93, breedId: 3, petQualityId: 3, level: 25, health: 1400, power: 289, speed: 273 }, battlePetGuid: 'C', isFavorite: false, creatureName: 'Mini Diablo', canBattle: true }
+      ]
+    }
+  }),
+  petSlots: () => ({ petSlots: [{ slot: 0, battlePetGuid: 'A', isEmpty: false, isLocked: false, abilities: [1, 2, 3] }] }),
+  professions: () => ({ professions: { primary: [{ id: 164, name: 'Blacksmithing', icon: 'trade_blacksmithing', rank: 150, max: 150, recipes: [2660] }], secondary: [] } }),
+  progression: () => ({ progression: { raids: [{ name: 'Mock Raid', lfr: 0, normal: 1, heroic: 0, mythic: 0, id: 1, bosses: [{ id: 1, name: 'Mock Boss', normalKills: 1 }] }] } }),
+  pvp: () => ({ pvp: { brackets: { ARENA_BRACKET_2v2: { slug: '2v2', rating: 1500, weeklyPlayed: 0, weeklyWon: 0, weeklyLost: 0, seasonPlayed: 10, seasonWon: 5, seasonLost: 5 } }, totalHonorableKills: 100 } }),
+  quests: () => ({ quests: [1, 2, 3] }),
+  reputation: () => ({ reputation: [{ id: 72, name: 'Stormwind', standing: 7, value: 999, max: 999 }] }),
+  statistics: () => ({ statistics: { id: 0, name: 'Statistics', subCategories: [] } }),
+  stats: () => ({ stats: { health: 100000, powerType: 'mana', power: 50000, str: 100, agi: 100, int: 5000, sta: 4000, crit: 20, haste: 15, mastery: 30, versatility: 500 } }),
+  talents: () => ({ talents: [{ selected: true, talents: [], spec: { name: 'Holy', role: 'HEALING', backgroundImage: '', icon: '', description: '', order: 0 }, calcTalent: '', calcSpec: 'a' }] }),
+  titles: () => ({ titles: [{ id: 1, name: 'Private %s' }] })
+}
+const character = (realm, name) => ({
+  lastModified: NOW,
+  name,
+  realm,
+  battlegroup: 'Mock Battlegroup',
+  class: 2,
+  race: 1,
+  gender: 0,
+  level: 120,
+  achievementPoints: 1000,
+  thumbnail: `${realm}/1/1-avatar.jpg`,
+  calcClass: 'b',
+  faction: 0,
+  totalHonorableKills: 100
+})
+const guildMember = (name, rank, level) => ({
+  character: { name, realm: 'Mock Realm', battlegroup: 'Mock Battlegroup', class: 2, race: 1, gender: 0, level, achievementPoints: 1000, thumbnail: '', spec: { name: 'Holy', role: 'HEALING' }, guild: 'Mock Guild', guildRealm: 'Mock Realm', lastModified: NOW },
+  rank
+})
+const guildFields = {
+  members: () => ({ members: [guildMember('Mockone', 0, 120), guildMember('Mocktwo', 1, 118)] }),
+  achievements: () => ({ achievements: { achievementsCompleted: [4912], achievementsCompletedTimestamp: [NOW], criteria: [1], criteriaQuantity: [1], criteriaTimestamp: [NOW], criteriaCreated: [NOW] } }),
+  news: () => ({ news: [
+    { type: 'itemLoot', character: 'Mockone', timestamp: NOW, itemId: 152505, context: 'raid-normal', bonusLists: [] },
+    { type: 'playerAchievement', character: 'Mocktwo', timestamp: NOW, achievement: { id: 6, title: 'Level 10', points: 10 } }
+  ] }),
+  challenge: () => ({ challenge: [] })
+}
+const guild = (realm, name) => ({ lastModified: NOW, name, realm, battlegroup: 'Mock Battlegroup', level: 25, side: 0, achievementPoints: 1000 })
+const achievement = id => ({ id: Number(id), title: `Achievement ${id}`, points: 10, description: 'Mock achievement', rewardItems: [], icon: 'achievement_level_10', criteria: [{ id: 1, description: 'Mock criteria', orderIndex: 0, max: 50 }], accountWide: false, factionId: 2 })
+const realm = (name, slug, extra = {}) => Object.assign({ type: 'normal', population: 'medium', queue: false, status: true, name, slug, battlegroup: 'Mock Battlegroup', locale: 'en_US', timezone: 'America/Los_Angeles', connected_realms: [slug] }, extra)
+const petSpecies = id => ({ speciesId: Number(id), petTypeId: Number(id) == 39 ? 9 : Number(id) == 42 ? 7 : 5, creatureId: 1, name: `Species ${id}`, canBattle: true, icon: '', description: '', source: '', abilities: [
+  { slot: 0, order: 0, requiredLevel: 1, id: 1, name: 'Mock Strike', icon: '', cooldown: 0, rounds: 1, petTypeId: Number(id) == 39 ? 9 : 7, isPassive: false, hideHints: false },
+  { slot: 1, order: 1, requiredLevel: 2, id: 2, name: 'Mock Blast', icon: '', cooldown: 0, rounds: 1, petTypeId: 5, isPassive: false, hideHints: false }
+] })
+const petTypes = [
+  { id: 0, key: 'humanoid', name: 'Humanoid', typeAbilityId: 238, strongAgainstId: 1, weakAgainstId: 7 },
+  { id: 1, key: 'dragonkin', name: 'Dragonkin', typeAbilityId: 245, strongAgainstId: 5, weakAgainstId: 3 },
+  { id: 2, key: 'flying', name: 'Flying', typeAbilityId: 239, strongAgainstId: 8, weakAgainstId: 1 },
+  { id: 3, key: 'undead', name: 'Undead', typeAbilityId: 242, strongAgainstId: 0, weakAgainstId: 8 },
+  { id: 4, key: 'critter', name: 'Critter', typeAbilityId: 236, strongAgainstId: 3, weakAgainstId: 0 },
+  { id: 5, key: 'magic', name: 'Magic', typeAbilityId: 243, strongAgainstId: 2, weakAgainstId: 9 },
+  { id: 6, key: 'elemental', name: 'Elemental', typeAbilityId: 241, strongAgainstId: 9, weakAgainstId: 4 },
+  { id: 7, key: 'beast', name: 'Beast', typeAbilityId: 237, strongAgainstId: 4, weakAgainstId: 2 },
+  { id: 8, key: 'water', name: 'Aquatic', typeAbilityId: 240, strongAgainstId: 6, weakAgainstId: 5 },
+  { id: 9, key: 'mechanical', name: 'Mechanical', typeAbilityId: 244, strongAgainstId: 7, weakAgainstId: 6 }
+]
+const auctionDump = realmSlug => ({
+  realms: [{ name: 'Mock Realm', slug: realmSlug }],
+  auctions: [
+    { auc: 1, item: 152505, owner: 'Mockone', ownerRealm: 'Mock Realm', bid: 900000, buyout: 1000000, quantity: 1, timeLeft: 'LONG', rand: 0, seed: 0, context: 0 },
+    { auc: 2, item: 152510, owner: 'Mocktwo', ownerRealm: 'Mock Realm', bid: 18000, buyout: 20000, quantity: 20, timeLeft: 'VERY_LONG', rand: 0, seed: 0, context: 0 },
+    { auc: 3, item: 152510, owner: 'Mockone', ownerRealm: 'Mock Realm', bid: 4000, buyout: 5000, quantity: 5, timeLeft: 'SHORT', rand: 0, seed: 0, context: 0 }
+  ]
+})
+/**
+ * Pick the fields requested in the query from a map of field payloads.
+ * @param {object} fields The map of field payload builders
+ * @param {URLSearchParams} query
+ */
+const withFields = (fields, query) => (query.get('fields') || '')
+  .split(',')
+  .filter(field => fields[field])
+  .reduce((payload, field) => Object.assign(payload, fields[field]()), {})
+const link = href => ({ key: { href } })
+
+const ROUTES = [
+  // Community API
+  [/^wow\/achievement\/(\d+)$/, ([id]) => achievement(id)],
+  [/^wow\/auction\/data\/([^/]+)$/, ([realmSlug], query, baseURL) => ({ files: [{ url: `${baseURL}/auction-data/${realmSlug}/auctions.json`, lastModified: NOW }] })],
+  [/^auction-data\/([^/]+)\/auctions\.json$/, ([realmSlug]) => auctionDump(realmSlug)],
+  [/^wow\/boss\/$/, () => ({ bosses: [{ id: 24723, name: 'Selin Fireheart', urlSlug: 'selin-fireheart', description: '', zoneId: 4095, availableInNormalMode: true, availableInHeroicMode: true, health: 100000, heroicHealth: 200000, level: 72, heroicLevel: 72, journalId: 530, npcs: [] }] })],
+  [/^wow\/boss\/(\d+)$/, ([id]) => ({ id: Number(id), name: `Boss ${id}`, urlSlug: `boss-${id}`, description: '', zoneId: 4095, availableInNormalMode: true, availableInHeroicMode: true, health: 100000, heroicHealth: 200000, level: 72, heroicLevel: 72, journalId: 530, npcs: [] })],
+  [/^wow\/character\/([^/]+)\/notfound$/, () => null],
+  [/^wow\/character\/([^/]+)\/([^/]+)$/, ([realmName, name], query) => Object.assign(character(realmName, name), withFields(characterFields, query))],
+  [/^wow\/guild\/([^/]+)\/notfound$/, () => null],
+  [/^wow\/guild\/([^/]+)\/([^/]+)$/, ([realmName, name], query) => Object.assign(guild(realmName, name), withFields(guildFields, query))],
+  [/^wow\/item\/set\/(\d+)$/, ([id]) => ({ id: Number(id), name: 'Mock Battlegear', setBonuses: [{ description: 'Mock bonus', threshold: 2 }], items: [152505, 152506] })],
+  [/^wow\/item\/(\d+)$/, ([id]) => item(id)],
+  [/^wow\/mount\/$/, () => ({ mounts: [{ name: 'Mock Mount', spellId: 458, creatureId: 284, itemId: 5656, qualityId: 1, icon: '', isGround: true, isFlying: false, isAquatic: false, isJumping: true }] })],
+  [/^wow\/pet\/$/, () => ({ pets: [{ canBattle: true, creatureId: 2671, name: 'Mechanical Squirrel', family: 'mechanical', icon: '', qualityId: 1, stats: { speciesId: 39 }, strongAgainst: ['beast'], typeId: 9, weakAgainst: ['elemental'] }] })],
+  [/^wow\/pet\/ability\/(\d+)$/, ([id]) => ({ id: Number(id), name: `Ability ${id}`, icon: '', cooldown: 0, rounds: 1, petTypeId: Number(id) == 1 ? 9 : 5, isPassive: false, hideHints: false })],
+  [/^wow\/pet\/species\/(\d+)$/, ([id]) => petSpecies(id)],
+  [/^wow\/pet\/stats\/(\d+)$/, ([id], query) => ({ speciesId: Number(id), breedId: Number(query.get('breedId') || 3), petQualityId: Number(query.get('qualityId') || 1), level: Number(query.get('level') || 1), health: 150, power: 10, speed: 10 })],
+  [/^wow\/leaderboard\/(2v2|3v3|5v5|rbg)$/, () => ({ rows: [{ ranking: 1, rating: 3000, name: 'Mockone', realmId: 1, realmName: 'Mock Realm', realmSlug: 'mock-realm', raceId: 1, classId: 2, specId: 65, factionId: 0, genderId: 0, seasonWins: 100, seasonLosses: 10, weeklyWins: 10, weeklyLosses: 1 }] })],
+  [/^wow\/quest\/(\d+)$/, ([id]) => ({ id: Number(id), title: `Quest ${id}`, reqLevel: 1, suggestedPartyMembers: 0, category: 'Mock Zone', level: 1 })],
+  [/^wow\/realm\/status$/, () => ({ realms: [
+    realm('Mock Realm', 'mock-realm'),
+    realm('Mock Realm EU', 'mock-realm-eu', { locale: 'en_GB', timezone: 'Europe/Paris', population: 'high', queue: true }),
+    realm('Mock Realm Down', 'mock-realm-down', { status: false, population: 'low' })
+  ] })],
+  [/^wow\/recipe\/(\d+)$/, ([id]) => ({ id: Number(id), name: `Recipe ${id}`, profession: 'Blacksmithing', icon: '' })],
+  [/^wow\/spell\/(\d+)$/, ([id]) => ({ id: Number(id), name: `Spell ${id}`, icon: '', description: '', range: '', castTime: 'Instant' })],
+  [/^wow\/zones?\/$/, () => ({ zones: [{ id: 4131, name: 'Magisters\' Terrace', urlSlug: 'magisters-terrace', isDungeon: true, isRaid: false, bosses: [] }] })],
+  [/^wow\/zones?\/(\d+)$/, ([id]) => ({ id: Number(id), name: `Zone ${id}`, urlSlug: `zone-${id}`, isDungeon: true, isRaid: false, bosses: [] })],
+  [/^wow\/data\/battlegroups\/$/, () => ({ battlegroups: [{ name: 'Mock Battlegroup', slug: 'mock-battlegroup' }] })],
+  [/^wow\/data\/character\/races$/, () => ({ races: [{ id: 1, mask: 1, side: 'alliance', name: 'Human' }, { id: 2, mask: 2, side: 'horde', name: 'Orc' }] })],
+  [/^wow\/data\/character\/classes$/, () => ({ classes: [{ id: 1, mask: 1, powerType: 'rage', name: 'Warrior' }, { id: 2, mask: 2, powerType: 'mana', name: 'Paladin' }] })],
+  [/^wow\/data\/character\/achievements$/, () => ({ achievements: [{ id: 92, name: 'General', achievements: [
+    { id: 6, title: 'Level 10', points: 10, description: 'Reach level 10.', reward: '', rewardItems: [], icon: '', criteria: [{ id: 1, description: 'Level', orderIndex: 0, max: 10 }], accountWide: false, factionId: 2 },
+    { id: 7, title: 'Level 20', points: 10, description: 'Reach level 20.', reward: '', rewardItems: [], icon: '', criteria: [{ id: 2, description: 'Level', orderIndex: 0, max: 20 }], accountWide: false, factionId: 2 },
+    { id: 8, title: 'Level 50', points: 10, description: 'Reach level 50.', reward: '', rewardItems: [], icon: '', criteria: [{ id: 2, description: 'Level', orderIndex: 0, max: 50 }], accountWide: false, factionId: 2 }
+  ], categories: [] }] })],
+  [/^wow\/data\/guild\/rewards$/, () => ({ rewards: [{ minGuildLevel: 0, minGuildRepLevel: 4, achievement: achievement(4912), item: item(62286) }] })],
+  [/^wow\/data\/guild\/perks$/, () => ({ perks: [{ guildLevel: 1, spell: { id: 78633, name: 'Mount Up', icon: '', description: '', castTime: 'Passive' } }] })],
+  [/^wow\/data\/guild\/achievements$/, () => ({ achievements: [{ id: 15088, name: 'General', achievements: [
+    { id: 4912, title: 'Guild Level 5', points: 10, description: '', reward: '', rewardItems: [], icon: '', criteria: [{ id: 1, description: '', orderIndex: 0, max: 1 }], accountWide: false, factionId: 2 }
+  ], categories: [] }] })],
+  [/^wow\/data\/item\/classes$/, () => ({ classes: [{ class: 4, name: 'Armor', subclasses: [{ subclass: 4, name: 'Plate' }] }] })],
+  [/^wow\/data\/talents$/, () => ({ 2: { glyphs: [], talents: [], specs: [{ name: 'Holy', role: 'HEALING', order: 0 }], class: 'paladin' } })],
+  [/^wow\/data\/pet\/types$/, () => ({ petTypes })],
+  // Game Data API
+  [/^data\/wow\/playable-class\/index$/, () => ({ classes: [{ key: link('playable-class/1'), name: 'Warrior', id: 1 }, { key: link('playable-class/2'), name: 'Paladin', id: 2 }] })],
+  [/^data\/wow\/playable-class\/(\d+)$/, ([id]) => ({ id: Number(id), name: Number(id) == 1 ? 'Warrior' : 'Paladin', power_type: { name: 'Mana', id: 0 }, specializations: [] })],
+  [/^data\/wow\/playable-race\/index$/, () => ({ races: [{ key: link('playable-race/1'), name: 'Human', id: 1 }, { key: link('playable-race/2'), name: 'Orc', id: 2 }] })],
+  [/^data\/wow\/playable-race\/(\d+)$/, ([id]) => ({ id: Number(id), name: Number(id) == 1 ? 'Human' : 'Orc', faction: { type: Number(id) == 1 ? 'ALLIANCE' : 'HORDE' }, is_selectable: true, is_allied_race: false, playable_classes: [] })],
+  [/^data\/wow\/playable-specialization\/index$/, () => ({ character_specializations: [{ key: link('playable-specialization/65'), name: 'Holy', id: 65 }], pet_specializations: [] })],
+  [/^data\/wow\/playable-specialization\/(\d+)$/, ([id]) => ({ id: Number(id), playable_class: { name: 'Paladin', id: 2 }, name: 'Holy', role: { type: 'HEALER', name: 'Healer' }, talent_tiers: [] })],
+  [/^data\/wow\/keystone-affix\/index$/, () => ({ affixes: [{ key: link('keystone-affix/9'), name: 'Tyrannical', id: 9 }, { key: link('keystone-affix/10'), name: 'Fortified', id: 10 }] })],
+  [/^data\/wow\/keystone-affix\/(\d+)$/, ([id]) => ({ id: Number(id), name: Number(id) == 9 ? 'Tyrannical' : 'Fortified', description: '' })],
+  [/^data\/wow\/connected-realm\/index$/, () => ({ connected_realms: [{ href: 'connected-realm/11' }] })],
+  [/^data\/wow\/connected-realm\/(\d+)\/mythic-leaderboard\/index$/, ([id]) => ({ current_leaderboards: [{ key: link(`connected-realm/${id}/mythic-leaderboard/244/period/641`), name: 'Atal\'Dazar', id: 244 }] })],
+  [/^data\/wow\/connected-realm\/(\d+)\/mythic-leaderboard\/(\d+)\/period\/(\d+)$/, ([id, dungeon, period]) => ({ map: { name: 'Atal\'Dazar', id: Number(dungeon) }, period: Number(period), connected_realm: { href: `connected-realm/${id}` }, leading_groups: [{ ranking: 1, duration: 1500000, completed_timestamp: NOW, keystone_level: 20, members: [] }], keystone_affixes: [] })],
+  [/^data\/wow\/connected-realm\/(\d+)$/, ([id]) => ({ id: Number(id), has_queue: false, status: { type: 'UP', name: 'Up' }, population: { type: 'MEDIUM', name: 'Medium' }, realms: [{ id: Number(id), name: 'Mock Realm', slug: 'mock-realm', locale: 'enUS', timezone: 'America/Los_Angeles', type: { type: 'NORMAL', name: 'Normal' } }] })],
+  [/^data\/wow\/media\/item\/(\d+)$/, ([id]) => ({ id: Number(id), assets: [{ key: 'icon', value: `https://render.worldofwarcraft.com/icons/56/inv_misc_questionmark.jpg`, file_data_id: 134400 }] })],
+  // Profile API
+  [/^profile\/wow\/character\/([^/]+)\/notfound(\/.*)?$/, () => null],
+  [/^profile\/wow\/character\/([^/]+)\/([^/]+)$/, ([realmSlug, name]) => ({ id: 1, name, gender: { type: 'MALE' }, faction: { type: 'ALLIANCE' }, race: { name: 'Human', id: 1 }, character_class: { name: 'Paladin', id: 2 }, realm: { name: 'Mock Realm', slug: realmSlug }, level: 120, achievement_points: 1000, average_item_level: 340, equipped_item_level: 338 })],
+  [/^profile\/wow\/character\/([^/]+)\/([^/]+)\/equipment$/, ([realmSlug, name]) => ({ character: { name, realm: { slug: realmSlug } }, equipped_items: [{ item: { id: 152505 }, slot: { type: 'HEAD', name: 'Head' }, quality: { type: 'EPIC' }, name: 'Item 152505', level: { value: 345 } }] })],
+  [/^profile\/wow\/character\/([^/]+)\/([^/]+)\/mythic-keystone-profile$/, ([realmSlug, name]) => ({ character: { name, realm: { slug: realmSlug } }, current_period: { period: { id: 641 }, best_runs: [] }, seasons: [] })]
+]
+/**
+ * Find the payload of a request path. Resolve to undefined if no route matches
+ * and to null if the route stands for a resource that does not exist.
+ * @param {string} path The request path, without the leading slash
+ * @param {URLSearchParams} query The request query
+ * @param {string} baseURL The mock server base URL
+ */
+const mockPayload = (path, query, baseURL) => {
+  for (const [pattern, build] of ROUTES) {
+    const match = path.match(pattern)
+    if (match) return build(match.slice(1).map(decodeURIComponent), query, baseURL)
+  }
+  return undefined
+}
+module.exports = { mockPayload, ROUTES }
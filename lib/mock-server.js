@@ -0,0 +1,69 @@
+/**
+ * Local mock of the Battle.Net OAuth and API hosts, to run code built on WoWClient offline.
+ * It serves the token endpoint, canned payloads for every client method (see mock-data)
+ * and, optionally, fixtures recorded with recordFetch that take precedence over the canned payloads.
+ *
+ * Run it standalone with `node lib/mock-server.js [port]`.
+ */
+const http = require('http')
+const { mockPayload } = require('./mock-data')
+const { readFixture } = require('./recorder')
+
+const MOCK_TOKEN = 'mock-access-token'
+
+const send = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json;charset=UTF-8' })
+  res.end(JSON.stringify(body))
+}
+/**
+ * Create the mock server, not yet listening.
+ * @param {object} options
+ * @param {string} options.fixtures Directory of fixtures recorded with recordFetch, served before the canned payloads
+ */
+const createMockServer = ({ fixtures = undefined } = {}) => http.createServer((req, res) => {
+  const baseURL = `http://${req.headers.host}`
+  const url = new URL(req.url, baseURL)
+  const path = url.pathname.replace(/^\/+/, '')
+  if (path == 'oauth/token' && req.method == 'POST') {
+    return send(res, 200, { access_token: MOCK_TOKEN, token_type: 'bearer', expires_in: 86399 })
+  }
+  if (path != 'auction-data' && !path.startsWith('auction-data/') && url.searchParams.get('access_token') != MOCK_TOKEN) {
+    return send(res, 401, { error: 'invalid_token', error_description: 'Invalid access token' })
+  }
+  const fixture = fixtures ? readFixture(fixtures, req.method, req.url) : undefined
+  if (fixture) {
+    return send(res, fixture.status, fixture.body)
+  }
+  const payload = mockPayload(path, url.searchParams, baseURL)
+  if (!payload) {
+    return send(res, 404, { status: 'nok', reason: 'When in doubt, blow it up. (page not found)' })
+  }
+  send(res, 200, payload)
+})
+/**
+ * Start the mock server and resolve once it is listening.
+ * The client options to use it are returned as clientOptions.
+ * @param {object} options
+ * @param {number} options.port Port to listen to. Default is a random free port
+ * @param {string} options.fixtures Directory of recorded fixtures, see createMockServer
+ */
+const startMockServer = ({ port = 0, fixtures = undefined } = {}) => new Promise((resolve, reject) => {
+  const server = createMockServer({ fixtures })
+  server.once('error', reject)
+  server.listen(port, '127.0.0.1', () => {
+    const url = `http://127.0.0.1:${server.address().port}`
+    resolve({
+      server,
+      url,
+      clientOptions: { baseURL: url, oauthURL: `${url}/oauth/token` },
+      close: () => new Promise(done => server.close(done))
+    })
+  })
+})
+
+if (require.main === module) {
+  startMockServer({ port: Number(process.argv[2]) || 3000, fixtures: process.env.WOW_FIXTURES })
+    .then(({ url }) => console.log(`Battle.Net mock server listening on ${url}`))
+}
+
+module.exports = { createMockServer, startMockServer, MOCK_TOKEN }
@@ -0,0 +1,227 @@
+/**
+ * Battle pet team planner, built on the pets field of the character profile and the pet species, ability and type APIs.
+ * Every collected pet able to battle is scored against an opponent species from the type matchups:
+ * the damage its abilities deal to the opponent family and the damage the opponent abilities deal to its own family.
+ * PetTeamPlanner ranks the pets and recommends a team of three, with the abilities to select and the reasons of each pick.
+ */
+const { MissingParameterException } = require('./errors')
+const { mapConcurrent } = require('./pool')
+
+/**
+ * Number of pets of a battle team.
+ */
+const TEAM_SIZE = 3
+/**
+ * Level of a fully trained pet.
+ */
+const MAX_LEVEL = 25
+/**
+ * Damage modifiers of an ability against the family it is strong and weak against.
+ */
+const STRONG_MODIFIER = 1.5
+const WEAK_MODIFIER = 2 / 3
+/**
+ * Damage modifier of an ability of a type against a pet family.
+ * @param {number} abilityTypeId The pet type of the ability
+ * @param {number} familyId The pet type of the target
+ * @param {Array<object>} types The pet types, see WoWClient.petTypes
+ */
+const typeModifier = (abilityTypeId, familyId, types) => {
+  const type = types.find(({ id }) => id == abilityTypeId)
+  if (!type) return 1
+  if (type.strongAgainstId == familyId) return STRONG_MODIFIER
+  if (type.weakAgainstId == familyId) return WEAK_MODIFIER
+  return 1
+}
+/**
+ * Describe a modifier as a damage percentage, e.g. 50% more or 33% less.
+ * @param {number} modifier
+ */
+const describeModifier = modifier => modifier > 1
+  ? `${Math.round((modifier - 1) * 100)}% more`
+  : `${Math.round((1 - modifier) * 100)}% less`
+/**
+ * Score a pet against an opponent.
+ * The best ability of each slot unlocked at the pet level is selected, passive abilities aside.
+ * The score multiplies the best damage modifier of the selected abilities, the inverse of the worst damage
+ * modifier of the opponent abilities against the pet family, 1 for an opponent without active abilities,
+ * and the level of the pet relative to MAX_LEVEL.
+ * @param {object} pet The pet, { name, speciesId, battlePetGuid, level, family, abilities } with the abilities of its species
+ * @param {object} opponent The opponent, { family, abilities }
+ * @param {Array<object>} types The pet types, see WoWClient.petTypes
+ * @returns {object} { score, offense, defense, abilities, reasons }
+ */
+const scorePet = (pet, opponent, types) => {
+  if (!pet) throw new MissingParameterException('pet', 'object')
+  if (!opponent) throw new MissingParameterException('opponent', 'object')
+  if (!types) throw new MissingParameterException('types', 'Array')
+  const typeName = id => {
+    const type = types.find(type => type.id == id)
+    return type ? type.name : `Type ${id}`
+  }
+  const active = abilities => abilities.filter(ability => !ability.isPassive)
+  const unlocked = active(pet.abilities).filter(({ requiredLevel = 1 }) => requiredLevel <= pet.level)
+  const abilities = Array.from(new Set(unlocked.map(({ slot }) => slot)))
+    .sort((a, b) => a - b)
+    .map(slot => unlocked
+      .filter(ability => ability.slot == slot)
+      .map(ability => ({ slot, id: ability.id, name: ability.name, petTypeId: ability.petTypeId, modifier: typeModifier(ability.petTypeId, opponent.family, types) }))
+      .sort((a, b) => b.modifier - a.modifier)[0])
+  const incoming = active(opponent.abilities)
+    .map(ability => ({ id: ability.id, name: ability.name, petTypeId: ability.petTypeId, modifier: typeModifier(ability.petTypeId, pet.family, types) }))
+  const offense = Math.max(1, ...abilities.map(({ modifier }) => modifier))
+  const defense = incoming.length ? 1 / Math.max(...incoming.map(({ modifier }) => modifier)) : 1
+  const reasons = []
+  abilities.filter(({ modifier }) => modifier != 1).forEach(({ name, petTypeId, modifier }) => {
+    reasons.push(`${name} (${typeName(petTypeId)}) deals ${describeModifier(modifier)} damage to ${typeName(opponent.family)}`)
+  })
+  incoming.filter(({ modifier }) => modifier != 1).forEach(({ name, petTypeId, modifier }) => {
+    reasons.push(`Takes ${describeModifier(modifier)} damage from ${name} (${typeName(petTypeId)})`)
+  })
+  if (pet.level < MAX_LEVEL) reasons.push(`Level ${pet.level} of ${MAX_LEVEL}`)
+  return {
+    score: Math.round(offense * defense * pet.level / MAX_LEVEL * 100) / 100,
+    offense,
+    defense: Math.round(defense * 100) / 100,
+    abilities: abilities.map(({ slot, id, name, petTypeId, modifier }) => ({ slot, id, name, type: typeName(petTypeId), modifier })),
+    reasons
+  }
+}
+class PetTeamPlanner {
+  /**
+   * @param {WoWClient} client The client used to fetch the pets, species, abilities and types
+   * @param {object} options
+   * @param {object} options.store A cache adapter keeping the species and abilities between runs, see MemoryCache.
+   * Default is none, lookups are then only shared by the plans of this planner
+   * @param {number} options.ttl TTL in seconds of the entries of the store. Default is a day
+   */
+  constructor(client, { store = undefined, ttl = 24 * 60 * 60 } = {}) {
+    if (!client) throw new MissingParameterException('client', 'WoWClient')
+    this._client = client
+    this._store = store
+    this._ttl = ttl
+    // species and ability lookups shared by all the plans, by id
+    this._species = new Map()
+    this._abilities = new Map()
+    this._types = null
+  }
+  /**
+   * Recommend a team of a character against an opponent species.
+   * Resolve to undefined if the character or the opponent species is not found.
+   * @param {string} realm Character's realm
+   * @param {string} charname Character's name
+   * @param {number} opponentSpeciesId The species of the opponent pet
+   * @param {object} options Request options, see WoWClient._fetchAPI, and the team options
+   * @param {number} options.concurrency Maximum number of species resolved at the same time. Default is 10
+   * @param {boolean} options.distinctSpecies Pick pets of three different species. Default is true
+   */
+  async character(realm, charname, opponentSpeciesId, options = {}) {
+    const profile = await this._client.characterPets(realm, charname, options)
+    if (!profile) return undefined
+    const plan = await this.team(profile.pets.collected, opponentSpeciesId, options)
+    return plan && Object.assign({ name: profile.name, realm: profile.realm }, plan)
+  }
+  /**
+   * Recommend a team among collected pets against an opponent species.
+   * Resolve to undefined if the opponent species is not found.
+   * @param {Array<object>} pets The collected pets, see WoWClient.characterPets
+   * @param {number} opponentSpeciesId The species of the opponent pet
+   * @param {object} options Request options and team options, see character
+   * @returns {object} { opponent, team, candidates } where candidates are every pet able to battle ranked by score
+   */
+  async team(pets, opponentSpeciesId, options = {}) {
+    if (!pets) throw new MissingParameterException('pets', 'Array')
+    if (!opponentSpeciesId) throw new MissingParameterException('opponentSpeciesId', 'number')
+    const { concurrency = 10, distinctSpecies = true } = options
+    const [types, opponentSpecies] = await Promise.all([this._petTypes(options), this._resolveSpecies(opponentSpeciesId, options)])
+    if (!types || !opponentSpecies) return undefined
+    const opponent = {
+      speciesId: opponentSpecies.speciesId,
+      name: opponentSpecies.name,
+      family: opponentSpecies.petTypeId,
+      abilities: opponentSpecies.abilities
+    }
+    const battlers = pets.filter(({ canBattle, stats }) => canBattle && stats)
+    const resolved = await mapConcurrent(battlers, concurrency, async pet => ({ pet, species: await this._resolveSpecies(pet.stats.speciesId, options) }))
+    const candidates = resolved
+      .filter(({ species }) => species)
+      .map(({ pet, species }) => {
+        const candidate = {
+          name: pet.name,
+          speciesId: species.speciesId,
+          battlePetGuid: pet.battlePetGuid,
+          level: pet.stats.level,
+          family: species.petTypeId,
+          abilities: species.abilities
+        }
+        return Object.assign(candidate, scorePet(candidate, opponent, types))
+      })
+      .sort((a, b) => b.score - a.score || b.level - a.level)
+    const team = []
+    for (const candidate of candidates) {
+      if (team.length == TEAM_SIZE) break
+      if (distinctSpecies && team.some(({ speciesId }) => speciesId == candidate.speciesId)) continue
+      team.push(candidate)
+    }
+    const typeName = id => (types.find(type => type.id == id) || {}).name
+    const summary = ({ name, speciesId, battlePetGuid, level, family, score, offense, defense, abilities, reasons }) =>
+      ({ name, speciesId, battlePetGuid, level, family: typeName(family), score, offense, defense, abilities, reasons })
+    return {
+      opponent: {
+        speciesId: opponent.speciesId,
+        name: opponent.name,
+        family: typeName(opponent.family),
+        abilities: opponent.abilities.map(({ id, name, petTypeId, isPassive }) => ({ id, name, type: typeName(petTypeId), isPassive }))
+      },
+      team: team.map(summary),
+      candidates: candidates.map(summary)
+    }
+  }
+  /**
+   * Return the pet types, fetched once per planner.
+   * @param {object} options Request options
+   */
+  async _petTypes(options) {
+    if (!this._types) {
+      this._types = this._client.petTypes(options)
+      this._types.catch(() => { this._types = null })
+    }
+    return await this._types
+  }
+  /**
+   * Return a species with the details of its abilities, undefined if it is not found.
+   * @param {number} speciesId
+   * @param {object} options Request options
+   */
+  async _resolveSpecies(speciesId, options) {
+    const species = await this._lookup(this._species, `species:${speciesId}`, () => this._client.petSpecies(speciesId, options))
+    if (!species) return undefined
+    const abilities = await Promise.all((species.abilities || []).map(async entry => {
+      const ability = await this._lookup(this._abilities, `ability:${entry.id}`, () => this._client.petAbility(entry.id, options))
+      return Object.assign({}, entry, ability)
+    }))
+    return Object.assign({}, species, { abilities })
+  }
+  /**
+   * Return a cached lookup, reading the store before calling fetch. Pending lookups are shared.
+   * @param {Map} lookups The lookups of the planner, by key
+   * @param {string} key
+   * @param {Function} fetch Async function fetching the value
+   */
+  _lookup(lookups, key, fetch) {
+    if (!lookups.has(key)) {
+      const storeKey = `pets:${key}`
+      const lookup = (async () => {
+        const stored = this._store ? await this._store.get(storeKey) : undefined
+        if (stored !== undefined) return stored
+        const value = await fetch()
+        if (this._store && value !== undefined) await this._store.set(storeKey, value, this._ttl)
+        return value
+      })()
+      lookup.catch(() => lookups.delete(key))
+      lookups.set(key, lookup)
+    }
+    return lookups.get(key)
+  }
+}
+module.exports = { PetTeamPlanner, scorePet, typeModifier, TEAM_SIZE }
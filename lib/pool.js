@@ -0,0 +1,22 @@
+/**
+ * Run an async function over a list of items with at most concurrency calls pending at the same time.
+ * Resolve to the results in the order of the items. The first rejection rejects the whole run,
+ * so the function should catch the errors it wants to report.
+ * @param {Array} items
+ * @param {number} concurrency Maximum number of pending calls
+ * @param {Function} fn Async function called with each item and its index
+ */
+const mapConcurrent = async (items, concurrency, fn) => {
+  const results = new Array(items.length)
+  let next = 0
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++
+      results[index] = await fn(items[index], index)
+    }
+  }
+  const workers = Array.from({ length: Math.max(1, Math.min(concurrency, items.length)) }, worker)
+  await Promise.all(workers)
+  return results
+}
+module.exports = { mapConcurrent }
@@ -0,0 +1,112 @@
+/**
+ * Realm status watcher, built on WoWClient.realmStatus.
+ * It polls the realm status list and emits an event for each change of a realm:
+ * realmDown, realmUp, queueStarted, queueEnded, populationChanged and battlegroupChanged.
+ * Every event receives { slug, previous, current } with the previous and current realm state.
+ * Polling failures are emitted as error events when an error listener is registered, polling goes on either way.
+ */
+const EventEmitter = require('events')
+const { MissingParameterException } = require('./errors')
+
+/**
+ * Compare two states of a realm and return the events to emit, as [name, payload].
+ * @param {object} previous
+ * @param {object} current
+ */
+const realmChanges = (previous, current) => {
+  const payload = { slug: current.slug, previous, current }
+  const events = []
+  if (previous.status && !current.status) events.push(['realmDown', payload])
+  if (!previous.status && current.status) events.push(['realmUp', payload])
+  if (!previous.queue && current.queue) events.push(['queueStarted', payload])
+  if (previous.queue && !current.queue) events.push(['queueEnded', payload])
+  if (previous.population != current.population) events.push(['populationChanged', payload])
+  if (previous.battlegroup != current.battlegroup) events.push(['battlegroupChanged', payload])
+  return events
+}
+class RealmWatcher extends EventEmitter {
+  /**
+   * @param {WoWClient} client The client used to poll the realm status
+   * @param {object} options
+   * @param {number} options.interval Milliseconds between two polls. Default is 60000
+   * @param {Array<string>} options.slugs Watch only these realms. Default is every realm
+   * @param {string} options.locale Watch only the realms of this locale. Default is every locale
+   */
+  constructor(client, { interval = 60000, slugs = undefined, locale = undefined } = {}) {
+    super()
+    if (!client) throw new MissingParameterException('client', 'WoWClient')
+    this._client = client
+    this._interval = interval
+    this._slugs = slugs
+    this._locale = locale
+    this._realms = null
+    this._timer = null
+    this._running = false
+    // incremented by start and stop, so that the timer chain and the poll in progress of a previous start are dropped
+    this._generation = 0
+  }
+  /**
+   * Start polling. The first poll records the current state without emitting changes.
+   */
+  start() {
+    if (this._running) return this
+    this._running = true
+    this._generation++
+    this._schedule(0)
+    return this
+  }
+  /**
+   * Stop polling. A poll in progress completes without emitting events.
+   */
+  stop() {
+    this._running = false
+    this._generation++
+    clearTimeout(this._timer)
+    this._timer = null
+    return this
+  }
+  /**
+   * Return the last known state of the watched realms, by slug.
+   */
+  realms() {
+    return new Map(this._realms || [])
+  }
+  _schedule(delay) {
+    const generation = this._generation
+    this._timer = setTimeout(async () => {
+      try {
+        await this.poll()
+      } catch (err) {
+        // a throwing event listener must not end the polling
+      }
+      if (this._running && generation == this._generation) this._schedule(this._interval)
+    }, delay)
+  }
+  /**
+   * Fetch the realm status once and emit the changes since the previous poll.
+   * It can be called without start, a poll still in progress when the watcher is started or stopped is dropped.
+   */
+  async poll() {
+    const generation = this._generation
+    let realms
+    try {
+      realms = await this._client.realmStatus(this._locale, { cache: false })
+    } catch (err) {
+      if (generation == this._generation && this.listenerCount('error')) this.emit('error', err)
+      return
+    }
+    if (generation != this._generation || !realms) return
+    const current = new Map(realms
+      .filter(realm => !this._slugs || this._slugs.includes(realm.slug))
+      .map(realm => [realm.slug, realm]))
+    const previous = this._realms
+    this._realms = current
+    if (!previous) return
+    current.forEach((realm, slug) => {
+      if (previous.has(slug)) {
+        realmChanges(previous.get(slug), realm).forEach(([name, payload]) => this.emit(name, payload))
+      }
+    })
+  }
+}
+module.exports = { RealmWatcher, realmChanges }
@@ -0,0 +1,96 @@
+/**
+ * Record and replay of the Battle.Net responses as fixture files.
+ * recordFetch wraps a fetch implementation and saves every response, replayFetch serves them back
+ * without network. Fixtures are keyed by method, path and query, regardless of the host,
+ * and never contain the access token.
+ */
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+const fetch = require('node-fetch')
+
+const { Response } = fetch
+const REPLAY_TOKEN = 'replay-access-token'
+
+/**
+ * Return the fixture file name of a request.
+ * @param {string} method The HTTP method
+ * @param {string} url The request URL, absolute or relative to the host
+ */
+const fixtureName = (method, url) => {
+  const { pathname, searchParams } = new URL(url, 'http://localhost')
+  searchParams.delete('access_token')
+  searchParams.sort()
+  const query = searchParams.toString()
+  const key = `${method.toUpperCase()} ${pathname}${query ? `?${query}` : ''}`
+  const hash = crypto.createHash('sha1').update(key).digest('hex').slice(0, 8)
+  const readable = key.replace(/[^a-zA-Z0-9.-]+/g, '_').replace(/^_+|_+$/g, '').slice(0, 150)
+  return `${readable}-${hash}.json`
+}
+/**
+ * Read the fixture of a request, undefined if it was not recorded.
+ * @param {string} dir The fixtures directory
+ * @param {string} method The HTTP method
+ * @param {string} url The request URL
+ */
+const readFixture = (dir, method, url) => {
+  const file = path.join(dir, fixtureName(method, url))
+  if (!fs.existsSync(file)) return undefined
+  return JSON.parse(fs.readFileSync(file, 'utf8'))
+}
+/**
+ * Remove the tokens from a recorded body.
+ * @param {*} body
+ */
+const scrub = body => {
+  if (body && typeof body == 'object' && body.access_token) {
+    return Object.assign({}, body, { access_token: 'REDACTED' })
+  }
+  return body
+}
+const toResponse = ({ status, body }) => new Response(JSON.stringify(body), {
+  status,
+  headers: { 'Content-Type': 'application/json;charset=UTF-8' }
+})
+/**
+ * Create a fetch implementation that forwards the requests and records the responses in dir.
+ * @param {string} dir The fixtures directory, created if missing
+ * @param {object} options
+ * @param {Function} options.fetch The fetch implementation actually sending the requests. Default is node-fetch
+ */
+const recordFetch = (dir, { fetch: fetchImpl = fetch } = {}) => async (url, init = {}) => {
+  const method = init.method || 'GET'
+  const res = await fetchImpl(url, init)
+  const text = await res.text()
+  let body
+  try {
+    body = JSON.parse(text)
+  } catch (err) {
+    body = text
+  }
+  const redacted = url.replace(/access_token=[^&]*/g, 'access_token=REDACTED')
+  fs.mkdirSync(dir, { recursive: true })
+  fs.writeFileSync(path.join(dir, fixtureName(method, url)), JSON.stringify({ method, url: redacted, status: res.status, body: scrub(body) }, null, 2))
+  return new Response(text, { status: res.status, statusText: res.statusText, headers: res.headers })
+}
+/**
+ * Create a fetch implementation answering from the fixtures recorded in dir.
+ * Token requests are answered with a fake token when they were not recorded.
+ * A request without fixture is rejected.
+ * @param {string} dir The fixtures directory
+ */
+const replayFetch = dir => async (url, init = {}) => {
+  const method = init.method || 'GET'
+  const fixture = readFixture(dir, method, url)
+  if (fixture) {
+    if (fixture.body && fixture.body.access_token) {
+      fixture.body.access_token = REPLAY_TOKEN
+    }
+    return toResponse(fixture)
+  }
+  if (new URL(url).pathname.endsWith('/oauth/token')) {
+    return toResponse({ status: 200, body: { access_token: REPLAY_TOKEN, token_type: 'bearer', expires_in: 86399 } })
+  }
+  throw new Error(`No fixture recorded for ${method} ${url.replace(/access_token=[^&]*/g, 'access_token=REDACTED')}`)
+}
+module.exports = { recordFetch, replayFetch, readFixture, fixtureName }
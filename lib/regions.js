@@ -0,0 +1,27 @@
+/**
+ * Battle.Net regions and the locales each one supports.
+ */
+const { ValidationError } = require('./errors')
+
+const LOCALES = {
+  us: ['en_US', 'es_MX', 'pt_BR'],
+  eu: ['en_GB', 'es_ES', 'fr_FR', 'ru_RU', 'de_DE', 'pt_PT', 'it_IT'],
+  kr: ['ko_KR'],
+  tw: ['zh_TW'],
+  cn: ['zh_CN']
+}
+const REGIONS = Object.keys(LOCALES)
+/**
+ * Throw a ValidationError if the region is unknown or does not support the locale.
+ * @param {string} region
+ * @param {string} locale Optional locale to check
+ */
+const validateRegion = (region, locale = undefined) => {
+  if (!REGIONS.includes(region)) {
+    throw new ValidationError(`Invalid region ${region}. Accepted regions are ${REGIONS.join(', ')}.`, { region })
+  }
+  if (locale && !LOCALES[region].includes(locale)) {
+    throw new ValidationError(`Invalid locale ${locale} for region ${region}. Accepted locales are ${LOCALES[region].join(', ')}.`, { region })
+  }
+}
+module.exports = { LOCALES, REGIONS, validateRegion }
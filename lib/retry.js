@@ -0,0 +1,85 @@
+/**
+ * Retry policy applied by WoWClient to the API requests.
+ * Failed attempts are retried with an exponential backoff, honoring the Retry-After
+ * header sent by Blizzard when the request has been throttled.
+ */
+const { NetworkError } = require('./errors')
+
+/**
+ * Wait the given milliseconds, or reject with the reason of the signal as soon as it is aborted.
+ * @param {number} ms
+ * @param {AbortSignal} signal
+ */
+const sleep = (ms, signal = undefined) => new Promise((resolve, reject) => {
+  if (signal && signal.aborted) return reject(signal.reason)
+  const onAbort = () => {
+    clearTimeout(timer)
+    reject(signal.reason)
+  }
+  const timer = setTimeout(() => {
+    if (signal) signal.removeEventListener('abort', onAbort)
+    resolve()
+  }, ms)
+  if (signal) signal.addEventListener('abort', onAbort, { once: true })
+})
+
+class RetryPolicy {
+  /**
+   * @param {object} options
+   * @param {number} options.attempts Maximum number of attempts, the first one included. Default is 3
+   * @param {number} options.baseDelay Delay in milliseconds before the first retry, doubled at each following one. Default is 500
+   * @param {number} options.maxDelay Upper bound in milliseconds of a single delay. Default is 30000
+   * @param {number} options.jitter Random variation of the delay, as a fraction of it (0 disables it). Default is 0.2
+   * @param {Array<number>} options.statuses HTTP statuses worth retrying. Default is 429, 500, 502, 503, 504
+   * @param {boolean} options.network Retry when the request fails before a response is received. Default is true
+   */
+  constructor({ attempts = 3, baseDelay = 500, maxDelay = 30000, jitter = 0.2, statuses = [429, 500, 502, 503, 504], network = true } = {}) {
+    this.attempts = attempts
+    this.baseDelay = baseDelay
+    this.maxDelay = maxDelay
+    this.jitter = jitter
+    this.statuses = statuses
+    this.network = network
+  }
+  /**
+   * Tell if a failed attempt should be retried.
+   * @param {Error} error The error raised by the attempt
+   * @param {number} attempt The number of the failed attempt, starting from 1
+   */
+  shouldRetry(error, attempt) {
+    if (attempt >= this.attempts) return false
+    if (error instanceof NetworkError) return this.network
+    return this.statuses.includes(error.status)
+  }
+  /**
+   * Return the milliseconds to wait before the next attempt.
+   * @param {Error} error The error raised by the attempt
+   * @param {number} attempt The number of the failed attempt, starting from 1
+   */
+  delay(error, attempt) {
+    if (error.retryAfter !== undefined) {
+      return error.retryAfter * 1000
+    }
+    const delay = Math.min(this.maxDelay, this.baseDelay * Math.pow(2, attempt - 1))
+    const variation = delay * this.jitter * (Math.random() * 2 - 1)
+    return Math.max(0, Math.round(delay + variation))
+  }
+  /**
+   * Run the given async function until it succeeds or the policy gives up.
+   * An aborted signal stops the retries, the delay before the next attempt included.
+   * @param {Function} fn The function performing a single attempt
+   * @param {object} options
+   * @param {AbortSignal} options.signal The signal of the call. Default is none
+   */
+  async run(fn, { signal = undefined } = {}) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await fn()
+      } catch (err) {
+        if ((signal && signal.aborted) || !this.shouldRetry(err, attempt)) throw err
+        await sleep(this.delay(err, attempt), signal)
+      }
+    }
+  }
+}
+module.exports = { RetryPolicy, sleep }
@@ -0,0 +1,144 @@
+/**
+ * Guild roster analytics, built on the guild profile.
+ * GuildRoster normalizes the members resolving class and race names, takes snapshots
+ * that can be compared over time and joins the guild news to the members.
+ */
+const { MissingParameterException } = require('./errors')
+
+/**
+ * Identify a member across snapshots.
+ * @param {object} member A normalized member
+ */
+const memberKey = member => `${member.name}-${member.realm}`
+/**
+ * Flatten a member of the guild profile and resolve its class and race names.
+ * @param {object} member A member of the guild profile, { character, rank }
+ * @param {Array<object>} classes The character classes, see WoWClient.classes
+ * @param {Array<object>} races The character races, see WoWClient.races
+ */
+const normalizeMember = ({ character, rank }, classes = [], races = []) => {
+  const cla$$ = classes.find(({ id }) => id == character.class)
+  const race = races.find(({ id }) => id == character.race)
+  return {
+    name: character.name,
+    realm: character.realm,
+    rank,
+    level: character.level,
+    achievementPoints: character.achievementPoints,
+    class: { id: character.class, name: cla$$ ? cla$$.name : undefined },
+    race: { id: character.race, name: race ? race.name : undefined },
+    gender: character.gender,
+    spec: character.spec ? character.spec.name : undefined
+  }
+}
+/**
+ * Compare two roster snapshots of the same guild.
+ * @param {object} previous The older snapshot, { realm, guild, timestamp, members }
+ * @param {object} current The newer snapshot
+ */
+const diffRosters = (previous, current) => {
+  if (!previous) throw new MissingParameterException('previous', 'object')
+  if (!current) throw new MissingParameterException('current', 'object')
+  const before = new Map(previous.members.map(member => [memberKey(member), member]))
+  const after = new Map(current.members.map(member => [memberKey(member), member]))
+  const joined = []
+  const left = []
+  const rankChanged = []
+  const levelUps = []
+  after.forEach((member, key) => {
+    const old = before.get(key)
+    if (!old) {
+      joined.push(member)
+      return
+    }
+    if (old.rank != member.rank) {
+      rankChanged.push({ member, previousRank: old.rank, rank: member.rank })
+    }
+    if (member.level > old.level) {
+      levelUps.push({ member, previousLevel: old.level, level: member.level })
+    }
+  })
+  before.forEach((member, key) => {
+    if (!after.has(key)) left.push(member)
+  })
+  return { joined, left, rankChanged, levelUps }
+}
+/**
+ * Attach to each news entry the guild member it refers to.
+ * Entries of characters no longer in the guild have an undefined member.
+ * @param {Array<object>} news The news of the guild profile
+ * @param {Array<object>} members The normalized members
+ * @param {object} filter
+ * @param {number} filter.since Keep only the entries after this timestamp, in milliseconds
+ * @param {Array<string>} filter.types Keep only these entry types, e.g. itemLoot, playerAchievement
+ */
+const joinNews = (news, members, { since = undefined, types = undefined } = {}) => {
+  const byName = new Map(members.map(member => [member.name, member]))
+  return news
+    .filter(entry => !since || entry.timestamp >= since)
+    .filter(entry => !types || types.includes(entry.type))
+    .map(entry => Object.assign({}, entry, { member: byName.get(entry.character) }))
+}
+class GuildRoster {
+  /**
+   * @param {WoWClient} client The client used to query the guild
+   */
+  constructor(client) {
+    if (!client) throw new MissingParameterException('client', 'WoWClient')
+    this._client = client
+  }
+  /**
+   * Return the normalized members of the guild, undefined if the guild is not found.
+   * @param {string} realm The guild realm
+   * @param {string} guildname The guild name
+   * @param {object} options Request options, see WoWClient._fetchAPI
+   */
+  async members(realm, guildname, options = {}) {
+    const [guild, classes, races] = await Promise.all([
+      this._client.guildMembers(realm, guildname, options),
+      this._client.classes(options),
+      this._client.races(options)
+    ])
+    if (!guild) return undefined
+    return guild.members.map(member => normalizeMember(member, classes, races))
+  }
+  /**
+   * Take a snapshot of the guild roster, to be compared later with diffRosters.
+   * @param {string} realm The guild realm
+   * @param {string} guildname The guild name
+   * @param {object} options Request options, see WoWClient._fetchAPI
+   */
+  async snapshot(realm, guildname, options = {}) {
+    const members = await this.members(realm, guildname, options)
+    if (!members) return undefined
+    return { realm, guild: guildname, timestamp: Date.now(), members }
+  }
+  /**
+   * Return the guild news joined with the members, see joinNews.
+   * @param {string} realm The guild realm
+   * @param {string} guildname The guild name
+   * @param {object} filter The news filter, { since, types }
+   * @param {object} options Request options, see WoWClient._fetchAPI
+   */
+  async news(realm, guildname, filter = {}, options = {}) {
+    const [guild, members] = await Promise.all([
+      this._client.guildNews(realm, guildname, options),
+      this.members(realm, guildname, options)
+    ])
+    if (!guild || !members) return undefined
+    return joinNews(guild.news, members, filter)
+  }
+  /**
+   * Return the items looted by the members since a given time, e.g. for a weekly report.
+   * @param {string} realm The guild realm
+   * @param {string} guildname The guild name
+   * @param {number} since Timestamp in milliseconds. Default is one week ago
+   * @param {object} options Request options, see WoWClient._fetchAPI
+   */
+  async loot(realm, guildname, since = Date.now() - 7 * 24 * 60 * 60 * 1000, options = {}) {
+    const news = await this.news(realm, guildname, { since, types: ['itemLoot'] }, options)
+    if (!news) return undefined
+    return news.map(({ member, character, itemId, timestamp }) => ({ member, character, itemId, timestamp }))
+  }
+}
+module.exports = { GuildRoster, normalizeMember, diffRosters, joinNews }
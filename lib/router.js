@@ -0,0 +1,120 @@
+/**
+ * Multi-region router. It manages one WoWClient per region and locale, sharing the token of a region
+ * between its locales, and fans out a query to several regions merging the results.
+ */
+const { TokenManager } = require('./token-manager')
+const { LOCALES, validateRegion } = require('./regions')
+const { ValidationError } = require('./errors')
+
+/**
+ * Default extraction of the entries of a result to merge: the result itself if it is a list,
+ * its rows (e.g. pvpLeaderboards), or the result as single entry.
+ * @param {*} result
+ */
+const defaultSelect = result => {
+  if (Array.isArray(result)) return result
+  if (result && Array.isArray(result.rows)) return result.rows
+  return result === undefined || result === null ? [] : [result]
+}
+class WoWRouter {
+  /**
+   * @param {string} clientId Battle.Net application ID
+   * @param {string} clientSecret Battle.Net application Secret
+   * @param {object} options
+   * @param {Array<string>} options.regions Regions served by the router. Default is us and eu
+   * @param {object} options.locales Default locale by region. Default is the first locale of each region
+   * @param {object} options.clientOptions Options given to every client, see WoWClient
+   */
+  constructor(clientId, clientSecret, { regions = ['us', 'eu'], locales = {}, clientOptions = {} } = {}) {
+    regions.forEach(region => validateRegion(region, locales[region]))
+    this._client_id = clientId
+    this._client_secret = clientSecret
+    this._regions = regions
+    this._locales = locales
+    this._clientOptions = clientOptions
+    this._clients = new Map()
+    this._tokenManagers = new Map()
+  }
+  /**
+   * Return the regions served by the router.
+   */
+  regions() {
+    return this._regions.slice()
+  }
+  /**
+   * Return the client of a region and locale, created on first use.
+   * @param {string} region One of the router regions. Default is the first one
+   * @param {string} locale A locale supported by the region. Default is the region default locale
+   */
+  client(region = this._regions[0], locale = undefined) {
+    region = region.toLowerCase()
+    if (!this._regions.includes(region)) {
+      validateRegion(region)
+      throw new ValidationError(`Region ${region} is not served by the router. Served regions are ${this._regions.join(', ')}.`, { region })
+    }
+    locale = locale || this._locales[region] || LOCALES[region][0]
+    validateRegion(region, locale)
+    const key = `${region}:${locale}`
+    if (!this._clients.has(key)) {
+      if (!this._tokenManagers.has(region)) {
+        this._tokenManagers.set(region, new TokenManager(this._client_id, this._client_secret, {
+          region,
+          fetch: this._clientOptions.fetch,
+          url: this._clientOptions.oauthURL
+        }))
+      }
+      const options = Object.assign({}, this._clientOptions, { region, locale, tokenManager: this._tokenManagers.get(region) })
+      // required here as the client module requires the router
+      const WoWClient = require('..')
+      this._clients.set(key, new WoWClient(this._client_id, this._client_secret, options))
+    }
+    return this._clients.get(key)
+  }
+  /**
+   * Call a client method on the given region and locale.
+   * @param {string} method The WoWClient method name, e.g. characterProfile
+   * @param {Array} args The method arguments
+   * @param {object} target
+   * @param {string} target.region Default is the first router region
+   * @param {string} target.locale Default is the region default locale
+   */
+  async call(method, args = [], { region = undefined, locale = undefined } = {}) {
+    const client = this.client(region, locale)
+    if (typeof client[method] != 'function' || method.startsWith('_')) {
+      throw new ValidationError(`Unknown WoWClient method ${method}.`)
+    }
+    return await client[method](...args)
+  }
+  /**
+   * Call a client method on several regions and merge the results.
+   * Each merged entry is tagged with its region. A failing region does not reject the call,
+   * its error is reported in errors.
+   * @param {string} method The WoWClient method name, e.g. realmStatus
+   * @param {Array} args The method arguments
+   * @param {object} options
+   * @param {Array<string>} options.regions Regions to query. Default is every router region
+   * @param {function(*): Array} options.select Extract the entries to merge from a result. Default is the result
+   * if it is a list, its rows if it has any, the result itself otherwise
+   * @returns {object} { data, errors } with data the merged entries and errors a list of { region, error }
+   */
+  async fanOut(method, args = [], { regions = this._regions, select = defaultSelect } = {}) {
+    const results = await Promise.all(regions.map(async region => {
+      try {
+        return { region, result: await this.call(method, args, { region }) }
+      } catch (error) {
+        return { region, error }
+      }
+    }))
+    const data = []
+    const errors = []
+    results.forEach(({ region, result, error }) => {
+      if (error) {
+        errors.push({ region, error })
+        return
+      }
+      select(result).forEach(entry => data.push(entry && typeof entry == 'object' ? Object.assign({ region }, entry) : { region, value: entry }))
+    })
+    return { data, errors }
+  }
+}
+module.exports = { WoWRouter }
@@ -0,0 +1,152 @@
+/**
+ * Client side rate limiter shared by all the requests of a WoWClient.
+ * Requests wait in priority lanes until both the per second and the per hour
+ * token buckets have a token left and a concurrency slot is free.
+ */
+const { enumProblems, assertValid } = require('./validation')
+
+/**
+ * Priority lanes, in the order they are served.
+ */
+const PRIORITIES = ['high', 'normal', 'low']
+/**
+ * A bucket of tokens refilled continuously up to its capacity.
+ */
+class TokenBucket {
+  /**
+   * @param {number} capacity Maximum number of tokens
+   * @param {number} interval Milliseconds needed to refill the whole capacity
+   */
+  constructor(capacity, interval) {
+    this.capacity = capacity
+    this.tokens = capacity
+    this._rate = capacity / interval
+    this._last = Date.now()
+  }
+  _refill() {
+    if (this.capacity === Infinity) return
+    const now = Date.now()
+    this.tokens = Math.min(this.capacity, this.tokens + (now - this._last) * this._rate)
+    this._last = now
+  }
+  /**
+   * Take a token if available.
+   */
+  take() {
+    this._refill()
+    if (this.tokens < 1) return false
+    this.tokens--
+    return true
+  }
+  /**
+   * Milliseconds until a token is available.
+   */
+  wait() {
+    this._refill()
+    return this.tokens >= 1 ? 0 : Math.ceil((1 - this.tokens) / this._rate)
+  }
+  /**
+   * Number of whole tokens available.
+   */
+  remaining() {
+    this._refill()
+    return Math.floor(this.tokens)
+  }
+}
+class Scheduler {
+  /**
+   * @param {object} options
+   * @param {number} options.perSecond Maximum requests per second. Default is 100
+   * @param {number} options.perHour Maximum requests per hour. Default is 36000
+   * @param {number} options.concurrency Maximum requests running at the same time. Default is 20
+   */
+  constructor({ perSecond = 100, perHour = 36000, concurrency = 20 } = {}) {
+    this._buckets = {
+      second: new TokenBucket(perSecond, 1000),
+      hour: new TokenBucket(perHour, 60 * 60 * 1000)
+    }
+    this._concurrency = concurrency
+    this._running = 0
+    this._lanes = { high: [], normal: [], low: [] }
+    this._timer = null
+  }
+  /**
+   * Queue an async function and resolve with its result once it has been run.
+   * @param {Function} fn The function sending the request
+   * @param {object} options
+   * @param {string} options.priority One of high, normal, low. Default is normal
+   * @param {AbortSignal} options.signal Remove the function from the queue and reject with the signal reason
+   * when aborted before its turn. Default is none
+   */
+  schedule(fn, { priority = 'normal', signal = undefined } = {}) {
+    assertValid(enumProblems('priority', priority, PRIORITIES))
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) return reject(signal.reason)
+      const entry = { fn, resolve, reject }
+      if (signal) {
+        const onAbort = () => {
+          const lane = this._lanes[priority]
+          if (lane.includes(entry)) {
+            lane.splice(lane.indexOf(entry), 1)
+            reject(signal.reason)
+          }
+        }
+        signal.addEventListener('abort', onAbort, { once: true })
+        entry.fn = () => {
+          signal.removeEventListener('abort', onAbort)
+          return fn()
+        }
+      }
+      this._lanes[priority].push(entry)
+      this._drain()
+    })
+  }
+  /**
+   * Return the number of queued requests by lane, the running ones and the remaining quota.
+   */
+  stats() {
+    const queued = {}
+    PRIORITIES.forEach(priority => queued[priority] = this._lanes[priority].length)
+    return {
+      queued,
+      running: this._running,
+      remaining: {
+        second: this._buckets.second.remaining(),
+        hour: this._buckets.hour.remaining()
+      }
+    }
+  }
+  _next() {
+    const lane = PRIORITIES.find(priority => this._lanes[priority].length > 0)
+    return lane ? this._lanes[lane].shift() : undefined
+  }
+  _drain() {
+    if (this._timer) return
+    while (this._running < this._concurrency && PRIORITIES.some(priority => this._lanes[priority].length > 0)) {
+      const { second, hour } = this._buckets
+      const wait = Math.max(second.wait(), hour.wait())
+      if (wait > 0) {
+        this._timer = setTimeout(() => {
+          this._timer = null
+          this._drain()
+        }, wait)
+        return
+      }
+      second.take()
+      hour.take()
+      this._run(this._next())
+    }
+  }
+  async _run({ fn, resolve, reject }) {
+    this._running++
+    try {
+      resolve(await fn())
+    } catch (err) {
+      reject(err)
+    } finally {
+      this._running--
+      this._drain()
+    }
+  }
+}
+module.exports = { Scheduler, TokenBucket, PRIORITIES }
@@ -0,0 +1,160 @@
+/**
+ * OAuth client credentials token management.
+ * A TokenManager can be shared by several WoWClient instances and, through a store,
+ * by several processes so that they all reuse the same token.
+ * Each generated token is announced with a tokenRefreshed event, { region, duration, expiresIn }.
+ */
+const EventEmitter = require('events')
+const fetch = require('node-fetch')
+const FormData = require('form-data')
+const { NetworkError, AbortError, createResponseError, redactURL, redactError } = require('./errors')
+const { regionURL, defaultOAuthURL } = require('./hosts')
+const { callSignal, abortable } = require('./abort')
+
+/**
+ * Given the Battle.Net application Id and Secret this function generate
+ * a new token that can be used to connect to the Battle.Net api.
+ * The credentials are sent in the Authorization header with the Basic scheme.
+ * @param {string} clientId Battle.Net application ID
+ * @param {string} clientSecret Battle.Net application Secret
+ * @param {string} region Battle.Net region of authentication server. Default is 'us'
+ * @param {object} options
+ * @param {Function} options.fetch The fetch implementation. Default is node-fetch
+ * @param {string} options.url The token endpoint URL template. Default is https://{region}.battle.net/oauth/token, or the cn host
+ * @param {AbortSignal} options.signal Cancel the token request. Default is none
+ */
+const generateToken = async (clientId, clientSecret, region = 'us', { fetch: fetchImpl = fetch, url = undefined, signal = undefined } = {}) => {
+  region = region.toLowerCase()
+  const requestURL = regionURL(url || defaultOAuthURL(region), region)
+  const formData = new FormData()
+  formData.append('grant_type', 'client_credentials')
+  const headers = { Authorization: `Basic ${Buffer.from(`${clientId}:${clientSecret}`).toString('base64')}` }
+  const details = { path: 'oauth/token', region }
+  let res
+  try {
+    res = await fetchImpl(requestURL, { method: 'POST', body: formData, headers, signal })
+  } catch (err) {
+    if (signal && signal.aborted) throw signal.reason
+    throw new NetworkError(`Error generating a new token: ${redactURL(err.message)}`, Object.assign({ cause: redactError(err) }, details))
+  }
+  if (!res.ok) {
+    throw await createResponseError(res, Object.assign({ message: "Error generating a new token. Check yours client ID and Secret." }, details))
+  }
+  return await res.json()
+}
+class TokenManager extends EventEmitter {
+  /**
+   * @param {string} clientId Battle.Net application ID
+   * @param {string} clientSecret Battle.Net application Secret
+   * @param {object} options
+   * @param {string} options.region Battle.Net region of authentication server. Default is 'us'
+   * @param {number} options.margin Seconds before the expiration at which the token is renewed. Default is 300
+   * @param {object} options.store Persistence store shared between processes, with the same
+   * async get, set and delete methods of a cache adapter (see MemoryCache). Default is null
+   * @param {Function} options.fetch The fetch implementation. Default is node-fetch
+   * @param {string} options.url The token endpoint URL template. Default is https://{region}.battle.net/oauth/token, or the cn host
+   * @param {number} options.timeout Milliseconds allowed to a token request, shared by every call waiting for it. Default is 30000
+   */
+  constructor(clientId, clientSecret, { region = 'us', margin = 300, store = null, fetch: fetchImpl = fetch, url = undefined, timeout = 30000 } = {}) {
+    super()
+    this._client_id = clientId
+    this._client_secret = clientSecret
+    this._region = region.toLowerCase()
+    this._margin = margin
+    this._store = store
+    this._fetch = fetchImpl
+    this._url = url
+    this._timeout = timeout
+    this._key = `battlenet-token:${this._region}:${clientId}`
+    this._token = null
+    this._pending = null
+  }
+  /**
+   * Return true if the token can still be used for at least margin seconds.
+   * @param {object} token A token as kept by the manager, { access_token, expires_at, margin }
+   */
+  _isValid(token) {
+    const margin = token && token.margin !== undefined ? token.margin : this._margin
+    return !!token && token.expires_at - margin * 1000 > Date.now()
+  }
+  /**
+   * Return a valid access token, generating a new one if needed.
+   * Concurrent calls share the same token request, so an aborted call only stops waiting for it.
+   * The request is cancelled once every waiting call has been aborted, or when it exceeds the timeout of the manager,
+   * so that a hung token endpoint does not stall the next calls.
+   * @param {object} options
+   * @param {AbortSignal} options.signal The signal of the call. Default is none
+   * @param {Function} options.onRefresh Called with the tokenRefreshed event when this call generates the token,
+   * e.g. by a client sharing the manager. Default is none
+   */
+  async getToken({ signal = undefined, onRefresh = undefined } = {}) {
+    if (this._isValid(this._token)) return this._token.access_token
+    if (!this._pending) {
+      const controller = new AbortController()
+      const pending = { controller, waiters: 0 }
+      pending.promise = this._renew(controller.signal, onRefresh).finally(() => {
+        if (this._pending == pending) this._pending = null
+      })
+      this._pending = pending
+    }
+    const pending = this._pending
+    pending.waiters++
+    try {
+      const token = await abortable(pending.promise, signal)
+      return token.access_token
+    } finally {
+      pending.waiters--
+      if (!pending.waiters && this._pending == pending) {
+        this._pending = null
+        pending.controller.abort(new AbortError('Token request aborted, no call is waiting for it', { path: 'oauth/token', region: this._region }))
+      }
+    }
+  }
+  /**
+   * Read the token of the store or generate a new one.
+   * @param {AbortSignal} signal Cancel the token request
+   * @param {Function} onRefresh Called with the tokenRefreshed event of a generated token
+   */
+  async _renew(signal, onRefresh) {
+    if (this._store) {
+      const stored = await this._store.get(this._key)
+      if (this._isValid(stored)) {
+        this._token = stored
+        return stored
+      }
+    }
+    const started = Date.now()
+    const scope = callSignal(signal, this._timeout, { path: 'oauth/token', region: this._region })
+    let access_token, expires_in
+    try {
+      ({ access_token, expires_in } = await generateToken(this._client_id, this._client_secret, this._region, { fetch: this._fetch, url: this._url, signal: scope.signal }))
+    } finally {
+      scope.clear()
+    }
+    // a token shorter lived than the margin would be renewed on every call
+    this._token = { access_token, expires_at: Date.now() + expires_in * 1000, margin: Math.min(this._margin, expires_in / 2) }
+    const event = { region: this._region, duration: Date.now() - started, expiresIn: expires_in }
+    this.emit('tokenRefreshed', event)
+    if (onRefresh) onRefresh(event)
+    if (this._store) {
+      await this._store.set(this._key, this._token, expires_in)
+    }
+    return this._token
+  }
+  /**
+   * Discard a token refused by the API so the next call to getToken generates a new one.
+   * A token other than the current one, e.g. already replaced by another client, is ignored.
+   * @param {string} accessToken The refused token
+   */
+  async invalidate(accessToken) {
+    if (!this._token || this._token.access_token != accessToken) return
+    this._token = null
+    if (this._store) {
+      const stored = await this._store.get(this._key)
+      if (stored && stored.access_token == accessToken) {
+        await this._store.delete(this._key)
+      }
+    }
+  }
+}
+module.exports = { TokenManager, generateToken }
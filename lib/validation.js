@@ -0,0 +1,80 @@
+/**
+ * Validation and normalization of the arguments that end up in the request URLs.
+ * Problems are collected so that a single ValidationError reports all of them.
+ */
+const { ValidationError } = require('./errors')
+
+const CHARACTER_FIELDS = [
+  'achievements', 'appearance', 'feed', 'guild', 'hunterPets', 'items', 'mounts', 'pets', 'petSlots',
+  'professions', 'progression', 'pvp', 'quests', 'reputation', 'statistics', 'stats', 'talents', 'titles', 'audit'
+]
+const GUILD_FIELDS = ['members', 'achievements', 'news', 'challenge']
+const BRACKETS = ['2v2', '3v3', '5v5', 'rbg']
+
+/**
+ * Turn a realm name into its slug, e.g. "Kel'Thuzad" into kelthuzad, "Azjol-Nerub" into azjolnerub
+ * and "Aerie Peak" into aerie-peak. Lowercase names without spaces are considered slugs already.
+ * Accented letters are kept, as in the Blizzard slugs.
+ * @param {string} realm The realm name or slug
+ */
+const slugify = realm => {
+  const trimmed = realm.trim()
+  if (trimmed == trimmed.toLowerCase() && !/[\s'()]/.test(trimmed)) return trimmed
+  return trimmed
+    .toLowerCase()
+    .replace(/['’()-]/g, '')
+    .trim()
+    .replace(/\s+/g, '-')
+}
+/**
+ * Encode a realm slug for a request path.
+ * @param {string} realm The realm name or slug
+ */
+const realmPath = realm => encodeURIComponent(slugify(realm))
+/**
+ * Lowercase and encode a character or guild name for a request path, e.g. Ærendil into %C3%A6rendil.
+ * @param {string} name
+ */
+const namePath = name => encodeURIComponent(name.trim().toLowerCase())
+/**
+ * Return the problems of a list of fields.
+ * @param {Array<string>} fields The requested fields, may be null
+ * @param {Array<string>} allowed The accepted fields
+ * @param {string} resource The resource name used in the messages, e.g. character
+ */
+const fieldProblems = (fields, allowed, resource) => {
+  if (!fields) return []
+  if (!Array.isArray(fields)) return [`Invalid ${resource} fields ${fields}: a list of fields is expected.`]
+  return fields
+    .filter(field => !allowed.includes(field))
+    .map(field => `Invalid ${resource} field ${field}. Accepted fields are ${allowed.join(', ')}.`)
+}
+/**
+ * Return the problem of a value that must be one of a set, if any.
+ * @param {string} name The argument name
+ * @param {*} value
+ * @param {Array} allowed The accepted values
+ */
+const enumProblems = (name, value, allowed) => allowed.includes(value)
+  ? []
+  : [`Invalid ${name} ${value}. Accepted values are ${allowed.join(', ')}.`]
+/**
+ * Throw a ValidationError reporting every problem, if any.
+ * @param {Array<string>} problems
+ */
+const assertValid = problems => {
+  if (problems.length) {
+    throw new ValidationError(problems.join(' '), { problems })
+  }
+}
+module.exports = {
+  CHARACTER_FIELDS,
+  GUILD_FIELDS,
+  BRACKETS,
+  slugify,
+  realmPath,
+  namePath,
+  fieldProblems,
+  enumProblems,
+  assertValid
+}
@@ -0,0 +1,132 @@
+const assert = require('assert')
+const nodeFetch = require('node-fetch')
+const WoWClient = require('..')
+const { callSignal, abortable } = require('../lib/abort')
+const { RetryPolicy, sleep } = require('../lib/retry')
+const { Scheduler } = require('../lib/scheduler')
+const { TokenManager } = require('../lib/token-manager')
+const { TimeoutError, AbortError, NetworkError, NotFoundError } = require('../lib/errors')
+const { useMockServer, jsonResponse, delay } = require('./helpers')
+
+const tokenFetch = async () => jsonResponse(200, { access_token: 'token-1', token_type: 'bearer', expires_in: 86399 })
+
+/**
+ * Fetch stub hanging on its first token request until its signal is aborted.
+ * @param {object} options
+ * @param {Function} options.fetch Answers the other requests. Default answers with token-1
+ * @param {Function} options.onAbort Called when the hung request is aborted
+ */
+const hungTokenFetch = ({ fetch = tokenFetch, onAbort = () => {} } = {}) => {
+  let hang = true
+  return (url, init = {}) => {
+    if (!hang || !url.includes('/oauth/token')) return fetch(url, init)
+    hang = false
+    return new Promise((resolve, reject) => init.signal.addEventListener('abort', () => {
+      onAbort()
+      reject(new Error('aborted'))
+    }))
+  }
+}
+
+describe('callSignal', () => {
+  it('aborts with an AbortError or a TimeoutError', async () => {
+    assert.strictEqual(callSignal().signal, undefined)
+    const controller = new AbortController()
+    const aborted = callSignal(controller.signal, 0, { path: 'item/1', region: 'eu' })
+    const cause = new Error('gave up')
+    controller.abort(cause)
+    assert.ok(aborted.signal.reason instanceof AbortError)
+    assert.strictEqual(aborted.signal.reason.message, 'Request to item/1 (eu) has been aborted')
+    assert.strictEqual(aborted.signal.reason.cause, cause)
+    const timed = callSignal(undefined, 10)
+    await delay(30)
+    assert.ok(timed.signal.reason instanceof TimeoutError)
+    assert.strictEqual(timed.signal.reason.timeout, 10)
+  })
+  it('lets abortable reject while the promise keeps running', async () => {
+    const controller = new AbortController()
+    const running = delay(20).then(() => 'done')
+    const waiting = abortable(running, controller.signal)
+    controller.abort(new Error('stop'))
+    await assert.rejects(waiting, /stop/)
+    assert.strictEqual(await running, 'done')
+  })
+})
+
+describe('RetryPolicy cancellation', () => {
+  it('stops retrying once the signal is aborted', async () => {
+    const policy = new RetryPolicy({ attempts: 5, baseDelay: 1000, jitter: 0 })
+    const controller = new AbortController()
+    const reason = new Error('stop')
+    setTimeout(() => controller.abort(reason), 20)
+    let attempts = 0
+    await assert.rejects(policy.run(async () => {
+      attempts++
+      throw new NetworkError('down')
+    }, { signal: controller.signal }), err => err === reason)
+    assert.strictEqual(attempts, 1)
+  })
+  it('sleep rejects with the reason of an aborted signal', async () => {
+    const controller = new AbortController()
+    controller.abort(new Error('aborted'))
+    await assert.rejects(sleep(1000, controller.signal), /aborted/)
+  })
+})
+
+describe('Scheduler cancellation', () => {
+  it('removes an aborted entry from the queue', async () => {
+    const scheduler = new Scheduler({ concurrency: 1 })
+    const controller = new AbortController()
+    let ran = false
+    const blocker = scheduler.schedule(() => delay(20))
+    const aborted = scheduler.schedule(async () => {
+      ran = true
+    }, { signal: controller.signal })
+    controller.abort(new Error('cancelled'))
+    await assert.rejects(aborted, /cancelled/)
+    assert.strictEqual(scheduler.stats().queued.normal, 0)
+    await blocker
+    assert.strictEqual(ran, false)
+  })
+})
+
+describe('TokenManager cancellation', () => {
+  it('times out a hung token request and lets the next call retry', async () => {
+    const manager = new TokenManager('id', 'secret', { fetch: hungTokenFetch(), timeout: 20 })
+    await assert.rejects(manager.getToken(), TimeoutError)
+    assert.strictEqual(await manager.getToken(), 'token-1')
+  })
+  it('cancels the token request once every waiting call has been aborted', async () => {
+    let aborted = false
+    const manager = new TokenManager('id', 'secret', { fetch: hungTokenFetch({ onAbort: () => { aborted = true } }) })
+    const controller = new AbortController()
+    const waiting = manager.getToken({ signal: controller.signal })
+    controller.abort(new Error('gave up'))
+    await assert.rejects(waiting, /gave up/)
+    assert.strictEqual(aborted, true)
+    assert.strictEqual(await manager.getToken(), 'token-1')
+  })
+})
+
+describe('WoWClient cancellation', () => {
+  const server = useMockServer()
+
+  it('recovers from a hung token endpoint with per call timeouts', async () => {
+    const fetch = hungTokenFetch({ fetch: nodeFetch })
+    const client = new WoWClient('id', 'secret', Object.assign({ fetch, retry: false }, server.mock.clientOptions))
+    await assert.rejects(client.item(1, { timeout: 50 }), TimeoutError)
+    assert.strictEqual((await client.item(2, { timeout: 1000 })).id, 2)
+  })
+  it('rejects an aborted call with an AbortError and a slow call with a TimeoutError', async () => {
+    const fetch = async (url, init = {}) => {
+      if (!url.includes('/oauth/token')) await delay(50)
+      return nodeFetch(url, init)
+    }
+    const client = new WoWClient('id', 'secret', Object.assign({ fetch, retry: false, strict: true }, server.mock.clientOptions))
+    const controller = new AbortController()
+    controller.abort()
+    await assert.rejects(client.item(1, { signal: controller.signal }), AbortError)
+    await assert.rejects(client.item(1, { timeout: 20 }), err => err instanceof TimeoutError && err.timeout == 20)
+    await assert.rejects(client.guildProfile('mock-realm', 'notfound', [], { timeout: 1000 }), NotFoundError)
+  })
+})
@@ -0,0 +1,104 @@
+const assert = require('assert')
+const { AchievementProgress, achievementProgress, compareProgress } = require('../lib/achievements')
+const { MissingParameterException } = require('../lib/errors')
+const { useMockServer, mockClient } = require('./helpers')
+
+const achievement = (id, factionId = 2, criteria = []) => ({ id, title: `Achievement ${id}`, points: 10, criteria, factionId })
+const catalogue = [{
+  id: 1,
+  name: 'General',
+  achievements: [
+    achievement(10),
+    achievement(11, 0, [{ id: 100, description: 'Eight of ten', max: 10 }]),
+    achievement(12, 1),
+    achievement(13, 2, [{ id: 101, description: 'Almost', max: 100 }, { id: 102, description: 'Not counted', max: 0 }])
+  ],
+  categories: [{ id: 2, name: 'Quests', achievements: [achievement(20)], categories: [] }]
+}]
+const data = {
+  achievementsCompleted: [10, 20],
+  achievementsCompletedTimestamp: [100, 200],
+  criteria: [100, 101],
+  criteriaQuantity: [8, 79]
+}
+
+describe('achievementProgress', () => {
+  it('joins the completed achievements and criteria with the catalogue', () => {
+    const report = achievementProgress(catalogue, data, { faction: 0 })
+    assert.strictEqual(report.completed, 2)
+    assert.strictEqual(report.total, 4)
+    assert.strictEqual(report.percentage, 50)
+    assert.deepStrictEqual(report.points, { earned: 20, available: 40 })
+    const [general] = report.categories
+    assert.deepStrictEqual(general.achievements.map(({ id, completed, completedAt, progress }) => [id, completed, completedAt, progress]), [
+      [10, true, 100, 1],
+      [11, false, undefined, 0.8],
+      [13, false, undefined, 0.79]
+    ])
+    assert.deepStrictEqual(general.categories.map(({ name, completed, total }) => [name, completed, total]), [['Quests', 1, 1]])
+    assert.deepStrictEqual(report.recent.map(({ id, categoryId }) => [id, categoryId]), [[20, 2], [10, 1]])
+  })
+  it('leaves out the achievements of the other faction only', () => {
+    assert.strictEqual(achievementProgress(catalogue, data, { faction: 1 }).total, 4)
+    assert.ok(!achievementProgress(catalogue, data, { faction: 1 }).categories[0].achievements.some(({ id }) => id == 11))
+    assert.strictEqual(achievementProgress(catalogue, data).total, 5)
+  })
+  it('lists the achievements reaching the nearly complete threshold', () => {
+    const { nearlyComplete } = achievementProgress(catalogue, data, { faction: 0 })
+    assert.deepStrictEqual(nearlyComplete.map(({ id }) => id), [11])
+    assert.deepStrictEqual(nearlyComplete[0].criteria, [{ id: 100, description: 'Eight of ten', quantity: 8, max: 10 }])
+    assert.deepStrictEqual(achievementProgress(catalogue, data, { faction: 0, threshold: 0.7 }).nearlyComplete.map(({ id }) => id), [11, 13])
+    assert.deepStrictEqual(achievementProgress(catalogue, data, { faction: 0, threshold: 0.9 }).nearlyComplete, [])
+  })
+  it('keeps the most recent achievements', () => {
+    assert.deepStrictEqual(achievementProgress(catalogue, data, { recent: 1 }).recent.map(({ id }) => id), [20])
+  })
+  it('requires the catalogue and the achievements', () => {
+    assert.throws(() => achievementProgress(undefined, data), MissingParameterException)
+    assert.throws(() => achievementProgress(catalogue), MissingParameterException)
+  })
+})
+
+describe('compareProgress', () => {
+  it('matches the categories by path and lists the achievements completed by one side', () => {
+    const first = achievementProgress(catalogue, data)
+    const otherCatalogue = [
+      { id: 91, name: 'General', achievements: [achievement(10)], categories: [{ id: 92, name: 'Quests', achievements: [achievement(20), achievement(21)], categories: [] }] },
+      { id: 93, name: 'Guild', achievements: [achievement(30)], categories: [] }
+    ]
+    const second = achievementProgress(otherCatalogue, { achievementsCompleted: [10, 21, 30], achievementsCompletedTimestamp: [1, 2, 3] })
+    const comparison = compareProgress(first, second)
+    assert.deepStrictEqual(comparison.first, { completed: 2, total: 5, percentage: 40, points: { earned: 20, available: 50 } })
+    assert.deepStrictEqual(comparison.categories.map(({ path, first, second }) => [path, first && first.completed, second && second.completed]), [
+      ['General', 2, 2],
+      ['General/Quests', 1, 1],
+      ['Guild', undefined, 1]
+    ])
+    assert.strictEqual(comparison.categories[1].second.total, 2)
+    assert.deepStrictEqual(comparison.onlyFirst.map(({ id }) => id), [20])
+    assert.deepStrictEqual(comparison.onlySecond.map(({ id }) => id), [21, 30])
+  })
+})
+
+describe('AchievementProgress', () => {
+  const server = useMockServer()
+
+  it('returns the guild catalogue from availableGuildAchievements and the guild profile from guildAchievements', async () => {
+    const client = mockClient(server.mock)
+    const catalogue = await client.availableGuildAchievements()
+    assert.deepStrictEqual(catalogue.map(({ name }) => name), ['General'])
+    assert.strictEqual(catalogue[0].achievements[0].id, 4912)
+    const profile = await client.guildAchievements('mock-realm', 'Mock Guild')
+    assert.deepStrictEqual(profile.achievements.achievementsCompleted, [4912])
+  })
+  it('reports the progress of a character and of a guild', async () => {
+    const progress = new AchievementProgress(mockClient(server.mock))
+    const character = await progress.character('mock-realm', 'Mock')
+    assert.strictEqual(character.name, 'mock')
+    assert.strictEqual(character.completed, 2)
+    assert.strictEqual(character.total, 3)
+    const guild = await progress.guild('mock-realm', 'Mock Guild')
+    assert.strictEqual(guild.percentage, 100)
+    assert.strictEqual(await progress.character('mock-realm', 'notfound'), undefined)
+  })
+})
@@ -0,0 +1,68 @@
+const assert = require('assert')
+const { streamAuctions, matchesFilter } = require('../lib/auction-stream')
+const { useMockServer, mockClient } = require('./helpers')
+
+const auctions = [
+  { auc: 1, item: 10, owner: 'Zoë', ownerRealm: 'Mock Realm', buyout: 100, quantity: 1 },
+  { auc: 2, item: 20, owner: 'Brace}{', ownerRealm: 'Mock [Realm]', buyout: 200, quantity: 2 },
+  { auc: 3, item: 10, owner: 'Quote"\\', ownerRealm: 'Mock Realm', buyout: 300, quantity: 3, bonusLists: [{ bonusListId: 1 }] }
+]
+const dump = JSON.stringify({ realms: [{ name: 'Mock Realm', slug: 'mock-realm', auctions: 'not these' }], auctions, trailer: { auctions: [] } })
+
+/**
+ * Read all the auctions of a stream.
+ * @param {AsyncIterable} stream
+ * @param {object} filter
+ */
+const collect = async (stream, filter) => {
+  const result = []
+  for await (const auction of streamAuctions(stream, filter)) result.push(auction)
+  return result
+}
+/**
+ * Cut a buffer into chunks of the given size.
+ * @param {Buffer} buffer
+ * @param {number} size
+ */
+async function* chunks(buffer, size) {
+  for (let i = 0; i < buffer.length; i += size) yield buffer.slice(i, i + size)
+}
+
+describe('streamAuctions', () => {
+  it('parses the auctions of a dump in one chunk', async () => {
+    assert.deepStrictEqual(await collect([dump]), auctions)
+  })
+  it('parses the auctions split across any chunk boundary', async () => {
+    const buffer = Buffer.from(dump)
+    for (const size of [1, 2, 3, 7, 64]) {
+      assert.deepStrictEqual(await collect(chunks(buffer, size)), auctions, `chunks of ${size} bytes`)
+    }
+  })
+  it('decodes multibyte characters split between chunks', async () => {
+    const buffer = Buffer.from(dump)
+    const cut = buffer.indexOf(Buffer.from('ë')) + 1
+    const [first] = await collect([buffer.slice(0, cut), buffer.slice(cut)])
+    assert.strictEqual(first.owner, 'Zoë')
+  })
+  it('yields only the auctions matching the filter', async () => {
+    assert.deepStrictEqual((await collect([dump], { items: [10] })).map(auction => auction.auc), [1, 3])
+    assert.deepStrictEqual((await collect([dump], { owner: 'Zoë' })).map(auction => auction.auc), [1])
+    assert.deepStrictEqual((await collect([dump], { ownerRealm: 'Mock [Realm]' })).map(auction => auction.auc), [2])
+  })
+  it('matches every criterion of the filter', () => {
+    assert.strictEqual(matchesFilter(auctions[0]), true)
+    assert.strictEqual(matchesFilter(auctions[0], { items: [10], owner: 'Zoë' }), true)
+    assert.strictEqual(matchesFilter(auctions[0], { items: [10], owner: 'Other' }), false)
+  })
+})
+
+describe('WoWClient auctionStream', () => {
+  const server = useMockServer()
+
+  it('streams the auctions of the mock dump', async () => {
+    const client = mockClient(server.mock)
+    const streamed = []
+    for await (const auction of client.auctionStream('mock-realm', { items: [152510] })) streamed.push(auction.auc)
+    assert.deepStrictEqual(streamed, [2, 3])
+  })
+})
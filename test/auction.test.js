@@ -0,0 +1,75 @@
+const assert = require('assert')
+const { AuctionHouse, diffSnapshots, itemStatistics } = require('../lib/auction')
+const { MissingParameterException } = require('../lib/errors')
+const { useMockServer, mockClient } = require('./helpers')
+
+const auction = (auc, extra = {}) => Object.assign({ auc, item: 1, bid: 90, buyout: 100, quantity: 1, timeLeft: 'LONG' }, extra)
+
+describe('diffSnapshots', () => {
+  it('reports the added, removed, repriced and likely sold auctions', () => {
+    const previous = { auctions: [auction(1), auction(2, { timeLeft: 'SHORT' }), auction(3), auction(4)] }
+    const current = { auctions: [auction(3, { buyout: 80 }), auction(4), auction(5)] }
+    const diff = diffSnapshots(previous, current)
+    assert.deepStrictEqual(diff.added.map(({ auc }) => auc), [5])
+    assert.deepStrictEqual(diff.removed.map(({ auc }) => auc), [1, 2])
+    assert.deepStrictEqual(diff.sold.map(({ auc }) => auc), [1])
+    assert.strictEqual(diff.priceChanged.length, 1)
+    assert.strictEqual(diff.priceChanged[0].previous.buyout, 100)
+    assert.strictEqual(diff.priceChanged[0].current.buyout, 80)
+  })
+  it('requires both snapshots', () => {
+    assert.throws(() => diffSnapshots(undefined, { auctions: [] }), MissingParameterException)
+    assert.throws(() => diffSnapshots({ auctions: [] }), MissingParameterException)
+  })
+})
+
+describe('itemStatistics', () => {
+  it('weights the median and market value by quantity', () => {
+    const statistics = itemStatistics([
+      auction(1, { buyout: 1000, quantity: 10 }),
+      auction(2, { buyout: 300, quantity: 1 }),
+      auction(3, { buyout: 1000, quantity: 2 }),
+      auction(4, { item: 2, buyout: 50, quantity: 1 })
+    ])
+    assert.deepStrictEqual(statistics.get(1), { item: 1, auctions: 3, quantity: 13, minBuyout: 100, medianBuyout: 100, marketValue: (1000 + 300 + 1000) / 13 })
+    assert.strictEqual(statistics.get(2).medianBuyout, 50)
+  })
+  it('counts auctions without buyout in the volume only', () => {
+    const statistics = itemStatistics([auction(1, { buyout: 0, quantity: 4 }), auction(2, { buyout: 0 })])
+    assert.deepStrictEqual(statistics.get(1), { item: 1, auctions: 2, quantity: 5, minBuyout: undefined, medianBuyout: undefined, marketValue: undefined })
+  })
+  it('requires the auctions', () => {
+    assert.throws(() => itemStatistics(), MissingParameterException)
+  })
+})
+
+describe('AuctionHouse', () => {
+  const server = useMockServer()
+
+  it('stores a snapshot only when the dump changed', async () => {
+    const house = new AuctionHouse(mockClient(server.mock), { maxSnapshots: 2 })
+    const snapshot = await house.update('mock-realm')
+    assert.strictEqual(snapshot.realm, 'mock-realm')
+    assert.strictEqual(snapshot.auctions.length, 3)
+    assert.strictEqual(await house.update('mock-realm'), null)
+    assert.strictEqual(house.snapshots('mock-realm').length, 1)
+    assert.strictEqual(house.diff('mock-realm'), undefined)
+  })
+  it('summarizes the prices of the newest snapshot', async () => {
+    const house = new AuctionHouse(mockClient(server.mock))
+    await house.update('mock-realm')
+    const statistics = house.statistics('mock-realm')
+    assert.deepStrictEqual(statistics.get(152510), { item: 152510, auctions: 2, quantity: 25, minBuyout: 1000, medianBuyout: 1000, marketValue: 1000 })
+    assert.strictEqual(statistics.get(152505).minBuyout, 1000000)
+    assert.strictEqual(house.statistics('other-realm'), undefined)
+  })
+  it('keeps the configured number of snapshots', async () => {
+    const house = new AuctionHouse(mockClient(server.mock), { maxSnapshots: 2 })
+    for (const lastModified of [1, 2, 3]) {
+      house._client.auctionFiles = async () => [{ url: `${server.mock.url}/auction-data/mock-realm/auctions.json`, lastModified }]
+      await house.update('mock-realm')
+    }
+    assert.deepStrictEqual(house.snapshots('mock-realm').map(({ lastModified }) => lastModified), [2, 3])
+    assert.deepStrictEqual(house.diff('mock-realm').added, [])
+  })
+})
@@ -0,0 +1,115 @@
+const assert = require('assert')
+const { MemoryCache, ResponseCache, DEFAULT_TTL } = require('../lib/cache')
+const { useMockServer, mockClient, delay } = require('./helpers')
+
+describe('MemoryCache', () => {
+  it('returns stored values until they expire', async () => {
+    const cache = new MemoryCache()
+    await cache.set('a', { value: 1 }, 0.02)
+    assert.deepStrictEqual(await cache.get('a'), { value: 1 })
+    await delay(30)
+    assert.strictEqual(await cache.get('a'), undefined)
+  })
+  it('evicts the least recently used entry', async () => {
+    const cache = new MemoryCache({ max: 2 })
+    await cache.set('a', 1, 60)
+    await cache.set('b', 2, 60)
+    await cache.get('a')
+    await cache.set('c', 3, 60)
+    assert.strictEqual(await cache.get('b'), undefined)
+    assert.strictEqual(await cache.get('a'), 1)
+    assert.strictEqual(await cache.get('c'), 3)
+  })
+  it('returns copies that callers can mutate', async () => {
+    const cache = new MemoryCache()
+    const value = { list: [1] }
+    await cache.set('a', value, 60)
+    value.list.push(2)
+    const first = await cache.get('a')
+    first.list.push(3)
+    assert.deepStrictEqual(await cache.get('a'), { list: [1] })
+  })
+  it('deletes and clears entries', async () => {
+    const cache = new MemoryCache()
+    await cache.set('a', 1, 60)
+    await cache.set('b', 2, 60)
+    await cache.delete('a')
+    assert.strictEqual(await cache.get('a'), undefined)
+    await cache.clear()
+    assert.strictEqual(await cache.get('b'), undefined)
+  })
+})
+
+describe('ResponseCache', () => {
+  it('builds keys independent of the field order', () => {
+    const cache = new ResponseCache()
+    assert.strictEqual(cache.key('us', 'en_US', 'character/a/b', ['pvp', 'items']), cache.key('us', 'en_US', 'character/a/b', ['items', 'pvp']))
+    assert.notStrictEqual(cache.key('us', 'en_US', 'item/1'), cache.key('eu', 'en_US', 'item/1'))
+    assert.notStrictEqual(cache.key('us', 'en_US', 'data/wow/x', null, 'static'), cache.key('us', 'en_US', 'data/wow/x', null, 'dynamic'))
+  })
+  it('applies the TTL of the endpoint family', () => {
+    const cache = new ResponseCache({ ttl: { character: 10 } })
+    assert.strictEqual(cache.ttl('character/a/b'), 10)
+    assert.strictEqual(cache.ttl('realm/status'), DEFAULT_TTL.realmStatus)
+    assert.strictEqual(cache.ttl('data/character/races'), DEFAULT_TTL.data)
+    assert.strictEqual(cache.ttl('item/1'), DEFAULT_TTL.default)
+    assert.strictEqual(cache.ttl('profile/wow/character/a/b', 'profile'), 10)
+    assert.strictEqual(cache.ttl('data/wow/connected-realm/1', 'dynamic'), DEFAULT_TTL.dynamic)
+  })
+  it('does not store families with a TTL of 0', async () => {
+    const cache = new ResponseCache({ ttl: { realmStatus: 0 } })
+    await cache.set('key', 'realm/status', { realms: [] })
+    assert.strictEqual(await cache.get('key'), undefined)
+  })
+})
+
+describe('WoWClient cache', () => {
+  const server = useMockServer()
+  const countRequests = client => {
+    const counter = { requests: 0 }
+    client.on('beforeRequest', () => counter.requests++)
+    return counter
+  }
+
+  it('answers repeated requests from the cache', async () => {
+    const client = mockClient(server.mock, { cache: true })
+    const counter = countRequests(client)
+    const first = await client.item(152505)
+    const second = await client.item(152505)
+    assert.deepStrictEqual(second, first)
+    assert.strictEqual(counter.requests, 1)
+  })
+  it('does not share mutations of a cached response', async () => {
+    const client = mockClient(server.mock, { cache: true })
+    const realms = await client.realmStatus()
+    const count = realms.length
+    realms.push({ slug: 'intruder' })
+    assert.strictEqual((await client.realmStatus()).length, count)
+  })
+  it('bypasses the cache with cache false and refreshes it with refresh true', async () => {
+    const client = mockClient(server.mock, { cache: true })
+    const counter = countRequests(client)
+    await client.item(1)
+    await client.item(1, { cache: false })
+    await client.item(1, { refresh: true })
+    await client.item(1)
+    assert.strictEqual(counter.requests, 3)
+  })
+  it('invalidates a single request and clears everything', async () => {
+    const client = mockClient(server.mock, { cache: true })
+    const counter = countRequests(client)
+    await client.item(1)
+    await client.invalidateCache('item/1')
+    await client.item(1)
+    await client.clearCache()
+    await client.item(1)
+    assert.strictEqual(counter.requests, 3)
+  })
+  it('does not cache not found resources', async () => {
+    const client = mockClient(server.mock, { cache: true })
+    const counter = countRequests(client)
+    assert.strictEqual(await client.characterProfile('mock-realm', 'notfound'), undefined)
+    assert.strictEqual(await client.characterProfile('mock-realm', 'notfound'), undefined)
+    assert.strictEqual(counter.requests, 2)
+  })
+})
@@ -0,0 +1,47 @@
+const assert = require('assert')
+const nodeFetch = require('node-fetch')
+const { NotFoundError, ValidationError } = require('../lib/errors')
+const { useMockServer, mockClient, delay } = require('./helpers')
+
+describe('WoWClient characterProfiles', () => {
+  const server = useMockServer()
+
+  it('reports each character apart, a missing one as a NotFoundError', async () => {
+    const client = mockClient(server.mock)
+    const results = await client.characterProfiles([
+      { realm: 'mock-realm', name: 'Mockone' },
+      { realm: 'mock-realm', name: 'notfound' },
+      { realm: 'mock-realm', name: 'Mocktwo' }
+    ], ['items', 'pvp'])
+    assert.deepStrictEqual(Array.from(results.keys()), ['mock-realm/Mockone', 'mock-realm/notfound', 'mock-realm/Mocktwo'])
+    const found = results.get('mock-realm/Mockone')
+    assert.strictEqual(found.ok, true)
+    assert.strictEqual(found.profile.name, 'mockone')
+    assert.ok(found.profile.items && found.profile.pvp)
+    const missing = results.get('mock-realm/notfound')
+    assert.strictEqual(missing.ok, false)
+    assert.ok(missing.error instanceof NotFoundError)
+    assert.strictEqual(missing.error.status, 404)
+    assert.strictEqual(results.get('mock-realm/Mocktwo').ok, true)
+  })
+  it('reports invalid fields in every result', async () => {
+    const results = await mockClient(server.mock).characterProfiles([{ realm: 'mock-realm', name: 'Mockone' }], ['gear'])
+    assert.ok(results.get('mock-realm/Mockone').error instanceof ValidationError)
+  })
+  it('limits the characters requested at the same time', async () => {
+    let running = 0
+    let peak = 0
+    const fetch = async (url, init) => {
+      if (!url.includes('/character/')) return nodeFetch(url, init)
+      peak = Math.max(peak, ++running)
+      await delay(5)
+      running--
+      return nodeFetch(url, init)
+    }
+    const client = mockClient(server.mock, { fetch })
+    const characters = Array.from({ length: 7 }, (value, i) => ({ realm: 'mock-realm', name: `Mock${i}` }))
+    const results = await client.characterProfiles(characters, null, { concurrency: 3 })
+    assert.strictEqual(results.size, 7)
+    assert.strictEqual(peak, 3)
+  })
+})
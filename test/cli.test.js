@@ -0,0 +1,44 @@
+const assert = require('assert')
+const path = require('path')
+const { execFile } = require('child_process')
+const { useMockServer } = require('./helpers')
+
+const CLI = path.join(__dirname, '..', 'bin', 'wow.js')
+
+describe('wow command', () => {
+  const server = useMockServer()
+
+  /**
+   * Run the command against the mock server.
+   * @param {Array<string>} args
+   * @returns {Promise<object>} { code, stdout, stderr }
+   */
+  const wow = args => new Promise(resolve => {
+    const env = Object.assign({}, process.env, {
+      WOW_CLIENT_ID: 'id',
+      WOW_CLIENT_SECRET: 'secret',
+      WOW_API_URL: server.mock.clientOptions.baseURL,
+      WOW_OAUTH_URL: server.mock.clientOptions.oauthURL
+    })
+    execFile(process.execPath, [CLI].concat(args), { env, cwd: __dirname, timeout: 10000 }, (err, stdout, stderr) => {
+      resolve({ code: err ? err.code : 0, stdout, stderr })
+    })
+  })
+
+  it('prints a character profile as JSON', async () => {
+    const { code, stdout } = await wow(['character', 'mock-realm', 'mock'])
+    assert.strictEqual(code, 0)
+    assert.strictEqual(JSON.parse(stdout).name, 'mock')
+  })
+  it('reports a missing character with a non-zero exit code', async () => {
+    const { code, stdout, stderr } = await wow(['character', 'mock-realm', 'notfound'])
+    assert.strictEqual(code, 1)
+    assert.strictEqual(stdout, '')
+    assert.ok(stderr.includes('NotFoundError'), stderr)
+  })
+  it('filters the auctions of a realm', async () => {
+    const { code, stdout } = await wow(['auction', 'mock-realm', '--item', '152510', '--format', 'ndjson'])
+    assert.strictEqual(code, 0)
+    assert.deepStrictEqual(stdout.trim().split('\n').map(line => JSON.parse(line).auc), [2, 3])
+  })
+})
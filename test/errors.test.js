@@ -0,0 +1,100 @@
+const assert = require('assert')
+const WoWClient = require('..')
+const {
+  BattleNetApiError,
+  NotFoundError,
+  UnauthorizedError,
+  RateLimitedError,
+  ServerError,
+  NetworkError,
+  MissingParameterException,
+  createResponseError,
+  redactURL,
+  redactError
+} = require('../lib/errors')
+const { useMockServer, mockClient, jsonResponse } = require('./helpers')
+
+const details = { path: 'item/1', region: 'us', url: 'http://api.test/wow/item/1?access_token=SECRET' }
+
+describe('errors', () => {
+  it('maps the response statuses to error classes', async () => {
+    const expected = [[404, NotFoundError], [401, UnauthorizedError], [403, UnauthorizedError], [429, RateLimitedError], [503, ServerError], [400, BattleNetApiError]]
+    for (const [status, ErrorClass] of expected) {
+      const error = await createResponseError(jsonResponse(status, { reason: 'Because' }), details)
+      assert.ok(error instanceof ErrorClass, `${status} is not a ${ErrorClass.name}`)
+      assert.strictEqual(error.status, status)
+      assert.strictEqual(error.reason, 'Because')
+      assert.strictEqual(error.path, 'item/1')
+      assert.strictEqual(error.region, 'us')
+    }
+  })
+  it('reads the reason of the Game Data API and the Retry-After header', async () => {
+    const error = await createResponseError(jsonResponse(429, { detail: 'Slow down' }, { 'Retry-After': '3' }), details)
+    assert.strictEqual(error.reason, 'Slow down')
+    assert.strictEqual(error.retryAfter, 3)
+  })
+  it('redacts the access token of the url', async () => {
+    const error = await createResponseError(jsonResponse(500, {}), details)
+    assert.strictEqual(error.url, 'http://api.test/wow/item/1?access_token=REDACTED')
+    assert.ok(!error.message.includes('SECRET'))
+  })
+  it('redacts the access token quoted in a message', () => {
+    assert.strictEqual(
+      redactURL('request to http://api.test/wow/item/1?locale=en_US&access_token=SECRET failed, reason: refused'),
+      'request to http://api.test/wow/item/1?locale=en_US&access_token=REDACTED failed, reason: refused'
+    )
+    const cause = Object.assign(new Error('request to http://x/?access_token=SECRET failed'), { name: 'FetchError', code: 'ECONNREFUSED' })
+    const copy = redactError(cause)
+    assert.strictEqual(copy.name, 'FetchError')
+    assert.strictEqual(copy.code, 'ECONNREFUSED')
+    assert.ok(!copy.message.includes('SECRET'))
+  })
+  it('describes a missing parameter', () => {
+    const error = new MissingParameterException('realm', 'string')
+    assert.ok(error instanceof BattleNetApiError)
+    assert.strictEqual(error.message, 'Missing parameter realm of type string.')
+  })
+})
+
+describe('WoWClient errors', () => {
+  const server = useMockServer()
+
+  it('resolves missing resources to undefined by default', async () => {
+    const client = mockClient(server.mock)
+    assert.strictEqual(await client.characterProfile('mock-realm', 'notfound'), undefined)
+    assert.strictEqual(await client.guildProfile('mock-realm', 'notfound'), undefined)
+  })
+  it('throws NotFoundError in strict mode', async () => {
+    const client = mockClient(server.mock, { strict: true })
+    await assert.rejects(client.characterProfile('mock-realm', 'notfound'), err => {
+      assert.ok(err instanceof NotFoundError)
+      assert.strictEqual(err.status, 404)
+      assert.strictEqual(err.path, 'character/mock-realm/notfound')
+      assert.ok(!err.url.includes('mock-access-token'))
+      return true
+    })
+  })
+  it('throws UnauthorizedError when a renewed token is refused again', async () => {
+    const fetch = async url => url.includes('/oauth/token')
+      ? jsonResponse(200, { access_token: 'refused', expires_in: 86399 })
+      : jsonResponse(401, { error: 'invalid_token' })
+    const client = new WoWClient('id', 'secret', { fetch, baseURL: 'http://api.test', oauthURL: 'http://oauth.test/oauth/token' })
+    await assert.rejects(client.item(1), UnauthorizedError)
+  })
+  it('does not leak the access token of a failed connection', async () => {
+    const client = mockClient(server.mock, { retry: false, baseURL: 'http://127.0.0.1:1' })
+    await assert.rejects(client.item(1), err => {
+      assert.ok(err instanceof NetworkError)
+      assert.ok(err.message.includes('access_token=REDACTED'), err.message)
+      for (const text of [err.message, err.url, err.cause.message, err.cause.stack]) {
+        assert.ok(!text.includes('mock-access-token'), text)
+      }
+      return true
+    })
+  })
+  it('throws MissingParameterException for missing arguments', async () => {
+    const client = mockClient(server.mock)
+    await assert.rejects(client.characterProfile('mock-realm'), MissingParameterException)
+    await assert.rejects(client.item(), MissingParameterException)
+  })
+})
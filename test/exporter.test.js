@@ -0,0 +1,106 @@
+const assert = require('assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { Exporter, references } = require('../lib/exporter')
+const { ValidationError } = require('../lib/errors')
+const { useMockServer, mockClient } = require('./helpers')
+
+/**
+ * Read the rows of a NDJSON file.
+ * @param {string} file
+ */
+const readRows = file => fs.readFileSync(file, 'utf8').split('\n').filter(line => line).map(line => JSON.parse(line))
+
+let sqliteAvailable = true
+try {
+  require('better-sqlite3')
+} catch (err) {
+  sqliteAvailable = false
+}
+
+describe('references', () => {
+  it('collects the ids of the detail resources of a value', () => {
+    const refs = references([{ itemId: 5656, spell: { id: 458 }, nested: { rewardItems: [{ id: 1 }, { id: 2 }], questId: 0 } }, { itemId: 5656 }])
+    assert.deepStrictEqual(Array.from(refs.items), [5656, 1, 2])
+    assert.deepStrictEqual(Array.from(refs.spells), [458])
+    assert.strictEqual(refs.quests, undefined)
+  })
+})
+
+describe('Exporter', () => {
+  const server = useMockServer()
+  let dir
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wow-export-'))
+  })
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true })
+  })
+
+  it('rejects unknown formats, lists and seed resources', () => {
+    assert.throws(() => new Exporter(mockClient(server.mock), { format: 'csv', lists: ['hats'], seeds: { hats: [1] } }), err => {
+      assert.ok(err instanceof ValidationError)
+      assert.strictEqual(err.problems.length, 3)
+      return true
+    })
+  })
+  it('writes the lists and the details they reference', async () => {
+    const output = path.join(dir, 'export')
+    const exporter = new Exporter(mockClient(server.mock), { output, lists: ['mounts'], seeds: { quests: [12345] } })
+    const events = []
+    exporter.on('progress', event => events.push(event.resource))
+    const { written, failures } = await exporter.run()
+    assert.deepStrictEqual(failures, [])
+    assert.deepStrictEqual(written, { mounts: 1, items: 1, spells: 1, quests: 1 })
+    assert.deepStrictEqual(events, ['mounts', 'items', 'spells', 'quests'])
+    assert.deepStrictEqual(readRows(path.join(output, 'mounts.ndjson')).map(({ id }) => id), [458])
+    assert.deepStrictEqual(readRows(path.join(output, 'items.ndjson')).map(({ id }) => id), [5656])
+    assert.ok(!fs.existsSync(`${output}.checkpoint.json`))
+  })
+  it('fetches the details referenced by a resource exported after them', async () => {
+    const output = path.join(dir, 'export')
+    const client = mockClient(server.mock)
+    const quest = client.quest
+    client.quest = async (id, options) => Object.assign(await quest.call(client, id, options), { rewardItems: [{ id: 152505 }] })
+    const { written, failures } = await new Exporter(client, { output, lists: [], seeds: { quests: [12345] } }).run()
+    assert.deepStrictEqual(failures, [])
+    assert.deepStrictEqual(written, { quests: 1, items: 1 })
+    assert.deepStrictEqual(readRows(path.join(output, 'items.ndjson')).map(({ id }) => id), [152505])
+    assert.ok(!fs.existsSync(`${output}.checkpoint.json`))
+  })
+  it('keeps the checkpoint after failures and retries only them', async () => {
+    const output = path.join(dir, 'export')
+    const client = mockClient(server.mock)
+    const spell = client.spell
+    client.spell = async () => {
+      throw new Error('unavailable')
+    }
+    const first = await new Exporter(client, { output, lists: ['mounts'] }).run()
+    assert.deepStrictEqual(first.failures.map(({ resource, id }) => [resource, id]), [['spells', 458]])
+    assert.ok(fs.existsSync(`${output}.checkpoint.json`))
+
+    client.spell = spell
+    const second = await new Exporter(client, { output, lists: ['mounts'] }).run()
+    assert.deepStrictEqual(second, { written: { spells: 1 }, failures: [] })
+    assert.deepStrictEqual(readRows(path.join(output, 'items.ndjson')).map(({ id }) => id), [5656])
+    assert.deepStrictEqual(readRows(path.join(output, 'spells.ndjson')).map(({ id }) => id), [458])
+    assert.ok(!fs.existsSync(`${output}.checkpoint.json`))
+  })
+  it('writes the rows to SQLite tables', async function () {
+    if (!sqliteAvailable) this.skip()
+    const Database = require('better-sqlite3')
+    const output = path.join(dir, 'export.sqlite')
+    await new Exporter(mockClient(server.mock), { format: 'sqlite', output, lists: ['mounts', 'classes'] }).run()
+    const db = new Database(output, { readonly: true })
+    try {
+      assert.deepStrictEqual(db.prepare('SELECT id FROM classes ORDER BY id').all(), [{ id: 1 }, { id: 2 }])
+      const { data } = db.prepare('SELECT data FROM items WHERE id = ?').get(5656)
+      assert.strictEqual(JSON.parse(data).id, 5656)
+      assert.strictEqual(db.prepare('SELECT COUNT(*) AS count FROM spells').get().count, 1)
+    } finally {
+      db.close()
+    }
+  })
+})
@@ -0,0 +1,50 @@
+const assert = require('assert')
+const WoWClient = require('..')
+const { useMockServer, mockClient, sequenceFetch } = require('./helpers')
+
+describe('WoWClient Game Data and Profile APIs', () => {
+  const server = useMockServer()
+  const requestedURLs = client => {
+    const urls = []
+    client.on('beforeRequest', ({ url }) => urls.push(new URL(url)))
+    return urls
+  }
+
+  it('requests the static namespace of the region without the /wow/ prefix', async () => {
+    const client = mockClient(server.mock, { region: 'eu' })
+    const urls = requestedURLs(client)
+    const classes = await client.playableClasses()
+    assert.deepStrictEqual(classes.map(({ name }) => name), ['Warrior', 'Paladin'])
+    assert.strictEqual(urls[0].pathname, '/data/wow/playable-class/index')
+    assert.strictEqual(urls[0].searchParams.get('namespace'), 'static-eu')
+  })
+  it('requests the dynamic namespace and keeps payloads with a status object', async () => {
+    const client = mockClient(server.mock)
+    const urls = requestedURLs(client)
+    const realm = await client.connectedRealm(11)
+    assert.deepStrictEqual(realm.status, { type: 'UP', name: 'Up' })
+    assert.strictEqual(urls[0].pathname, '/data/wow/connected-realm/11')
+    assert.strictEqual(urls[0].searchParams.get('namespace'), 'dynamic-us')
+  })
+  it('requests the profile namespace with the normalized realm and name', async () => {
+    const client = mockClient(server.mock)
+    const urls = requestedURLs(client)
+    const summary = await client.characterProfileSummary('Mock Realm', 'Mock')
+    assert.strictEqual(summary.name, 'mock')
+    assert.strictEqual(urls[0].pathname, '/profile/wow/character/mock-realm/mock')
+    assert.strictEqual(urls[0].searchParams.get('namespace'), 'profile-us')
+  })
+  it('keeps the /wow/ prefix and no namespace for the Community API', async () => {
+    const client = mockClient(server.mock)
+    const urls = requestedURLs(client)
+    await client.item(1)
+    assert.strictEqual(urls[0].pathname, '/wow/item/1')
+    assert.strictEqual(urls[0].searchParams.has('namespace'), false)
+  })
+  it('resolves a nok payload to undefined', async () => {
+    const fetch = sequenceFetch([{ status: 200, body: { status: 'nok', reason: 'Not available' } }])
+    const client = new WoWClient('id', 'secret', { fetch, baseURL: 'http://api.test', oauthURL: 'http://oauth.test/oauth/token' })
+    assert.strictEqual(await client.gameData('data/wow/keystone-affix/index'), undefined)
+    assert.ok(fetch.calls[0].url.includes('namespace=static-us'))
+  })
+})
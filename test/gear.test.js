@@ -0,0 +1,109 @@
+const assert = require('assert')
+const { GearAudit, gearReport } = require('../lib/gear')
+const { NotFoundError, MissingParameterException } = require('../lib/errors')
+const { useMockServer, mockClient } = require('./helpers')
+
+const equipped = (id, itemLevel, tooltipParams = {}) => ({ id, name: `Item ${id}`, itemLevel, tooltipParams })
+const profile = (name, averageItemLevelEquipped, items = {}) => ({
+  name,
+  realm: 'Mock Realm',
+  items: Object.assign({ averageItemLevel: averageItemLevelEquipped, averageItemLevelEquipped }, items),
+  audit: {}
+})
+
+/**
+ * Client stub of a guild whose members have the given profiles, a missing profile failing with a NotFoundError.
+ * @param {Array<object>} members As { name, rank, profile }
+ * @param {object} itemSets Item sets by item id
+ */
+const guildClient = (members, itemSets = {}) => ({
+  async guildMembers() {
+    return { members: members.map(({ name, rank }) => ({ character: { name, realm: 'Mock Realm' }, rank })) }
+  },
+  async characterProfiles(characters) {
+    return new Map(characters.map(({ realm, name }) => {
+      const { profile } = members.find(member => member.name == name)
+      const result = profile
+        ? { realm, name, ok: true, profile }
+        : { realm, name, ok: false, error: new NotFoundError(`Character ${name} not found on ${realm}`, { status: 404 }) }
+      return [`${realm}/${name}`, result]
+    }))
+  },
+  async item(id) {
+    return { id, itemSet: itemSets[id] ? { id: itemSets[id].id } : undefined }
+  },
+  async itemSet(id) {
+    return Object.values(itemSets).find(itemSet => itemSet.id == id)
+  }
+})
+
+describe('gearReport', () => {
+  it('maps the audit inventory indexes to slot names', () => {
+    const report = gearReport({
+      name: 'Mock',
+      items: { head: equipped(1, 340), chest: equipped(2, 330, { gem0: 154126, gem1: 154127, enchant: 5942 }) },
+      audit: { unenchantedItems: { 0: 1, 14: 1 }, itemsWithEmptySockets: { 15: 1, 99: 1 }, emptySockets: 2 }
+    })
+    assert.deepStrictEqual(report.missingEnchants, ['head', 'back'])
+    assert.deepStrictEqual(report.emptySockets, ['mainHand', '99'])
+    assert.strictEqual(report.emptySocketCount, 2)
+    assert.deepStrictEqual(report.slots.map(({ slot }) => slot), ['head', 'chest'])
+    assert.deepStrictEqual(report.slots[1].gems, [154126, 154127])
+    assert.strictEqual(report.slots[1].enchant, 5942)
+  })
+  it('requires a profile', () => {
+    assert.throws(() => gearReport(), MissingParameterException)
+  })
+})
+
+describe('GearAudit', () => {
+  it('activates the set bonuses reaching their threshold', async () => {
+    const itemSet = { id: 7, name: 'Mock Battlegear', items: [1, 2, 3, 4], setBonuses: [{ description: 'Two', threshold: 2 }, { description: 'Four', threshold: 4 }] }
+    const audit = new GearAudit(guildClient([], { 1: itemSet, 2: itemSet }))
+    const report = await audit.report(profile('Mock', 340, {
+      head: equipped(1, 340, { set: [1, 2] }),
+      shoulder: equipped(2, 340, { set: [1, 2] }),
+      chest: equipped(5, 340)
+    }))
+    assert.deepStrictEqual(report.setBonuses, [{
+      id: 7,
+      name: 'Mock Battlegear',
+      equipped: 2,
+      bonuses: [{ description: 'Two', threshold: 2, active: true }, { description: 'Four', threshold: 4, active: false }]
+    }])
+  })
+  it('ranks the guild members and lists the failures', async () => {
+    const audit = new GearAudit(guildClient([
+      { name: 'Low', rank: 2, profile: profile('Low', 320) },
+      { name: 'Missing', rank: 3 },
+      { name: 'High', rank: 1, profile: profile('High', 350) },
+      { name: 'Middle', rank: 0, profile: profile('Middle', 335) }
+    ]))
+    const { minItemLevel, members, failures } = await audit.roster('mock-realm', 'Mock Guild', { minItemLevel: 335 })
+    assert.strictEqual(minItemLevel, 335)
+    assert.deepStrictEqual(members.map(({ name, guildRank, meetsMinimum }) => [name, guildRank, meetsMinimum]), [
+      ['High', 1, true],
+      ['Middle', 0, true],
+      ['Low', 2, false]
+    ])
+    assert.deepStrictEqual(failures.map(({ name }) => name), ['Missing'])
+    assert.ok(failures[0].error instanceof NotFoundError)
+  })
+
+  describe('with the mock server', () => {
+    const server = useMockServer()
+
+    it('reports a character with its set bonuses', async () => {
+      const report = await new GearAudit(mockClient(server.mock)).character('mock-realm', 'Mock')
+      assert.strictEqual(report.averageItemLevelEquipped, 338)
+      assert.deepStrictEqual(report.missingEnchants, ['mainHand'])
+      assert.deepStrictEqual(report.emptySockets, ['shoulder'])
+      assert.deepStrictEqual(report.setBonuses.map(({ name, equipped, bonuses }) => [name, equipped, bonuses[0].active]), [['Mock Battlegear', 2, true]])
+    })
+    it('resolves a missing character or guild to undefined', async () => {
+      const audit = new GearAudit(mockClient(server.mock))
+      assert.strictEqual(await audit.character('mock-realm', 'notfound'), undefined)
+      assert.strictEqual(await audit.roster('mock-realm', 'notfound'), undefined)
+    })
+  })
+})
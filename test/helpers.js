@@ -0,0 +1,65 @@
+/**
+ * Shared helpers of the test suite: a mock server per test file and fetch stubs.
+ */
+const fetch = require('node-fetch')
+const WoWClient = require('..')
+
+/**
+ * Start the mock server before the tests of the calling describe block and stop it after them.
+ * @returns {object} Holder whose mock property is the running server, see startMockServer
+ */
+const useMockServer = () => {
+  const holder = {}
+  before(async () => {
+    holder.mock = await WoWClient.startMockServer()
+  })
+  after(async () => {
+    await holder.mock.close()
+  })
+  return holder
+}
+/**
+ * Create a client of the mock server, without retry delays unless given.
+ * @param {object} mock The running mock server
+ * @param {object} options Client options
+ */
+const mockClient = (mock, options = {}) => new WoWClient('id', 'secret', Object.assign({ retry: { baseDelay: 1, jitter: 0 } }, mock.clientOptions, options))
+/**
+ * Build a JSON response.
+ * @param {number} status
+ * @param {*} body
+ * @param {object} headers
+ */
+const jsonResponse = (status, body, headers = {}) => new fetch.Response(JSON.stringify(body), {
+  status,
+  headers: Object.assign({ 'Content-Type': 'application/json;charset=UTF-8' }, headers)
+})
+/**
+ * Build a fetch implementation answering each request with the next response of the list,
+ * the last one being repeated. Token requests are answered apart. Sent requests are recorded in calls.
+ * @param {Array<Function|object>} responses Responses as { status, body, headers }, or functions building them from the URL
+ */
+const sequenceFetch = responses => {
+  const calls = []
+  const tokens = []
+  let index = 0
+  const stub = async (url, init = {}) => {
+    if (String(url).includes('/oauth/token')) {
+      tokens.push({ url, init })
+      return jsonResponse(200, { access_token: `token-${tokens.length}`, token_type: 'bearer', expires_in: 86399 })
+    }
+    calls.push({ url, init })
+    const response = responses[Math.min(index++, responses.length - 1)]
+    return typeof response == 'function' ? response(url, init) : jsonResponse(response.status, response.body, response.headers)
+  }
+  stub.calls = calls
+  stub.tokens = tokens
+  return stub
+}
+/**
+ * Resolve after the given milliseconds.
+ * @param {number} ms
+ */
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms))
+
+module.exports = { useMockServer, mockClient, jsonResponse, sequenceFetch, delay }
@@ -0,0 +1,158 @@
+const assert = require('assert')
+const EventEmitter = require('events')
+const nodeFetch = require('node-fetch')
+const WoWClient = require('..')
+const { MetricsCollector, endpointName } = require('../lib/metrics')
+const { TokenManager } = require('../lib/token-manager')
+const { NotFoundError } = require('../lib/errors')
+const { useMockServer, mockClient, sequenceFetch, delay } = require('./helpers')
+
+describe('endpointName', () => {
+  it('replaces the variable segments of a path', () => {
+    assert.strictEqual(endpointName('character/kazzak/name'), 'character/:realm/:name')
+    assert.strictEqual(endpointName('guild/kazzak/Mock Guild'), 'guild/:realm/:name')
+    assert.strictEqual(endpointName('item/152505'), 'item/:id')
+    assert.strictEqual(endpointName('auction/data/kazzak'), 'auction/data/:realm')
+    assert.strictEqual(endpointName('profile/wow/character/kazzak/name/equipment'), 'profile/wow/character/:realm/:name/equipment')
+    assert.strictEqual(endpointName('data/wow/connected-realm/11/mythic-leaderboard/244/period/641'), 'data/wow/connected-realm/:id/mythic-leaderboard/:id/period/:id')
+    assert.strictEqual(endpointName('data/character/races'), 'data/character/races')
+  })
+})
+
+describe('MetricsCollector', () => {
+  it('formats the samples in the Prometheus text format', () => {
+    const client = new EventEmitter()
+    const collector = new MetricsCollector({ prefix: 'test', buckets: [1, 0.1] }).attach(client)
+    client.emit('afterResponse', { endpoint: 'item/:id', status: 200, duration: 50, nok: false })
+    client.emit('afterResponse', { endpoint: 'item/:id', status: 200, duration: 500, nok: true })
+    client.emit('error', { endpoint: 'guild/:realm/:name', error: new NotFoundError('missing') })
+    client.emit('tokenRefreshed', { region: 'eu' })
+    assert.strictEqual(collector.prometheus(), [
+      '# HELP test_responses_total Responses received from the Battle.Net API by endpoint and HTTP status.',
+      '# TYPE test_responses_total counter',
+      'test_responses_total{endpoint="item/:id",status="200"} 2',
+      '# HELP test_status_payloads_total Successful responses carrying a nok status payload by endpoint.',
+      '# TYPE test_status_payloads_total counter',
+      'test_status_payloads_total{endpoint="item/:id"} 1',
+      '# HELP test_errors_total Failed request attempts by endpoint and error class.',
+      '# TYPE test_errors_total counter',
+      'test_errors_total{endpoint="guild/:realm/:name",error="NotFoundError"} 1',
+      '# HELP test_token_refreshes_total Access tokens generated by region.',
+      '# TYPE test_token_refreshes_total counter',
+      'test_token_refreshes_total{region="eu"} 1',
+      '# HELP test_request_duration_seconds Latency of the responses by endpoint.',
+      '# TYPE test_request_duration_seconds histogram',
+      'test_request_duration_seconds_bucket{endpoint="item/:id",le="0.1"} 1',
+      'test_request_duration_seconds_bucket{endpoint="item/:id",le="1"} 2',
+      'test_request_duration_seconds_bucket{endpoint="item/:id",le="+Inf"} 2',
+      'test_request_duration_seconds_sum{endpoint="item/:id"} 0.55',
+      'test_request_duration_seconds_count{endpoint="item/:id"} 2',
+      ''
+    ].join('\n'))
+    collector.reset()
+    assert.ok(!collector.prometheus().includes('item/:id'))
+  })
+  it('escapes the label values', () => {
+    const client = new EventEmitter()
+    const collector = new MetricsCollector().attach(client)
+    client.emit('error', { endpoint: 'guild/"quoted"\\name\n', error: new Error('failed') })
+    assert.ok(collector.prometheus().includes('wow_api_errors_total{endpoint="guild/\\"quoted\\"\\\\name\\n",error="Error"} 1'))
+  })
+})
+
+describe('WoWClient events', () => {
+  const server = useMockServer()
+  const record = (client, names = ['beforeRequest', 'afterResponse', 'error']) => {
+    const events = []
+    names.forEach(name => client.on(name, event => events.push(Object.assign({ name }, event))))
+    return events
+  }
+
+  it('describes each request attempt without the access token', async () => {
+    const fetch = async (url, init) => {
+      if (!url.includes('/oauth/token')) await delay(20)
+      return nodeFetch(url, init)
+    }
+    const client = mockClient(server.mock, { fetch })
+    const events = record(client)
+    await client.characterProfile('mock-realm', 'Mock', ['items'])
+    assert.deepStrictEqual(events.map(({ name }) => name), ['beforeRequest', 'afterResponse'])
+    const [before, after] = events
+    assert.deepStrictEqual(Object.keys(before).sort(), ['endpoint', 'name', 'namespace', 'path', 'region', 'url'])
+    assert.strictEqual(before.path, 'character/mock-realm/mock')
+    assert.strictEqual(before.endpoint, 'character/:realm/:name')
+    assert.strictEqual(before.region, 'us')
+    assert.strictEqual(before.url, `${server.mock.url}/wow/character/mock-realm/mock?fields=items&locale=en_US&access_token=REDACTED`)
+    assert.strictEqual(after.url, before.url)
+    assert.strictEqual(after.status, 200)
+    assert.strictEqual(after.nok, false)
+    assert.ok(after.duration >= 19 && after.duration < 5000, `${after.duration}ms`)
+  })
+  it('emits the status of a failed attempt and its error', async () => {
+    const client = mockClient(server.mock, { strict: true })
+    const events = record(client)
+    await assert.rejects(client.guildProfile('mock-realm', 'notfound'), NotFoundError)
+    assert.deepStrictEqual(events.map(({ name, status }) => [name, status]), [['beforeRequest', undefined], ['afterResponse', 404], ['error', 404]])
+    assert.ok(events[2].error instanceof NotFoundError)
+    assert.strictEqual(events[2].endpoint, 'guild/:realm/:name')
+    assert.ok(!events[2].url.includes('mock-access-token'))
+  })
+  it('flags nok status payloads', async () => {
+    const fetch = sequenceFetch([{ status: 200, body: { status: 'nok', reason: 'Unavailable' } }])
+    const client = new WoWClient('id', 'secret', { fetch, baseURL: 'http://api.test', oauthURL: 'http://oauth.test/oauth/token' })
+    const events = record(client, ['afterResponse'])
+    assert.strictEqual(await client.item(1), undefined)
+    assert.deepStrictEqual(events.map(({ status, nok }) => [status, nok]), [[200, true]])
+  })
+  it('describes the auction file downloads', async () => {
+    const client = mockClient(server.mock)
+    const events = record(client, ['afterResponse'])
+    await client.auction('mock-realm')
+    assert.deepStrictEqual(events.map(({ endpoint, status }) => [endpoint, status]), [['auction/data/:realm', 200], ['download', 200]])
+    assert.strictEqual(events[1].url, `${server.mock.url}/auction-data/mock-realm/auctions.json`)
+  })
+  it('collects the metrics of the client', async () => {
+    const client = mockClient(server.mock, { metrics: true })
+    await client.item(1)
+    await client.item(2)
+    await client.characterProfile('mock-realm', 'notfound')
+    const metrics = client.metrics()
+    assert.ok(metrics.includes('wow_api_responses_total{endpoint="item/:id",status="200"} 2'), metrics)
+    assert.ok(metrics.includes('wow_api_responses_total{endpoint="character/:realm/:name",status="404"} 1'), metrics)
+    assert.ok(metrics.includes('wow_api_token_refreshes_total{region="us"} 1'), metrics)
+    assert.ok(metrics.includes('wow_api_request_duration_seconds_count{endpoint="item/:id"} 2'), metrics)
+    assert.strictEqual(mockClient(server.mock).metrics(), undefined)
+  })
+})
+
+describe('tokenRefreshed', () => {
+  const server = useMockServer()
+
+  it('is emitted by the manager and the call generating the token', async () => {
+    const fetch = sequenceFetch([])
+    const manager = new TokenManager('id', 'secret', { fetch })
+    const events = []
+    const refreshes = []
+    manager.on('tokenRefreshed', event => events.push(event))
+    await Promise.all([
+      manager.getToken({ onRefresh: event => refreshes.push(['first', event]) }),
+      manager.getToken({ onRefresh: event => refreshes.push(['second', event]) })
+    ])
+    assert.strictEqual(events.length, 1)
+    assert.strictEqual(events[0].region, 'us')
+    assert.strictEqual(events[0].expiresIn, 86399)
+    assert.deepStrictEqual(refreshes.map(([name]) => name), ['first'])
+  })
+  it('is reported once for a token shared by several clients', async () => {
+    const tokenManager = new TokenManager('id', 'secret', { url: server.mock.clientOptions.oauthURL })
+    const options = { baseURL: server.mock.url, tokenManager }
+    const english = new WoWClient('id', 'secret', Object.assign({ locale: 'en_US' }, options))
+    const german = new WoWClient('id', 'secret', Object.assign({ locale: 'de_DE' }, options))
+    let refreshes = 0
+    english.on('tokenRefreshed', () => refreshes++)
+    german.on('tokenRefreshed', () => refreshes++)
+    await Promise.all([english.item(1), german.item(1)])
+    assert.strictEqual(refreshes, 1)
+    assert.strictEqual(tokenManager.listenerCount('tokenRefreshed'), 0)
+  })
+})
@@ -0,0 +1,171 @@
+const assert = require('assert')
+const { PetTeamPlanner, scorePet, typeModifier } = require('../lib/pets')
+const { MemoryCache } = require('../lib/cache')
+const { MissingParameterException } = require('../lib/errors')
+
+const HUMANOID = 1
+const DRAGONKIN = 2
+const UNDEAD = 4
+const MAGIC = 6
+const BEAST = 8
+const types = [
+  { id: HUMANOID, name: 'Humanoid', strongAgainstId: DRAGONKIN, weakAgainstId: BEAST },
+  { id: DRAGONKIN, name: 'Dragonkin', strongAgainstId: MAGIC, weakAgainstId: UNDEAD },
+  { id: UNDEAD, name: 'Undead', strongAgainstId: HUMANOID, weakAgainstId: DRAGONKIN },
+  { id: MAGIC, name: 'Magic', strongAgainstId: 3, weakAgainstId: DRAGONKIN },
+  { id: BEAST, name: 'Beast', strongAgainstId: UNDEAD, weakAgainstId: HUMANOID }
+]
+const abilities = [
+  { id: 1, name: 'Breath', petTypeId: DRAGONKIN },
+  { id: 2, name: 'Bite', petTypeId: BEAST },
+  { id: 3, name: 'Punch', petTypeId: HUMANOID },
+  { id: 4, name: 'Scales', petTypeId: DRAGONKIN, isPassive: true },
+  { id: 5, name: 'Arcane Blast', petTypeId: MAGIC }
+]
+const species = [
+  { speciesId: 100, name: 'Whelp', petTypeId: DRAGONKIN, abilities: [{ id: 1, slot: 0, requiredLevel: 1 }, { id: 4, slot: 1, requiredLevel: 1 }] },
+  { speciesId: 101, name: 'Rat', petTypeId: BEAST, abilities: [{ id: 2, slot: 0, requiredLevel: 1 }] },
+  { speciesId: 102, name: 'Squire', petTypeId: HUMANOID, abilities: [{ id: 3, slot: 0, requiredLevel: 1 }] },
+  { speciesId: 200, name: 'Arcane Eye', petTypeId: MAGIC, abilities: [{ id: 5, slot: 0, requiredLevel: 1 }] }
+]
+const collected = [
+  { name: 'Rat', battlePetGuid: 'rat', canBattle: true, stats: { speciesId: 101, level: 25 } },
+  { name: 'Young Whelp', battlePetGuid: 'whelp-2', canBattle: true, stats: { speciesId: 100, level: 20 } },
+  { name: 'Squire', battlePetGuid: 'squire', canBattle: true, stats: { speciesId: 102, level: 20 } },
+  { name: 'Whelp', battlePetGuid: 'whelp-1', canBattle: true, stats: { speciesId: 100, level: 25 } },
+  { name: 'Caged', battlePetGuid: 'caged', canBattle: false, stats: { speciesId: 101, level: 25 } },
+  { name: 'Unknown', battlePetGuid: 'unknown', canBattle: true, stats: { speciesId: 999, level: 25 } }
+]
+
+/**
+ * Client stub serving the pet data above and recording its requests.
+ */
+const petClient = () => {
+  const client = {
+    requests: [],
+    async characterPets(realm, name) {
+      return name == 'notfound' ? undefined : { name, realm: 'Mock Realm', pets: { collected } }
+    },
+    async petTypes() {
+      client.requests.push('types')
+      return types
+    },
+    async petSpecies(id) {
+      client.requests.push(`species/${id}`)
+      return species.find(({ speciesId }) => speciesId == id)
+    },
+    async petAbility(id) {
+      client.requests.push(`ability/${id}`)
+      return abilities.find(ability => ability.id == id)
+    }
+  }
+  return client
+}
+
+describe('typeModifier', () => {
+  it('gives the damage modifier of an ability type against a family', () => {
+    assert.strictEqual(typeModifier(HUMANOID, DRAGONKIN, types), 1.5)
+    assert.strictEqual(typeModifier(HUMANOID, BEAST, types), 2 / 3)
+    assert.strictEqual(typeModifier(HUMANOID, UNDEAD, types), 1)
+    assert.strictEqual(typeModifier(99, DRAGONKIN, types), 1)
+  })
+})
+
+describe('scorePet', () => {
+  const ability = (id, slot, petTypeId, requiredLevel = 1, isPassive = false) => ({ id, name: `Ability ${id}`, slot, petTypeId, requiredLevel, isPassive })
+
+  it('selects the best active ability of each slot unlocked at the pet level', () => {
+    const pet = {
+      level: 10,
+      family: BEAST,
+      abilities: [
+        ability(1, 0, HUMANOID),
+        ability(2, 0, DRAGONKIN),
+        ability(3, 1, UNDEAD, 10),
+        ability(4, 1, DRAGONKIN, 20),
+        ability(5, 2, DRAGONKIN, 1, true)
+      ]
+    }
+    const opponent = { family: MAGIC, abilities: [ability(6, 0, HUMANOID), ability(7, 1, BEAST, 1, true)] }
+    const result = scorePet(pet, opponent, types)
+    assert.deepStrictEqual(result.abilities, [
+      { slot: 0, id: 2, name: 'Ability 2', type: 'Dragonkin', modifier: 1.5 },
+      { slot: 1, id: 3, name: 'Ability 3', type: 'Undead', modifier: 1 }
+    ])
+    assert.strictEqual(result.offense, 1.5)
+    assert.strictEqual(result.defense, 1.5)
+    assert.strictEqual(result.score, 0.9)
+    assert.deepStrictEqual(result.reasons, [
+      'Ability 2 (Dragonkin) deals 50% more damage to Magic',
+      'Takes 33% less damage from Ability 6 (Humanoid)',
+      'Level 10 of 25'
+    ])
+  })
+  it('keeps a neutral defense against an opponent without active abilities', () => {
+    const pet = { level: 25, family: BEAST, abilities: [ability(1, 0, DRAGONKIN)] }
+    const result = scorePet(pet, { family: MAGIC, abilities: [ability(2, 0, HUMANOID, 1, true)] }, types)
+    assert.strictEqual(result.defense, 1)
+    assert.strictEqual(result.score, 1.5)
+    assert.strictEqual(scorePet(pet, { family: MAGIC, abilities: [] }, types).defense, 1)
+  })
+  it('requires the pet, the opponent and the types', () => {
+    assert.throws(() => scorePet(undefined, {}, types), MissingParameterException)
+    assert.throws(() => scorePet({}, undefined, types), MissingParameterException)
+    assert.throws(() => scorePet({}, {}), MissingParameterException)
+  })
+})
+
+describe('PetTeamPlanner', () => {
+  it('picks the best pets of distinct species', async () => {
+    const plan = await new PetTeamPlanner(petClient()).team(collected, 200)
+    assert.deepStrictEqual(plan.opponent, {
+      speciesId: 200,
+      name: 'Arcane Eye',
+      family: 'Magic',
+      abilities: [{ id: 5, name: 'Arcane Blast', type: 'Magic', isPassive: undefined }]
+    })
+    assert.deepStrictEqual(plan.candidates.map(({ battlePetGuid, score }) => [battlePetGuid, score]), [
+      ['whelp-1', 2.25],
+      ['whelp-2', 1.8],
+      ['rat', 1],
+      ['squire', 0.8]
+    ])
+    assert.deepStrictEqual(plan.team.map(({ battlePetGuid }) => battlePetGuid), ['whelp-1', 'rat', 'squire'])
+    assert.strictEqual(plan.team[0].family, 'Dragonkin')
+    assert.deepStrictEqual(plan.team[0].abilities, [{ slot: 0, id: 1, name: 'Breath', type: 'Dragonkin', modifier: 1.5 }])
+  })
+  it('picks pets of the same species when distinctSpecies is false', async () => {
+    const plan = await new PetTeamPlanner(petClient()).team(collected, 200, { distinctSpecies: false })
+    assert.deepStrictEqual(plan.team.map(({ battlePetGuid }) => battlePetGuid), ['whelp-1', 'whelp-2', 'rat'])
+  })
+  it('plans the team of a character and resolves missing ones to undefined', async () => {
+    const planner = new PetTeamPlanner(petClient())
+    const plan = await planner.character('mock-realm', 'Mock', 200)
+    assert.strictEqual(plan.name, 'Mock')
+    assert.strictEqual(plan.realm, 'Mock Realm')
+    assert.strictEqual(plan.team.length, 3)
+    assert.strictEqual(await planner.character('mock-realm', 'notfound', 200), undefined)
+    assert.strictEqual(await planner.team(collected, 999), undefined)
+  })
+  it('shares the species and abilities between plans and keeps them in the store', async () => {
+    const client = petClient()
+    const store = new MemoryCache()
+    const planner = new PetTeamPlanner(client, { store })
+    await planner.team(collected, 200)
+    await planner.team(collected, 200)
+    const lookups = client.requests.filter(request => request != 'types').sort()
+    assert.deepStrictEqual(lookups, ['ability/1', 'ability/2', 'ability/3', 'ability/4', 'ability/5', 'species/100', 'species/101', 'species/102', 'species/200', 'species/999'])
+    assert.deepStrictEqual(await store.get('pets:species:100'), species[0])
+    assert.strictEqual(await store.get('pets:species:999'), undefined)
+
+    const cached = petClient()
+    const plan = await new PetTeamPlanner(cached, { store }).team(collected, 200)
+    assert.deepStrictEqual(cached.requests, ['types', 'species/999'])
+    assert.strictEqual(plan.team.length, 3)
+  })
+  it('requires a client, the pets and the opponent species', async () => {
+    assert.throws(() => new PetTeamPlanner(), MissingParameterException)
+    await assert.rejects(new PetTeamPlanner(petClient()).team(undefined, 200), MissingParameterException)
+    await assert.rejects(new PetTeamPlanner(petClient()).team(collected), MissingParameterException)
+  })
+})
@@ -0,0 +1,98 @@
+const assert = require('assert')
+const { RealmWatcher, realmChanges } = require('../lib/realm-watcher')
+const { useMockServer, mockClient, delay } = require('./helpers')
+
+const realm = (slug, extra = {}) => Object.assign({ slug, status: true, queue: false, population: 'medium', battlegroup: 'Mock Battlegroup' }, extra)
+
+/**
+ * Client stub answering each realmStatus call with the next state, an Error being thrown.
+ * @param {Array<Array<object>|Error>} states
+ */
+const statusClient = states => ({
+  calls: 0,
+  async realmStatus() {
+    const state = states[Math.min(this.calls++, states.length - 1)]
+    if (state instanceof Error) throw state
+    return state
+  }
+})
+
+describe('realmChanges', () => {
+  it('lists every change of a realm', () => {
+    const names = realmChanges(realm('a'), realm('a', { status: false, queue: true, population: 'high', battlegroup: 'Other' })).map(([name]) => name)
+    assert.deepStrictEqual(names, ['realmDown', 'queueStarted', 'populationChanged', 'battlegroupChanged'])
+    const [[name, payload]] = realmChanges(realm('a', { status: false }), realm('a'))
+    assert.strictEqual(name, 'realmUp')
+    assert.strictEqual(payload.slug, 'a')
+    assert.deepStrictEqual(realmChanges(realm('a'), realm('a')), [])
+  })
+})
+
+describe('RealmWatcher', () => {
+  it('emits the changes of the watched realms after the first poll', async () => {
+    const client = statusClient([
+      [realm('a'), realm('b')],
+      [realm('a', { status: false }), realm('b', { status: false })],
+      [realm('a'), realm('b')]
+    ])
+    const watcher = new RealmWatcher(client, { slugs: ['a'] })
+    const events = []
+    watcher.on('realmDown', ({ slug }) => events.push(`down ${slug}`))
+    watcher.on('realmUp', ({ slug }) => events.push(`up ${slug}`))
+    for (let i = 0; i < 3; i++) await watcher.poll()
+    assert.deepStrictEqual(events, ['down a', 'up a'])
+    assert.deepStrictEqual(Array.from(watcher.realms().keys()), ['a'])
+  })
+  it('drops a poll that completes after stop', async () => {
+    const client = statusClient([[realm('a')]])
+    const watcher = new RealmWatcher(client)
+    const polling = watcher.poll()
+    watcher.stop()
+    await polling
+    assert.strictEqual(watcher.realms().size, 0)
+    await watcher.poll()
+    assert.strictEqual(watcher.realms().size, 1)
+  })
+  it('keeps polling after a failure without an error listener', async () => {
+    const client = statusClient([new Error('down'), [realm('a')]])
+    const watcher = new RealmWatcher(client, { interval: 5 }).start()
+    await delay(40)
+    watcher.stop()
+    assert.ok(client.calls >= 2)
+    assert.ok(watcher.realms().has('a'))
+  })
+  it('emits polling failures to the error listener', async () => {
+    const watcher = new RealmWatcher(statusClient([new Error('down')]), { interval: 1000 })
+    const errors = []
+    watcher.on('error', err => errors.push(err.message))
+    watcher.start()
+    await delay(10)
+    watcher.stop()
+    assert.deepStrictEqual(errors, ['down'])
+  })
+  it('runs a single polling chain after a restart during a poll', async () => {
+    const client = statusClient([[realm('a')]])
+    const realmStatus = client.realmStatus
+    client.realmStatus = async function () {
+      await delay(10)
+      return realmStatus.call(this)
+    }
+    const watcher = new RealmWatcher(client, { interval: 50 }).start()
+    await delay(5)
+    watcher.stop().start()
+    await delay(100)
+    watcher.stop()
+    // polls of the first start, of the restart and 50 ms after it, the chain of the first start would add one
+    assert.strictEqual(client.calls, 3)
+  })
+
+  describe('with the mock server', () => {
+    const server = useMockServer()
+
+    it('records the realm states of the first poll', async () => {
+      const watcher = new RealmWatcher(mockClient(server.mock), { locale: 'en_US' })
+      await watcher.poll()
+      assert.strictEqual(watcher.realms().get('mock-realm-down').status, false)
+    })
+  })
+})
@@ -0,0 +1,49 @@
+const assert = require('assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const WoWClient = require('..')
+const { recordFetch, replayFetch, readFixture, fixtureName } = require('../lib/recorder')
+const { NotFoundError } = require('../lib/errors')
+const { useMockServer } = require('./helpers')
+
+describe('fixtureName', () => {
+  it('ignores the host, the token and the query order', () => {
+    const name = fixtureName('get', 'http://us.api.test/wow/item/1?locale=en_US&access_token=a&fields=x')
+    assert.strictEqual(name, fixtureName('GET', 'http://localhost:1/wow/item/1?fields=x&access_token=b&locale=en_US'))
+    assert.notStrictEqual(name, fixtureName('GET', 'http://localhost/wow/item/2?fields=x&locale=en_US'))
+    assert.ok(!name.includes('access_token'))
+  })
+})
+
+describe('recordFetch and replayFetch', () => {
+  const server = useMockServer()
+  let dir
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wow-fixtures-'))
+  })
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true })
+  })
+
+  it('replays the recorded responses without the server', async () => {
+    const recording = new WoWClient('id', 'secret', Object.assign({ fetch: recordFetch(dir) }, server.mock.clientOptions))
+    const item = await recording.item(152505)
+    assert.strictEqual(await recording.characterProfile('mock-realm', 'notfound'), undefined)
+
+    const replaying = new WoWClient('id', 'secret', Object.assign({ fetch: replayFetch(dir), strict: true, retry: false }, server.mock.clientOptions))
+    assert.deepStrictEqual(await replaying.item(152505), item)
+    await assert.rejects(replaying.characterProfile('mock-realm', 'notfound'), NotFoundError)
+    await assert.rejects(replaying.item(1), /No fixture recorded for GET .*access_token=REDACTED/)
+  })
+  it('never writes the access token', async () => {
+    const recording = new WoWClient('id', 'secret', Object.assign({ fetch: recordFetch(dir) }, server.mock.clientOptions))
+    await recording.item(152505)
+    const files = fs.readdirSync(dir)
+    assert.strictEqual(files.length, 2)
+    files.forEach(file => assert.ok(!fs.readFileSync(path.join(dir, file), 'utf8').includes('mock-access-token'), file))
+    const token = readFixture(dir, 'POST', server.mock.clientOptions.oauthURL)
+    assert.strictEqual(token.body.access_token, 'REDACTED')
+  })
+})
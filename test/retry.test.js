@@ -0,0 +1,78 @@
+const assert = require('assert')
+const WoWClient = require('..')
+const { RetryPolicy } = require('../lib/retry')
+const { NetworkError, ServerError, NotFoundError, RateLimitedError } = require('../lib/errors')
+const { sequenceFetch, jsonResponse } = require('./helpers')
+
+const client = (fetch, options = {}) => new WoWClient('id', 'secret', Object.assign({ fetch, baseURL: 'http://api.test', oauthURL: 'http://oauth.test/oauth/token', retry: { baseDelay: 1, jitter: 0 } }, options))
+
+describe('RetryPolicy', () => {
+  it('retries network failures and the configured statuses only', () => {
+    const policy = new RetryPolicy()
+    assert.strictEqual(policy.shouldRetry(new NetworkError('down'), 1), true)
+    assert.strictEqual(policy.shouldRetry(new ServerError('boom', { status: 503 }), 1), true)
+    assert.strictEqual(policy.shouldRetry(new NotFoundError('missing', { status: 404 }), 1), false)
+    assert.strictEqual(policy.shouldRetry(new ServerError('boom', { status: 503 }), 3), false)
+    assert.strictEqual(new RetryPolicy({ network: false }).shouldRetry(new NetworkError('down'), 1), false)
+  })
+  it('doubles the delay up to maxDelay and honors Retry-After', () => {
+    const policy = new RetryPolicy({ baseDelay: 100, maxDelay: 300, jitter: 0 })
+    const error = new ServerError('boom', { status: 500 })
+    assert.deepStrictEqual([1, 2, 3, 4].map(attempt => policy.delay(error, attempt)), [100, 200, 300, 300])
+    assert.strictEqual(policy.delay(new RateLimitedError('slow down', { status: 429, retryAfter: 2 }), 1), 2000)
+  })
+  it('keeps the jitter within its bounds', () => {
+    const policy = new RetryPolicy({ baseDelay: 1000, jitter: 0.2 })
+    for (let i = 0; i < 50; i++) {
+      const delay = policy.delay(new NetworkError('down'), 1)
+      assert.ok(delay >= 800 && delay <= 1200, `${delay} out of bounds`)
+    }
+  })
+  it('runs until success or gives up with the last error', async () => {
+    const policy = new RetryPolicy({ attempts: 3, baseDelay: 1, jitter: 0 })
+    let attempts = 0
+    assert.strictEqual(await policy.run(async () => {
+      if (++attempts < 3) throw new NetworkError('down')
+      return 'ok'
+    }), 'ok')
+    attempts = 0
+    await assert.rejects(policy.run(async () => {
+      attempts++
+      throw new ServerError('boom', { status: 502 })
+    }), ServerError)
+    assert.strictEqual(attempts, 3)
+  })
+})
+
+describe('WoWClient retries', () => {
+  it('retries server errors and throttled requests', async () => {
+    const fetch = sequenceFetch([
+      { status: 503, body: { reason: 'Unavailable' } },
+      { status: 429, body: { reason: 'Too many requests' }, headers: { 'Retry-After': '0' } },
+      { status: 200, body: { id: 1, name: 'Item 1' } }
+    ])
+    assert.deepStrictEqual(await client(fetch).item(1), { id: 1, name: 'Item 1' })
+    assert.strictEqual(fetch.calls.length, 3)
+  })
+  it('does not retry client errors', async () => {
+    const fetch = sequenceFetch([{ status: 400, body: { reason: 'Bad request' } }])
+    await assert.rejects(client(fetch).item(1), err => err.status == 400)
+    assert.strictEqual(fetch.calls.length, 1)
+  })
+  it('sends a single attempt when retries are disabled', async () => {
+    const fetch = sequenceFetch([{ status: 500, body: {} }])
+    await assert.rejects(client(fetch, { retry: false }).item(1), ServerError)
+    assert.strictEqual(fetch.calls.length, 1)
+  })
+  it('renews a refused token once', async () => {
+    const fetch = sequenceFetch([
+      { status: 401, body: { error: 'invalid_token' } },
+      url => {
+        assert.ok(url.includes('access_token=token-2'))
+        return jsonResponse(200, { id: 1 })
+      }
+    ])
+    assert.deepStrictEqual(await client(fetch).item(1), { id: 1 })
+    assert.strictEqual(fetch.tokens.length, 2)
+  })
+})
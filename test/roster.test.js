@@ -0,0 +1,61 @@
+const assert = require('assert')
+const { GuildRoster, diffRosters, joinNews } = require('../lib/roster')
+const { MissingParameterException } = require('../lib/errors')
+const { useMockServer, mockClient } = require('./helpers')
+
+const member = (name, extra = {}) => Object.assign({ name, realm: 'Mock Realm', rank: 2, level: 110 }, extra)
+
+describe('diffRosters', () => {
+  it('reports the joined and left members, rank changes and level ups', () => {
+    const previous = { members: [member('Stays'), member('Leaves'), member('Promoted'), member('Other', { realm: 'Other Realm' })] }
+    const current = { members: [member('Stays', { level: 112 }), member('Promoted', { rank: 1 }), member('Other'), member('Joins')] }
+    const diff = diffRosters(previous, current)
+    assert.deepStrictEqual(diff.joined.map(({ name, realm }) => `${name}-${realm}`), ['Other-Mock Realm', 'Joins-Mock Realm'])
+    assert.deepStrictEqual(diff.left.map(({ name }) => name), ['Leaves', 'Other'])
+    assert.deepStrictEqual(diff.rankChanged.map(({ member, previousRank, rank }) => [member.name, previousRank, rank]), [['Promoted', 2, 1]])
+    assert.deepStrictEqual(diff.levelUps.map(({ member, previousLevel, level }) => [member.name, previousLevel, level]), [['Stays', 110, 112]])
+  })
+  it('requires both snapshots', () => {
+    assert.throws(() => diffRosters(undefined, { members: [] }), MissingParameterException)
+  })
+})
+
+describe('joinNews', () => {
+  const news = [
+    { type: 'itemLoot', character: 'Stays', timestamp: 100 },
+    { type: 'playerAchievement', character: 'Stays', timestamp: 200 },
+    { type: 'itemLoot', character: 'Gone', timestamp: 300 }
+  ]
+
+  it('attaches the member of each entry', () => {
+    const joined = joinNews(news, [member('Stays')])
+    assert.strictEqual(joined[0].member.name, 'Stays')
+    assert.strictEqual(joined[2].member, undefined)
+    assert.strictEqual(news[0].member, undefined)
+  })
+  it('filters the entries by time and type', () => {
+    assert.deepStrictEqual(joinNews(news, [], { since: 200 }).map(({ timestamp }) => timestamp), [200, 300])
+    assert.deepStrictEqual(joinNews(news, [], { types: ['itemLoot'], since: 50 }).map(({ timestamp }) => timestamp), [100, 300])
+  })
+})
+
+describe('GuildRoster', () => {
+  const server = useMockServer()
+
+  it('normalizes the members with their class and race names', async () => {
+    const members = await new GuildRoster(mockClient(server.mock)).members('mock-realm', 'Mock Guild')
+    assert.strictEqual(members.length, 2)
+    assert.deepStrictEqual(members[0].class, { id: 2, name: 'Paladin' })
+    assert.deepStrictEqual(members[0].race, { id: 1, name: 'Human' })
+    assert.strictEqual(members[0].spec, 'Holy')
+  })
+  it('resolves a missing guild to undefined', async () => {
+    const roster = new GuildRoster(mockClient(server.mock))
+    assert.strictEqual(await roster.snapshot('mock-realm', 'notfound'), undefined)
+    assert.strictEqual(await roster.news('mock-realm', 'notfound'), undefined)
+  })
+  it('lists the loot of the members', async () => {
+    const loot = await new GuildRoster(mockClient(server.mock)).loot('mock-realm', 'Mock Guild', 0)
+    assert.deepStrictEqual(loot.map(({ character, itemId, member }) => [character, itemId, member.rank]), [['Mockone', 152505, 0]])
+  })
+})
@@ -0,0 +1,89 @@
+const assert = require('assert')
+const nodeFetch = require('node-fetch')
+const WoWClient = require('..')
+const { WoWRouter } = WoWClient
+const { ValidationError, ServerError } = require('../lib/errors')
+const { regionURL, defaultAPIURL, defaultOAuthURL } = require('../lib/hosts')
+const { useMockServer, jsonResponse, sequenceFetch } = require('./helpers')
+
+describe('hosts', () => {
+  it('serves the cn region from its own hosts', () => {
+    assert.strictEqual(defaultAPIURL('cn'), 'https://gateway.battlenet.com.cn')
+    assert.strictEqual(defaultOAuthURL('cn'), 'https://www.battlenet.com.cn/oauth/token')
+    assert.strictEqual(regionURL(defaultAPIURL('eu'), 'eu'), 'https://eu.api.blizzard.com')
+    assert.strictEqual(regionURL(defaultOAuthURL('kr'), 'kr'), 'https://kr.battle.net/oauth/token')
+  })
+  it('sends the requests of a cn client to the cn hosts', async () => {
+    const fetch = sequenceFetch([{ status: 200, body: { id: 1 } }])
+    await new WoWClient('id', 'secret', { region: 'cn', locale: 'zh_CN', fetch }).item(1)
+    assert.strictEqual(fetch.tokens[0].url, 'https://www.battlenet.com.cn/oauth/token')
+    assert.ok(fetch.calls[0].url.startsWith('https://gateway.battlenet.com.cn/wow/item/1?'), fetch.calls[0].url)
+  })
+})
+
+describe('WoWRouter', () => {
+  const server = useMockServer()
+
+  /**
+   * Create a router of the mock server, counting the token requests.
+   * @param {object} options Router options
+   * @param {Function} fetch The fetch implementation. Default is node-fetch
+   */
+  const mockRouter = (options = {}, fetch = nodeFetch) => {
+    const counted = (url, init) => {
+      if (url.includes('/oauth/token')) counted.tokenRequests++
+      return fetch(url, init)
+    }
+    counted.tokenRequests = 0
+    const router = new WoWRouter('id', 'secret', Object.assign({
+      clientOptions: Object.assign({ fetch: counted, retry: false }, server.mock.clientOptions)
+    }, options))
+    return { router, fetch: counted }
+  }
+
+  it('rejects unknown regions and unsupported locales', () => {
+    assert.throws(() => new WoWRouter('id', 'secret', { regions: ['us', 'moon'] }), ValidationError)
+    assert.throws(() => new WoWRouter('id', 'secret', { locales: { eu: 'en_US' } }), /Invalid locale en_US for region eu/)
+    const { router } = mockRouter()
+    assert.throws(() => router.client('kr'), /Region kr is not served by the router/)
+    assert.throws(() => router.client('moon'), /Invalid region moon/)
+    assert.throws(() => router.client('us', 'de_DE'), ValidationError)
+  })
+  it('creates one client per region and locale sharing the token of the region', async () => {
+    const { router, fetch } = mockRouter({ locales: { eu: 'de_DE' } })
+    const us = router.client()
+    const german = router.client('EU')
+    const french = router.client('eu', 'fr_FR')
+    assert.strictEqual(router.client('eu', 'de_DE'), german)
+    assert.strictEqual(german._btnet_locale, 'de_DE')
+    assert.strictEqual(us._btnet_locale, 'en_US')
+    assert.strictEqual(german._tokens, french._tokens)
+    assert.notStrictEqual(us._tokens, german._tokens)
+    await Promise.all([german.item(1), french.item(1), us.item(1)])
+    assert.strictEqual(fetch.tokenRequests, 2)
+  })
+  it('calls a client method and rejects unknown or private ones', async () => {
+    const { router } = mockRouter()
+    assert.strictEqual((await router.call('item', [152505], { region: 'eu' })).id, 152505)
+    await assert.rejects(router.call('nope'), ValidationError)
+    await assert.rejects(router.call('_fetchAPI', ['item/1']), ValidationError)
+  })
+  it('merges the results of every region tagged with their region', async () => {
+    const { router } = mockRouter()
+    const { data, errors } = await router.fanOut('realmStatus')
+    assert.deepStrictEqual(errors, [])
+    assert.strictEqual(data.length, 6)
+    assert.deepStrictEqual(data.filter(({ region }) => region == 'eu').map(({ slug }) => slug), ['mock-realm', 'mock-realm-eu', 'mock-realm-down'])
+    const leaders = await router.fanOut('pvpLeaderboards', ['3v3'])
+    assert.deepStrictEqual(leaders.data.map(({ region, ranking }) => [region, ranking]), [['us', 1], ['eu', 1]])
+  })
+  it('reports a failing region in errors', async () => {
+    const failEU = (url, init) => url.includes('locale=en_GB') ? Promise.resolve(jsonResponse(503, { reason: 'Maintenance' })) : nodeFetch(url, init)
+    const { router } = mockRouter({}, failEU)
+    const { data, errors } = await router.fanOut('item', [1])
+    assert.deepStrictEqual(data.map(({ region, id }) => [region, id]), [['us', 1]])
+    assert.strictEqual(errors.length, 1)
+    assert.strictEqual(errors[0].region, 'eu')
+    assert.ok(errors[0].error instanceof ServerError)
+  })
+})
@@ -0,0 +1,72 @@
+const assert = require('assert')
+const { Scheduler, TokenBucket } = require('../lib/scheduler')
+const { ValidationError } = require('../lib/errors')
+const { delay } = require('./helpers')
+
+describe('TokenBucket', () => {
+  it('hands out its capacity then waits for the refill', async () => {
+    const bucket = new TokenBucket(2, 100)
+    assert.strictEqual(bucket.take(), true)
+    assert.strictEqual(bucket.take(), true)
+    assert.strictEqual(bucket.take(), false)
+    assert.ok(bucket.wait() > 0 && bucket.wait() <= 50)
+    await delay(60)
+    assert.strictEqual(bucket.take(), true)
+  })
+})
+
+describe('Scheduler', () => {
+  it('serves the high lane first and the low lane last', async () => {
+    const scheduler = new Scheduler({ concurrency: 1 })
+    const order = []
+    const task = name => async () => {
+      order.push(name)
+      await delay(1)
+    }
+    await Promise.all([
+      scheduler.schedule(task('first')),
+      scheduler.schedule(task('low'), { priority: 'low' }),
+      scheduler.schedule(task('normal')),
+      scheduler.schedule(task('high'), { priority: 'high' })
+    ])
+    assert.deepStrictEqual(order, ['first', 'high', 'normal', 'low'])
+  })
+  it('limits the requests running at the same time', async () => {
+    const scheduler = new Scheduler({ concurrency: 2 })
+    let running = 0
+    let peak = 0
+    await Promise.all(Array.from({ length: 6 }, () => scheduler.schedule(async () => {
+      peak = Math.max(peak, ++running)
+      await delay(5)
+      running--
+    })))
+    assert.strictEqual(peak, 2)
+  })
+  it('waits for the per second quota', async () => {
+    const scheduler = new Scheduler({ perSecond: 2 })
+    const started = Date.now()
+    await Promise.all([1, 2, 3].map(() => scheduler.schedule(async () => {})))
+    assert.ok(Date.now() - started >= 400)
+  })
+  it('reports the queue and the remaining quota', async () => {
+    const scheduler = new Scheduler({ concurrency: 1, perSecond: 10, perHour: 100 })
+    const blocker = scheduler.schedule(() => delay(10))
+    const queued = scheduler.schedule(async () => {}, { priority: 'low' })
+    const stats = scheduler.stats()
+    assert.deepStrictEqual(stats.queued, { high: 0, normal: 0, low: 1 })
+    assert.strictEqual(stats.running, 1)
+    assert.strictEqual(stats.remaining.hour, 99)
+    await Promise.all([blocker, queued])
+  })
+  it('propagates the rejection of a scheduled function', async () => {
+    const scheduler = new Scheduler()
+    await assert.rejects(scheduler.schedule(async () => {
+      throw new Error('failed')
+    }), /failed/)
+    assert.strictEqual(scheduler.stats().running, 0)
+  })
+  it('rejects an invalid priority with a ValidationError', () => {
+    const scheduler = new Scheduler()
+    assert.throws(() => scheduler.schedule(async () => {}, { priority: 'urgent' }), ValidationError)
+  })
+})
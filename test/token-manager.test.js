@@ -0,0 +1,97 @@
+const assert = require('assert')
+const nodeFetch = require('node-fetch')
+const WoWClient = require('..')
+const { TokenManager } = require('../lib/token-manager')
+const { MemoryCache } = require('../lib/cache')
+const { UnauthorizedError } = require('../lib/errors')
+const { useMockServer, jsonResponse, delay } = require('./helpers')
+
+/**
+ * Fetch stub of the token endpoint counting the generated tokens.
+ * @param {object} options
+ * @param {number} options.expiresIn Lifetime of the tokens in seconds
+ * @param {number} options.wait Milliseconds before answering
+ */
+const tokenFetch = ({ expiresIn = 86399, wait = 0 } = {}) => {
+  const stub = async (url, init) => {
+    stub.requests.push({ url, init })
+    const count = stub.requests.length
+    if (wait) await delay(wait)
+    return jsonResponse(200, { access_token: `token-${count}`, token_type: 'bearer', expires_in: expiresIn })
+  }
+  stub.requests = []
+  return stub
+}
+
+describe('TokenManager', () => {
+  it('shares one token request between concurrent calls', async () => {
+    const fetch = tokenFetch({ wait: 10 })
+    const manager = new TokenManager('id', 'secret', { fetch })
+    const tokens = await Promise.all([manager.getToken(), manager.getToken(), manager.getToken()])
+    assert.deepStrictEqual(tokens, ['token-1', 'token-1', 'token-1'])
+    assert.strictEqual(fetch.requests.length, 1)
+    assert.strictEqual(await manager.getToken(), 'token-1')
+  })
+  it('sends the credentials in a Basic Authorization header', async () => {
+    const fetch = tokenFetch()
+    await new TokenManager('my id', 'my secret', { fetch, region: 'eu' }).getToken()
+    const { url, init } = fetch.requests[0]
+    assert.strictEqual(url, 'https://eu.battle.net/oauth/token')
+    assert.strictEqual(init.method, 'POST')
+    assert.strictEqual(init.headers.Authorization, `Basic ${Buffer.from('my id:my secret').toString('base64')}`)
+    assert.ok(!url.includes('secret'))
+  })
+  it('renews the token within the margin of its expiration', async () => {
+    const fetch = tokenFetch({ expiresIn: 0.06 })
+    const manager = new TokenManager('id', 'secret', { fetch, margin: 0.02 })
+    await manager.getToken()
+    assert.strictEqual(await manager.getToken(), 'token-1')
+    await delay(50)
+    assert.strictEqual(await manager.getToken(), 'token-2')
+  })
+  it('does not renew tokens living less than the margin on every call', async () => {
+    const fetch = tokenFetch({ expiresIn: 200 })
+    const manager = new TokenManager('id', 'secret', { fetch })
+    for (let i = 0; i < 5; i++) await manager.getToken()
+    assert.strictEqual(fetch.requests.length, 1)
+  })
+  it('reuses the token of the store', async () => {
+    const store = new MemoryCache()
+    const fetch = tokenFetch()
+    await new TokenManager('id', 'secret', { fetch, store }).getToken()
+    assert.strictEqual(await new TokenManager('id', 'secret', { fetch, store }).getToken(), 'token-1')
+    assert.strictEqual(fetch.requests.length, 1)
+  })
+  it('generates a new token once the current one is invalidated', async () => {
+    const fetch = tokenFetch()
+    const manager = new TokenManager('id', 'secret', { fetch })
+    await manager.getToken()
+    await manager.invalidate('another-token')
+    assert.strictEqual(await manager.getToken(), 'token-1')
+    await manager.invalidate('token-1')
+    assert.strictEqual(await manager.getToken(), 'token-2')
+  })
+  it('reports a refused token request as UnauthorizedError', async () => {
+    const fetch = async () => jsonResponse(401, { error: 'unauthorized', error_description: 'Bad credentials' })
+    await assert.rejects(new TokenManager('id', 'secret', { fetch }).getToken(), err => err instanceof UnauthorizedError && err.reason == 'Bad credentials')
+  })
+})
+
+describe('WoWClient tokens', () => {
+  const server = useMockServer()
+
+  it('shares the token of a manager between clients', async () => {
+    let tokenRequests = 0
+    const fetch = (url, init) => {
+      if (url.includes('/oauth/token')) tokenRequests++
+      return nodeFetch(url, init)
+    }
+    const tokenManager = new TokenManager('id', 'secret', { fetch, url: server.mock.clientOptions.oauthURL })
+    const options = { baseURL: server.mock.url, tokenManager }
+    const english = new WoWClient('id', 'secret', Object.assign({ locale: 'en_US' }, options))
+    const german = new WoWClient('id', 'secret', Object.assign({ locale: 'de_DE' }, options))
+    await Promise.all([english.item(1), german.item(1)])
+    await english.item(2)
+    assert.strictEqual(tokenRequests, 1)
+  })
+})
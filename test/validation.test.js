@@ -0,0 +1,79 @@
+const assert = require('assert')
+const { slugify, realmPath, namePath, fieldProblems, enumProblems, assertValid, BRACKETS } = require('../lib/validation')
+const { ValidationError } = require('../lib/errors')
+const { useMockServer, mockClient } = require('./helpers')
+
+describe('validation', () => {
+  it('turns realm names into slugs', () => {
+    assert.strictEqual(slugify("Kel'Thuzad"), 'kelthuzad')
+    assert.strictEqual(slugify('Azjol-Nerub'), 'azjolnerub')
+    assert.strictEqual(slugify(' Aerie Peak '), 'aerie-peak')
+    assert.strictEqual(slugify('aerie-peak'), 'aerie-peak')
+    assert.strictEqual(slugify('Pozzo dell\'Eternità'), 'pozzo-delleternità')
+    assert.strictEqual(realmPath('Pozzo dell\'Eternità'), 'pozzo-delleternit%C3%A0')
+  })
+  it('lowercases and encodes names', () => {
+    assert.strictEqual(namePath(' Ærendil '), '%C3%A6rendil')
+    assert.strictEqual(namePath('Mock'), 'mock')
+  })
+  it('reports every invalid field', () => {
+    assert.deepStrictEqual(fieldProblems(null, ['items'], 'character'), [])
+    assert.deepStrictEqual(fieldProblems(['items'], ['items'], 'character'), [])
+    assert.strictEqual(fieldProblems(['gear', 'items', 'mount'], ['items'], 'character').length, 2)
+    assert.deepStrictEqual(fieldProblems('items', ['items'], 'character'), ['Invalid character fields items: a list of fields is expected.'])
+  })
+  it('reports a value outside of its set', () => {
+    assert.deepStrictEqual(enumProblems('bracket', '2v2', BRACKETS), [])
+    assert.deepStrictEqual(enumProblems('bracket', '4v4', BRACKETS), ['Invalid bracket 4v4. Accepted values are 2v2, 3v3, 5v5, rbg.'])
+  })
+  it('throws a single ValidationError listing the problems', () => {
+    assert.doesNotThrow(() => assertValid([]))
+    assert.throws(() => assertValid(['first', 'second']), err => {
+      assert.ok(err instanceof ValidationError)
+      assert.deepStrictEqual(err.problems, ['first', 'second'])
+      assert.strictEqual(err.message, 'first second')
+      return true
+    })
+  })
+})
+
+describe('WoWClient validation', () => {
+  const server = useMockServer()
+  const requestedPaths = client => {
+    const paths = []
+    client.on('beforeRequest', event => paths.push(event.path))
+    return paths
+  }
+
+  it('rejects invalid fields and brackets before sending a request', async () => {
+    const client = mockClient(server.mock)
+    const paths = requestedPaths(client)
+    await assert.rejects(client.characterProfile('mock-realm', 'mock', ['items', 'gear']), err => {
+      assert.ok(err instanceof ValidationError)
+      assert.strictEqual(err.problems.length, 1)
+      return true
+    })
+    await assert.rejects(client.guildProfile('mock-realm', 'mock', ['roster']), ValidationError)
+    await assert.rejects(client.pvpLeaderboards('4v4'), ValidationError)
+    assert.deepStrictEqual(paths, [])
+  })
+  it('requests the slug of a realm name', async () => {
+    const client = mockClient(server.mock)
+    const paths = requestedPaths(client)
+    await client.characterProfile('Mock Realm', 'Ærendil')
+    assert.deepStrictEqual(paths, ['character/mock-realm/%C3%A6rendil'])
+  })
+  it('resolves realm names through realms once for several lookups', async () => {
+    const client = mockClient(server.mock, { resolveRealms: true })
+    const paths = requestedPaths(client)
+    await client.characterProfile('mock realm eu', 'mock')
+    await client.characterProfile('Mock Realm Down', 'mock')
+    await client.characterProfile('Unknown Realm', 'mock')
+    assert.deepStrictEqual(paths, [
+      'realm/status',
+      'character/mock-realm-eu/mock',
+      'character/mock-realm-down/mock',
+      'character/unknown-realm/mock'
+    ])
+  })
+})